@@ -0,0 +1,448 @@
+/**
+ * Express Book Reviews API Application
+ *
+ * Builds the Express.js application that handles book management and user
+ * reviews with JWT-based authentication. index.js opens the store and
+ * starts the server; tests build apps with createApp() directly.
+ *
+ * Features:
+ * - Session-based user authentication with persistent sessions and CSRF protection
+ * - Bearer token authentication for clients without cookies
+ * - JWT token verification for protected routes
+ * - Public and authenticated book endpoints
+ * - Review management for authenticated users
+ * - Per-client rate limits for public, customer and credential routes
+ * - Uniform JSON error responses with per-request IDs
+ * - OpenAPI document at /openapi.json and interactive docs at /docs
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const swaggerUi = require('swagger-ui-express');
+const db = require('./store');
+const { config } = require('./lib/config.js');
+const { getAuthModes, getRequestCredentials } = require('./lib/tokens.js');
+const { authenticateToken } = require('./lib/token_store.js');
+const { RepositorySessionStore } = require('./lib/session_store.js');
+const { csrfProtection } = require('./lib/csrf.js');
+const { createRateLimiter, createCounterStore } = require('./lib/rate_limit.js');
+const { roleOf, hasRole } = require('./lib/roles.js');
+const { createCatalogSource } = require('./lib/catalog_source.js');
+const { HttpError, unauthorized, forbidden, notFound } = require('./lib/errors.js');
+const { buildOpenApiDocument } = require('./lib/openapi.js');
+const { version } = require('./package.json');
+const customer_routes = require('./router/auth_users.js').authenticated;
+const profile_routes = require('./router/profile.js').profile;
+const shelf_routes = require('./router/shelves.js').shelves;
+const genl_routes = require('./router/general.js').general;
+const admin_routes = require('./router/admin.js').admin;
+const moderation_routes = require('./router/moderation.js').moderation;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Format of client-supplied request IDs that are accepted as-is */
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// ============================================================================
+// AUTHENTICATION MIDDLEWARE
+// ============================================================================
+
+/**
+ * Authentication middleware for protected routes
+ * Verifies a JWT before allowing access to /customer/auth/*, /admin/* and /moderation/* endpoints
+ *
+ * The token is read from the Authorization header ("Bearer <token>") when
+ * bearer mode is enabled, otherwise from the session when session mode is
+ * enabled (the app's "authModes" setting). A bearer header always wins over
+ * the session so that clients sending one get a clear answer about that token.
+ *
+ * Flow:
+ * 1. Extracts the JWT access token from the header or the session
+ * 2. Verifies token signature and expiration
+ * 3. Rejects tokens on the revocation list or issued before the user's
+ *    sessions were revoked
+ * 4. If valid, attaches decoded user data to req.user and the credential
+ *    type ("bearer" or "session") to req.authScheme
+ * 5. If missing or invalid, responds 401 UNAUTHENTICATED
+ *
+ * @param {Object} req - Express request object
+ * @param {string} [req.headers.authorization] - "Bearer <token>" header
+ * @param {Object} [req.session.authorization] - Session authorization data
+ * @param {string} req.session.authorization.accessToken - JWT access token
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware in chain
+ * @returns {void}
+ */
+function auth(req, res, next) {
+    const credentials = getRequestCredentials(req, req.app.get('authModes'));
+
+    if (!credentials) {
+        // No credentials supplied - user not logged in
+        return next(unauthorized("User not logged in"));
+    }
+
+    // Verify signature, expiration and revocation state
+    authenticateToken(credentials.token)
+        .then((user) => {
+            if (user) {
+                // Token is valid - attach decoded user data to request
+                req.user = user;
+                req.authScheme = credentials.scheme;
+                // Proceed to the next middleware/route handler
+                next();
+            } else {
+                // Token verification failed - user not authenticated
+                next(unauthorized("User not authenticated"));
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * Authorization middleware factory
+ * Must run after auth. Loads the authenticated user's current role from the
+ * store (so role changes apply immediately) and only lets users holding at
+ * least the required role through. Roles are ordered reader < moderator < admin.
+ *
+ * @param {string} role - Minimum role required ("reader", "moderator" or "admin")
+ * @returns {Function} - Express middleware; sets req.user.role on success,
+ *          responds 403 FORBIDDEN otherwise
+ *
+ * @example
+ * app.use("/admin", auth, authorize("admin"), admin_routes);
+ */
+function authorize(role) {
+    return function (req, res, next) {
+        db.users.get(req.user.username)
+            .then((user) => {
+                const userRole = roleOf(user);
+                if (user && hasRole(userRole, role)) {
+                    req.user.role = userRole;
+                    next();
+                } else {
+                    next(forbidden("Requires " + role + " role"));
+                }
+            })
+            .catch(next);
+    };
+}
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+/**
+ * Creates the rate limiters of the route groups. All groups share one
+ * counter store and window length.
+ *
+ * @param {Object} settings - rateLimit.* settings
+ * @param {Object} [store] - Counter store (default: the one named by settings.store)
+ * @returns {Object<string, Function>|null} - Middleware by group, null when disabled
+ */
+function rateLimitersFor(settings, store) {
+    if (!settings.enabled) {
+        return null;
+    }
+    const shared = {
+        windowMs: settings.windowSeconds * 1000,
+        store: store || createCounterStore(settings.store)
+    };
+    const byIp = (req) => 'ip:' + req.ip;
+    return {
+        public: createRateLimiter({ ...shared, name: 'public', limit: settings.public, key: byIp }),
+        customerByIp: createRateLimiter({ ...shared, name: 'customer', limit: settings.customer, key: byIp }),
+        customerByUser: createRateLimiter({
+            ...shared,
+            name: 'customer',
+            limit: settings.customer,
+            key: (req) => (req.user ? 'user:' + req.user.username : null)
+        }),
+        credentials: createRateLimiter({ ...shared, name: 'credentials', limit: settings.credentials, key: byIp })
+    };
+}
+
+// ============================================================================
+// ERROR HANDLING
+// ============================================================================
+
+/**
+ * Converts an error into the HttpError sent to the client.
+ * Body parser failures keep their status; anything else unexpected becomes
+ * a 500 without its internal message.
+ *
+ * @param {Error} err - Error passed to next() or thrown by a handler
+ * @returns {HttpError}
+ */
+function toHttpError(err) {
+    if (err instanceof HttpError) {
+        return err;
+    }
+    if (err.type === 'entity.parse.failed') {
+        return new HttpError(400, 'INVALID_JSON', "Request body is not valid JSON");
+    }
+    if (err.type === 'entity.too.large') {
+        return new HttpError(413, 'PAYLOAD_TOO_LARGE', "Request body is too large");
+    }
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new HttpError(err.status, 'BAD_REQUEST', err.message);
+    }
+    return new HttpError(500, 'INTERNAL_ERROR', "An unexpected error occurred");
+}
+
+/**
+ * Central error handler
+ * Every error response uses the same JSON envelope:
+ *
+ *   { "error": { "code": "NOT_FOUND", "message": "Book not found", "details": null, "requestId": "..." } }
+ *
+ * Server-side failures (5xx) are logged with the request ID so they can be
+ * matched with the response the client received.
+ */
+function errorHandler(err, req, res, next) {
+    const error = toHttpError(err);
+    if (error.status >= 500) {
+        console.error("[" + req.id + "] " + req.method + " " + req.originalUrl + " failed:", err);
+    }
+    if (res.headersSent) {
+        return next(err);
+    }
+    res.status(error.status).json({
+        error: {
+            code: error.code,
+            message: error.message,
+            details: error.details === undefined ? null : error.details,
+            requestId: req.id
+        }
+    });
+}
+
+// ============================================================================
+// APPLICATION FACTORY
+// ============================================================================
+
+/**
+ * Creates the Express application. The store is shared (./store) and must
+ * be opened before the app handles requests.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.catalogSource] - Catalog source for the author lookup
+ *        (default: the catalog.* settings, see lib/catalog_source.js)
+ * @param {Object} [options.authModes] - Accepted credentials, { session, bearer }
+ *        (default: the auth.modes setting)
+ * @param {Object} [options.sessionStore] - express-session store
+ *        (default: a RepositorySessionStore, see lib/session_store.js)
+ * @param {Object} [options.rateLimit] - Overrides for the rateLimit.* settings,
+ *        e.g. { enabled: true, credentials: 3 }
+ * @param {Object} [options.rateLimitStore] - Counter store for the rate limits
+ *        (default: the one named by rateLimit.store, see lib/rate_limit.js)
+ * @returns {Object} - Express application; its OpenAPI document is in app.locals.openApiDocument
+ *          and its session store in the "sessionStore" setting
+ *
+ * @example
+ * const app = createApp({ catalogSource: { name: 'stub', fetchBooks: async () => ({}) } });
+ */
+function createApp(options = {}) {
+    /** Create Express application instance */
+    const app = express();
+
+    /** Accepted credentials for protected routes */
+    app.set('authModes', options.authModes || getAuthModes());
+
+    /** Catalog used by the author lookup: local store or remote HTTP catalog */
+    app.set('catalogSource', options.catalogSource || createCatalogSource());
+
+    /** Sessions are kept in the data store unless another store is given */
+    app.set('sessionStore', options.sessionStore || new RepositorySessionStore());
+
+    /**
+     * Number of reverse proxies in front of the app. Their X-Forwarded-*
+     * headers decide req.ip (login lockout) and req.secure (secure cookies).
+     */
+    app.set('trust proxy', config.server.trustProxy);
+
+    /** Pretty-print JSON responses */
+    app.set('json spaces', 4);
+
+    /** Rate limits per route group (null when disabled) */
+    const limits = rateLimitersFor({ ...config.rateLimit, ...options.rateLimit }, options.rateLimitStore);
+    /** Middleware for a route group; a no-op when rate limiting is disabled */
+    const limit = (group) => (limits ? limits[group] : (req, res, next) => next());
+
+    // ------------------------------------------------------------------------
+    // Middleware configuration
+    // ------------------------------------------------------------------------
+
+    /**
+     * Assign every request an ID
+     * Reuses a well-formed X-Request-Id header from the client (or a proxy),
+     * otherwise generates one. The ID is echoed in the X-Request-Id response
+     * header and included in error responses and server logs.
+     */
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+        next();
+    });
+
+    /**
+     * Throttle clients before doing any work for them
+     * - /customer/*: per client IP (and per user, after authentication below)
+     * - POST /register and POST /customer/login: a much lower limit per client
+     *   IP, against account spam and password guessing
+     * Public routes are throttled where they are mounted.
+     */
+    app.use("/customer", limit('customerByIp'));
+    app.post(["/register", "/customer/login"], limit('credentials'));
+
+    /**
+     * Parse incoming JSON request bodies
+     * Enables JSON data in POST/PUT requests. Catalog imports are left to
+     * their route, which reads any format as text with a larger size limit
+     * (import.maxBytes) once the administrator is authenticated.
+     */
+    app.use(express.json({ type: (req) => !req.path.startsWith("/admin/import/") && Boolean(req.is('application/json')) }));
+
+    /**
+     * Configure session middleware for customer, admin and moderation routes
+     * Stores session data on the server with signed session IDs in cookies
+     *
+     * Options:
+     * - secret: Signing key for session IDs (session.secret setting)
+     * - store: Where sessions are kept (the data store by default)
+     * - resave: false - only sessions that changed are written back
+     * - saveUninitialized: false - no session (and no cookie) until login
+     *   stores something in it
+     * - cookie: Not readable by scripts, SameSite and Secure from the
+     *   session.* settings, expires after session.ttlSeconds
+     */
+    app.use(["/customer", "/admin", "/moderation"], session({
+        secret: config.session.secret,
+        store: app.get('sessionStore'),
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            httpOnly: true,
+            sameSite: config.session.cookieSameSite,
+            secure: config.session.cookieSecure,
+            maxAge: config.session.ttlSeconds * 1000
+        }
+    }));
+
+    /**
+     * Protect every /customer/auth/* endpoint. Authenticated users are also
+     * throttled by username, whatever IP they come from. Changes made with
+     * the session cookie must also carry the session's CSRF token.
+     */
+    app.use("/customer/auth/*", auth, limit('customerByUser'), csrfProtection);
+
+    // ------------------------------------------------------------------------
+    // Route configuration
+    // ------------------------------------------------------------------------
+
+    /**
+     * Mount authenticated customer routes
+     * Includes: login, token refresh, logout, reviews management, the
+     * user's own profile and account, and shelves
+     * Routes under /customer/auth are protected by session and JWT middleware
+     */
+    app.use("/customer", customer_routes, profile_routes, shelf_routes);
+
+    /**
+     * Mount administrator routes
+     * Includes: catalog management, catalog import/export, user roles and
+     * session revocation
+     * Requires a valid token (and a CSRF token for changes made with the
+     * session cookie) and the admin role
+     */
+    app.use("/admin", auth, csrfProtection, authorize("admin"), admin_routes);
+
+    /**
+     * Mount moderation routes
+     * Includes: the review moderation queue and decisions
+     * Same protection as the administrator routes, for moderators and admins
+     */
+    app.use("/moderation", auth, csrfProtection, authorize("moderator"), moderation_routes);
+
+    /**
+     * Mount public general routes
+     * Includes: registration, book listing, search, public reviews and shelves
+     * No authentication required; throttled per client IP. The limiter is
+     * attached to each public route rather than to "/", so the API
+     * documentation and unknown routes do not use up the public budget.
+     */
+    genl_routes.stack.filter((layer) => layer.route).forEach(({ route }) => {
+        Object.keys(route.methods).filter((method) => route.methods[method]).forEach((method) => {
+            app[method](route.path, limit('public'));
+        });
+    });
+    app.use("/", genl_routes);
+
+    // ------------------------------------------------------------------------
+    // API documentation
+    // ------------------------------------------------------------------------
+
+    /**
+     * OpenAPI document generated from the routers mounted above. Keep the
+     * mounts in sync with the app.use() calls: protection is declared here
+     * only for the documentation, it is enforced by the middleware above.
+     */
+    app.locals.openApiDocument = buildOpenApiDocument({
+        title: "Express Book Reviews API",
+        version,
+        mounts: [
+            { path: "/customer", router: customer_routes, authenticated: (routePath) => routePath.startsWith("/auth/"), rateLimited: true },
+            { path: "/customer", router: profile_routes, authenticated: true, rateLimited: true },
+            { path: "/customer", router: shelf_routes, authenticated: true, rateLimited: true },
+            { path: "/admin", router: admin_routes, authenticated: true, role: "admin" },
+            { path: "/moderation", router: moderation_routes, authenticated: true, role: "moderator" },
+            { path: "/", router: genl_routes, rateLimited: true }
+        ]
+    });
+
+    /**
+     * Serve the OpenAPI document
+     *
+     * @route GET /openapi.json
+     * @returns {Object} 200 - OpenAPI 3 document describing every API route
+     */
+    app.get("/openapi.json", (req, res) => {
+        res.json(app.locals.openApiDocument);
+    });
+
+    /**
+     * Interactive API documentation (Swagger UI, served from the app itself)
+     *
+     * @route GET /docs
+     */
+    app.use("/docs", swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: "/openapi.json" } }));
+
+    // ------------------------------------------------------------------------
+    // Error handling
+    // ------------------------------------------------------------------------
+
+    /**
+     * Unknown routes
+     * Answers any request no route handled with a 404 error.
+     */
+    app.use((req, res, next) => {
+        next(notFound("No route for " + req.method + " " + req.path));
+    });
+
+    app.use(errorHandler);
+
+    return app;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createApp };
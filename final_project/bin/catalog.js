@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Catalog Import/Export Command
+ *
+ * Imports or exports books and reviews straight from the configured data
+ * store (STORE_DRIVER, STORE_PATH; see lib/config.js), in the formats of
+ * lib/catalog_io.js. Stop the server first when using the JSON store:
+ * the server keeps its own copy of the data in memory.
+ *
+ * Usage:
+ *   node bin/catalog.js import <books|reviews> <file> [--format json|ndjson|csv] [--dry-run]
+ *   node bin/catalog.js export <books|reviews> [--format json|ndjson|csv] [--output <file>]
+ *
+ * The format defaults to the file extension (.json, .ndjson/.jsonl, .csv),
+ * or json for exports to stdout. Imports print their report as JSON and
+ * exit with status 1 when a record failed; exports write to stdout unless
+ * --output is given.
+ *
+ * @example
+ * npm run catalog -- import books books.csv --dry-run
+ * npm run catalog -- export reviews --format csv --output reviews.csv
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const db = require('../store');
+const { FORMATS, DATASETS, importRecords, exportRecords } = require('../lib/catalog_io.js');
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+const USAGE = [
+    "Usage:",
+    "  node bin/catalog.js import <books|reviews> <file> [--format json|ndjson|csv] [--dry-run]",
+    "  node bin/catalog.js export <books|reviews> [--format json|ndjson|csv] [--output <file>]"
+].join('\n');
+
+/** Formats by file extension */
+const EXTENSIONS = { '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.csv': 'csv' };
+
+/**
+ * Parses the command line.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, dataset: string, file?: string, format?: string, output?: string, dryRun: boolean}}
+ * @throws {Error} On unknown or missing arguments
+ */
+const parseArgs = (argv) => {
+    const positional = [];
+    const options = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (argv[i] === '--format' || argv[i] === '--output') {
+            if (argv[i + 1] === undefined) {
+                throw new Error(argv[i] + " needs a value");
+            }
+            options[argv[i].slice(2)] = argv[++i];
+        } else if (argv[i].startsWith('--')) {
+            throw new Error("Unknown option " + argv[i]);
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    const [command, dataset, file] = positional;
+    if (!['import', 'export'].includes(command)) {
+        throw new Error("Unknown command " + (command || "(none)"));
+    }
+    if (!DATASETS[dataset]) {
+        throw new Error("Dataset must be one of " + Object.keys(DATASETS).join(', '));
+    }
+    if (command === 'import' && !file) {
+        throw new Error("Missing the file to import");
+    }
+    if (options.format !== undefined && !FORMATS[options.format]) {
+        throw new Error("Format must be one of " + Object.keys(FORMATS).join(', '));
+    }
+
+    const named = command === 'import' ? file : options.output;
+    const format = options.format || (named && EXTENSIONS[path.extname(named).toLowerCase()]) || (command === 'export' ? 'json' : undefined);
+    if (!format) {
+        throw new Error("Cannot tell the format of " + file + "; use --format");
+    }
+    return { command, dataset, file, format, output: options.output, dryRun: options.dryRun };
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Runs the command and returns the process exit status.
+ *
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>}
+ */
+const run = async (args) => {
+    await db.open();
+    try {
+        if (args.command === 'import') {
+            const report = await importRecords(args.dataset, fs.readFileSync(args.file, 'utf8'), args.format, { dryRun: args.dryRun });
+            console.log(JSON.stringify(report, null, 4));
+            return report.failed > 0 ? 1 : 0;
+        }
+        const destination = args.output ? fs.createWriteStream(args.output) : process.stdout;
+        await pipeline(Readable.from(await exportRecords(args.dataset, args.format)), destination, { end: Boolean(args.output) });
+        return 0;
+    } finally {
+        await db.close();
+    }
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message + '\n\n' + USAGE);
+    process.exit(2);
+}
+
+run(args)
+    .then((status) => {
+        process.exitCode = status;
+    })
+    .catch((error) => {
+        // Input errors carry per-field details (see lib/errors.js)
+        console.error(error.message + (error.details ? ': ' + JSON.stringify(error.details) : ''));
+        process.exitCode = 1;
+    });
@@ -0,0 +1,154 @@
+/**
+ * Authors Module
+ *
+ * Authors are entities of the `authors` collection, keyed by an ID made
+ * from their name:
+ *
+ *   "honore-de-balzac": { name: "Honoré de Balzac", aliases: ["Honore de Balzac", "Balzac"], bio: "..." }
+ *
+ * Books keep the author name they credit (`author`) and link to the
+ * entity through `authorId`. Names and aliases are matched
+ * case-insensitively and ignoring repeated spaces, so "Unknown", "unknown"
+ * and "Anonymous" can all lead to the same author. A book credited to a
+ * name no author has yet gets a new author with that name.
+ *
+ * These functions work on collection handles rather than the store, so
+ * they can run inside transactions and migrations.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { publishedReviews, summarizeRatings } = require('./reviews.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Collection name */
+const AUTHORS = 'authors';
+
+/** Format of author IDs: lowercase words joined by hyphens */
+const AUTHOR_ID_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+/** Bounds of author fields */
+const MAX_ALIASES = 20;
+const MAX_BIO_LENGTH = 5000;
+
+/** Default and maximum page size of author listings */
+const DEFAULT_AUTHOR_LIMIT = 20;
+const MAX_AUTHOR_LIMIT = 100;
+
+// ============================================================================
+// NAMES
+// ============================================================================
+
+/** Comparable form of a name: "  honoré DE  Balzac" is "honoré de balzac" */
+const nameKey = (name) => String(name).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Makes an author ID from a name: accents dropped, lowercase words joined
+ * by hyphens ("Honoré de Balzac" is "honore-de-balzac").
+ *
+ * @param {string} name - Author name
+ * @returns {string}
+ */
+const slugify = (name) => {
+    const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'author';
+}
+
+/** Name and aliases of an author */
+const namesOf = (author) => [author.name, ...(author.aliases || [])];
+
+/**
+ * Finds the author with a name or alias.
+ *
+ * @param {Object<string, Object>} authors - Authors keyed by ID
+ * @param {string} name - Name to look up
+ * @returns {string|undefined} - Author ID
+ */
+const findAuthorId = (authors, name) => {
+    const key = nameKey(name);
+    return Object.keys(authors).find((id) => namesOf(authors[id]).some((known) => nameKey(known) === key));
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/**
+ * Links a book to the author it credits, creating the author when no one
+ * has the name yet.
+ *
+ * @param {Object} authors - Authors collection handle (e.g. tx.collection(AUTHORS))
+ * @param {Object} book - Book with an author name
+ * @returns {Promise<Object>} - Copy of the book with its authorId
+ */
+const linkAuthor = async (authors, book) => {
+    const all = await authors.all();
+    let id = findAuthorId(all, book.author);
+    if (!id) {
+        const base = slugify(book.author);
+        id = base;
+        for (let suffix = 2; all[id]; suffix++) {
+            id = base + '-' + suffix;
+        }
+        await authors.put(id, { name: book.author, aliases: [], bio: null });
+    }
+    return { ...book, authorId: id };
+}
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+/**
+ * Builds the page of an author: their books and the rating summary of all
+ * published reviews of those books.
+ *
+ * @param {string} id - Author ID
+ * @param {Object} author - Stored author
+ * @param {Object<string, Object>} books - The catalog, keyed by ISBN
+ * @returns {{id: string, name: string, aliases: string[], bio: string|null, bookCount: number,
+ *            rating: Object, books: Array<{isbn: string, title: string, year?: number, rating: Object}>}}
+ */
+const authorPage = (id, author, books) => {
+    const written = Object.entries(books)
+        .filter(([, book]) => book.authorId === id)
+        .map(([isbn, book]) => ({ isbn, title: book.title, year: book.year, reviews: publishedReviews(book.reviews) }))
+        // Oldest first, undated books last, then by title
+        .sort((a, b) => (a.year === undefined ? Infinity : a.year) - (b.year === undefined ? Infinity : b.year)
+            || a.title.localeCompare(b.title));
+
+    return {
+        id,
+        name: author.name,
+        aliases: author.aliases || [],
+        bio: author.bio === undefined ? null : author.bio,
+        bookCount: written.length,
+        rating: summarizeRatings(written.flatMap((book) => Object.values(book.reviews))),
+        books: written.map(({ reviews, ...book }) => ({ ...book, rating: summarizeRatings(reviews) }))
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    AUTHORS,
+    AUTHOR_ID_PATTERN,
+    MAX_ALIASES,
+    MAX_BIO_LENGTH,
+    DEFAULT_AUTHOR_LIMIT,
+    MAX_AUTHOR_LIMIT,
+    nameKey,
+    slugify,
+    namesOf,
+    findAuthorId,
+    linkAuthor,
+    authorPage
+};
@@ -0,0 +1,86 @@
+/**
+ * Book Model Module
+ *
+ * Fields of a stored book besides its reviews. author and title are
+ * required; the metadata fields are optional and missing from books that
+ * do not have them:
+ *
+ * - year:        year of first publication, negative for BCE
+ * - genres:      genres and subjects, lowercase ("novel", "epic")
+ * - language:    language of the edition as a BCP 47 tag ("en", "pt-BR")
+ * - pages:       page count of the edition
+ * - description: short summary
+ * - coverUrl:    http(s) URL of a cover image
+ *
+ * Writes go through applyBookFields(), which trims text, normalizes
+ * genres and removes fields set to null.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Optional book fields, in the order they are stored and exported */
+const BOOK_METADATA = ['year', 'genres', 'language', 'pages', 'description', 'coverUrl'];
+
+/** Bounds of the metadata fields */
+const MIN_YEAR = -3000;
+const MAX_YEAR = new Date().getUTCFullYear() + 1;
+const MAX_GENRES = 10;
+const MAX_GENRE_LENGTH = 50;
+const MAX_PAGES = 100000;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_COVER_URL_LENGTH = 2000;
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/** Lowercases a genre and collapses its whitespace ("Historical  Fiction" is "historical fiction") */
+const normalizeGenre = (genre) => genre.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Applies validated book fields (see lib/schemas.js bookFields) to a book.
+ * Undefined fields are left alone; null removes a metadata field.
+ *
+ * @param {Object} book - Stored book, or {} for a new one
+ * @param {Object} fields - author, title and metadata fields
+ * @returns {Object} - Updated copy of the book
+ *
+ * @example
+ * applyBookFields(book, { title: " Beloved ", genres: ["Novel", "novel"], pages: null });
+ * // { ...book, title: "Beloved", genres: ["novel"] } without pages
+ */
+const applyBookFields = (book, fields) => {
+    const updated = { ...book };
+    Object.entries(fields).forEach(([field, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        if (value === null) {
+            delete updated[field];
+        } else if (field === 'genres') {
+            updated.genres = Array.from(new Set(value.map(normalizeGenre)));
+        } else {
+            updated[field] = typeof value === 'string' ? value.trim() : value;
+        }
+    });
+    return updated;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    BOOK_METADATA,
+    MIN_YEAR,
+    MAX_YEAR,
+    MAX_GENRES,
+    MAX_GENRE_LENGTH,
+    MAX_PAGES,
+    MAX_DESCRIPTION_LENGTH,
+    MAX_COVER_URL_LENGTH,
+    normalizeGenre,
+    applyBookFields
+};
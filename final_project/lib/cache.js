@@ -0,0 +1,178 @@
+/**
+ * Response Cache Module
+ *
+ * Caches the JSON responses of public catalog and review routes in an
+ * in-process LRU cache and makes them conditional:
+ *
+ * - Every cached response carries a strong ETag (a SHA-256 of its body)
+ *   and a Cache-Control header (cache.maxAgeSeconds setting)
+ * - A request whose If-None-Match matches the ETag gets 304 Not Modified
+ *   without a body
+ * - Responses are kept by request URL; the least recently used entry is
+ *   evicted once cache.maxEntries is reached
+ *
+ * Books embed their reviews, so every write to the books collection (a new
+ * review, a vote, a moderation decision, a catalog edit) empties the cache,
+ * as do writes to the authors collection and reopening the store. Only 200
+ * responses are cached.
+ *
+ * Routes fed by a remote catalog (GET /author/:author) are not cached:
+ * their data changes without the store noticing.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../store');
+const { config } = require('./config.js');
+
+// ============================================================================
+// LRU CACHE
+// ============================================================================
+
+/**
+ * Creates a cache holding at most `maxEntries` values. Reading a value
+ * makes it the most recently used; adding one beyond the limit evicts the
+ * least recently used.
+ *
+ * @param {number} maxEntries - Capacity
+ * @returns {{get: function(string): *, set: function(string, *): void, clear: function(): void, size: function(): number}}
+ */
+const createLruCache = (maxEntries) => {
+    // Map iteration follows insertion order: the first key is the oldest
+    const entries = new Map();
+
+    return {
+        get(key) {
+            if (!entries.has(key)) {
+                return undefined;
+            }
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Computes the strong ETag of a response body.
+ *
+ * @param {string} body - Serialized response body
+ * @returns {string} - Quoted entity tag
+ */
+const strongETag = (body) => '"' + crypto.createHash('sha256').update(body).digest('base64url') + '"';
+
+/**
+ * Cache-Control header of cached responses. Clients may reuse a response
+ * for maxAgeSeconds, then must revalidate it with If-None-Match.
+ *
+ * @param {number} maxAgeSeconds
+ * @returns {string}
+ */
+const cacheControl = (maxAgeSeconds) => 'public, max-age=' + maxAgeSeconds + ', must-revalidate';
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+/** Cached responses of the open store, by URL: { body, etag, type } */
+const responses = createLruCache(config.cache.maxEntries);
+
+/**
+ * Incremented on every invalidation, so that a response computed from data
+ * read before a write is not stored after it
+ */
+let generation = 0;
+
+/** Collections whose writes change cached responses */
+const CACHED_COLLECTIONS = ['books', 'authors'];
+
+/** Empties the response cache */
+const invalidate = () => {
+    generation += 1;
+    responses.clear();
+}
+
+db.subscribe((event) => {
+    if (event.type === 'open') {
+        invalidate();
+    } else if (event.type === 'commit' && event.changes.some((change) => CACHED_COLLECTIONS.includes(change.collection))) {
+        invalidate();
+    }
+});
+
+/**
+ * Middleware caching the route's 200 JSON responses (see the module
+ * comment). Sets ETag, Cache-Control and X-Cache ("HIT" or "MISS"); Express
+ * answers 304 when the request's If-None-Match matches the ETag. With
+ * cache.enabled off, responses still get their ETag and Cache-Control.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware in chain
+ * @returns {void}
+ *
+ * @example
+ * public_users.get('/isbn/:isbn', validate(isbnSchema), cacheResponse, asyncHandler(...));
+ */
+const cacheResponse = (req, res, next) => {
+    const key = req.originalUrl;
+    const maxAge = cacheControl(config.cache.maxAgeSeconds);
+
+    const hit = config.cache.enabled ? responses.get(key) : undefined;
+    if (hit) {
+        res.set({ 'ETag': hit.etag, 'Cache-Control': maxAge, 'X-Cache': 'HIT' });
+        res.type(hit.type);
+        res.send(hit.body);
+        return;
+    }
+
+    // res.json() serializes the body and hands it to res.send()
+    const started = generation;
+    const send = res.send.bind(res);
+    res.send = (body) => {
+        if (res.statusCode === 200 && typeof body === 'string') {
+            const etag = strongETag(body);
+            res.set({ 'ETag': etag, 'Cache-Control': maxAge, 'X-Cache': 'MISS' });
+            if (config.cache.enabled && started === generation) {
+                responses.set(key, { body, etag, type: res.get('Content-Type') });
+            }
+        }
+        return send(body);
+    };
+    next();
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    createLruCache,
+    strongETag,
+    cacheResponse,
+    invalidate
+};
@@ -0,0 +1,472 @@
+/**
+ * Catalog Import/Export Module
+ *
+ * Bulk transfer of the catalog in three formats:
+ *
+ * - json:   one array of records
+ * - ndjson: one JSON record per line
+ * - csv:    a header row naming the columns, then one record per row
+ *           (RFC 4180 quoting; an empty cell means "no value"; lists such
+ *           as genres are separated by ";")
+ *
+ * Two datasets can be transferred:
+ *
+ * - books:   isbn, author, title, year, genres, language, pages, description, coverUrl
+ * - reviews: isbn, username, rating, text, status, createdAt, updatedAt, editCount
+ *
+ * Imports upsert by key (the ISBN, or the ISBN and username of a review)
+ * in one transaction. ISBNs may be given in any ISBN-10 or ISBN-13 form,
+ * or as a legacy ID (see lib/isbn_aliases.js); new books need a valid ISBN
+ * and are stored under its ISBN-13. Books are linked to their author (see
+ * lib/authors.js). Every record is validated first; invalid records are
+ * skipped and reported with their row (line number for csv and ndjson,
+ * position in the array for json), valid ones are written. A dry run
+ * validates and reports the same way without writing anything.
+ *
+ * Imported reviews keep the votes, reports and moderation history of the
+ * review they replace; fields missing from a record keep their current
+ * value (for a new review: no rating, empty text, approved, written now).
+ * Their text is not screened for banned words: imports are trusted.
+ *
+ * Exports are produced as a stream of chunks (see exportRecords) so they
+ * can be piped to an HTTP response or a file.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const db = require('../store');
+const schemas = require('./schemas.js');
+const { validateValue } = require('./validation.js');
+const { validationError } = require('./errors.js');
+const { normalizeReview, reviewStatus, REVIEW_STATUSES } = require('./reviews.js');
+const { BOOK_METADATA, applyBookFields } = require('./books.js');
+const { AUTHORS, linkAuthor } = require('./authors.js');
+const { ISBN_ALIASES, INVALID_ISBN, normalizeIsbn } = require('./isbn.js');
+const { resolveIsbn } = require('./isbn_aliases.js');
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+/** Transfer formats and their media types */
+const FORMATS = {
+    json: 'application/json',
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv'
+};
+
+/**
+ * Finds the format of a media type ("text/csv; charset=utf-8" is csv).
+ *
+ * @param {string|undefined} contentType - Content-Type header
+ * @returns {string|undefined} - Format name
+ */
+const formatOfType = (contentType) => {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return Object.keys(FORMATS).find((format) => FORMATS[format] === type)
+        || (type === 'application/ndjson' ? 'ndjson' : undefined);
+}
+
+/**
+ * Splits CSV text into rows of values.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<{row: number, values: string[]}>} - Non-empty rows with the line they start on
+ * @throws {HttpError} 400 VALIDATION_ERROR if a quoted value is never closed
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    const endRow = () => {
+        values.push(value);
+        if (values.length > 1 || values[0] !== '') {
+            rows.push({ row: rowLine, values });
+        }
+        values = [];
+        value = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            values.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) {
+        throw validationError("Invalid CSV", { body: "Quoted value starting on line " + quoteLine + " is never closed" });
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Quotes a CSV value when needed.
+ *
+ * @param {*} value - Value; null and undefined become an empty cell, lists are joined with ";"
+ * @returns {string}
+ */
+const toCsvValue = (value) => {
+    const text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Reads the records of an import.
+ *
+ * @param {string} text - Import body
+ * @param {string} format - "json", "ndjson" or "csv"
+ * @returns {{records: Array<{row: number, value: *}>, errors: Array<{row: number, field: null, message: string}>}}
+ *          Records, and rows that could not be read at all
+ * @throws {HttpError} 400 VALIDATION_ERROR if the body as a whole cannot be read
+ */
+const readRecords = (text, format) => {
+    const body = text.replace(/^\uFEFF/, '');
+    const records = [];
+    const errors = [];
+
+    if (format === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(body);
+        } catch (error) {
+            throw validationError("Invalid JSON", { body: "Must be a JSON array of records" });
+        }
+        if (!Array.isArray(parsed)) {
+            throw validationError("Invalid JSON", { body: "Must be a JSON array of records" });
+        }
+        parsed.forEach((value, index) => records.push({ row: index + 1, value }));
+    } else if (format === 'ndjson') {
+        body.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                records.push({ row: index + 1, value: JSON.parse(line) });
+            } catch (error) {
+                errors.push({ row: index + 1, field: null, message: "Invalid JSON" });
+            }
+        });
+    } else {
+        const [header, ...rows] = parseCsv(body);
+        if (!header) {
+            throw validationError("Invalid CSV", { body: "Must start with a header row" });
+        }
+        const columns = header.values.map((column) => column.trim());
+        rows.forEach(({ row, values }) => {
+            if (values.length !== columns.length) {
+                errors.push({ row, field: null, message: "Expected " + columns.length + " values, found " + values.length });
+                return;
+            }
+            const value = {};
+            columns.forEach((column, index) => {
+                if (values[index] !== '') {
+                    value[column] = values[index];
+                }
+            });
+            records.push({ row, value });
+        });
+    }
+    return { records, errors };
+}
+
+// ============================================================================
+// DATASETS
+// ============================================================================
+
+/** Timestamps of imported reviews */
+const timestamp = {
+    type: 'string',
+    pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?Z$',
+    patternMessage: "Must be an ISO 8601 UTC timestamp",
+    nullable: true
+};
+
+/**
+ * Splits the list cells of a CSV record ("novel; epic") into arrays, for
+ * the properties a schema declares as arrays.
+ *
+ * @param {Object} value - Record read from a CSV row
+ * @param {Object} schema - Record schema
+ * @returns {Object}
+ */
+const splitCsvLists = (value, schema) => {
+    const split = { ...value };
+    Object.entries(schema.properties).forEach(([name, property]) => {
+        if (property.type === 'array' && typeof split[name] === 'string') {
+            split[name] = split[name].split(';').map((item) => item.trim()).filter(Boolean);
+        }
+    });
+    return split;
+}
+
+/** ISBNs of a catalog in natural order ("2" before "10") */
+const sortedIsbns = (books) => Object.keys(books).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+/** Thrown by a dataset's merge() for a record that is valid but cannot be applied */
+class RecordError extends Error {
+    constructor(field, message) {
+        super(message);
+        this.field = field;
+    }
+}
+
+/**
+ * Transferable datasets. Each one has:
+ * - columns:        export columns, in order
+ * - schema:         schema of an imported record
+ * - key(record):    identity of a record, for duplicate detection
+ * - rows(books):    exported records of the catalog, in order
+ * - merge(tx, record, write): applies a record, its ISBN resolved to a
+ *                   book key, within the import transaction; resolves to
+ *                   "created", "updated" or "unchanged" and only writes
+ *                   when `write` is set
+ */
+const DATASETS = {
+    books: {
+        columns: ['isbn', 'author', 'title', ...BOOK_METADATA],
+        schema: {
+            type: 'object',
+            properties: { isbn: schemas.isbn, ...schemas.bookFields },
+            required: ['isbn', 'author', 'title'],
+            additionalProperties: false
+        },
+        key: (record) => record.isbn,
+        rows: function* (books) {
+            for (const isbn of sortedIsbns(books)) {
+                const row = { isbn, author: books[isbn].author, title: books[isbn].title };
+                BOOK_METADATA.forEach((field) => {
+                    row[field] = books[isbn][field];
+                });
+                yield row;
+            }
+        },
+        merge: async (tx, record, write) => {
+            const books = tx.collection('books');
+            const existing = await books.get(record.isbn);
+            if (!existing && !normalizeIsbn(record.isbn)) {
+                throw new RecordError('isbn', INVALID_ISBN);
+            }
+            const { isbn, ...fields } = record;
+            const book = existing ? applyBookFields(existing, fields) : { ...applyBookFields({}, fields), reviews: {} };
+            if (existing && JSON.stringify(book) === JSON.stringify(existing)) {
+                return 'unchanged';
+            }
+            if (write) {
+                // New books and changed author names are linked to an author
+                const relink = !existing || book.author !== existing.author;
+                await books.put(isbn, relink ? await linkAuthor(tx.collection(AUTHORS), book) : book);
+            }
+            return existing ? 'updated' : 'created';
+        }
+    },
+
+    reviews: {
+        columns: ['isbn', 'username', 'rating', 'text', 'status', 'createdAt', 'updatedAt', 'editCount'],
+        schema: {
+            type: 'object',
+            properties: {
+                isbn: schemas.isbn,
+                username: { type: 'string', minLength: 1, maxLength: 256 },
+                rating: { ...schemas.rating, nullable: true },
+                text: schemas.reviewText,
+                status: { type: 'string', enum: REVIEW_STATUSES },
+                createdAt: timestamp,
+                updatedAt: timestamp,
+                editCount: { type: 'integer', minimum: 0 }
+            },
+            required: ['isbn', 'username'],
+            additionalProperties: false
+        },
+        key: (record) => record.isbn + '\n' + record.username,
+        rows: function* (books) {
+            for (const isbn of sortedIsbns(books)) {
+                const reviews = books[isbn].reviews || {};
+                for (const username of Object.keys(reviews).sort()) {
+                    const review = normalizeReview(reviews[username]);
+                    yield {
+                        isbn,
+                        username,
+                        rating: review.rating,
+                        text: review.text,
+                        status: reviewStatus(review),
+                        createdAt: review.createdAt,
+                        updatedAt: review.updatedAt,
+                        editCount: review.editCount
+                    };
+                }
+            }
+        },
+        merge: async (tx, record, write) => {
+            const books = tx.collection('books');
+            const book = await books.get(record.isbn);
+            if (!book) {
+                throw new RecordError('isbn', "Book not found");
+            }
+            const stored = book.reviews && book.reviews[record.username];
+            const { isbn, username, ...fields } = record;
+            const now = new Date().toISOString();
+            const current = stored === undefined
+                ? { rating: null, text: '', createdAt: now, updatedAt: now, editCount: 0, status: 'approved' }
+                : { ...normalizeReview(stored), status: reviewStatus(stored) };
+            const review = { ...current, ...fields };
+            if (stored !== undefined && JSON.stringify(review) === JSON.stringify(current)) {
+                return 'unchanged';
+            }
+            if (write) {
+                book.reviews = { ...book.reviews, [username]: review };
+                await books.put(isbn, book);
+            }
+            return stored === undefined ? 'created' : 'updated';
+        }
+    }
+};
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Imports records into the catalog (see the module comment).
+ *
+ * @param {string} dataset - "books" or "reviews"
+ * @param {string} text - Import body
+ * @param {string} format - "json", "ndjson" or "csv"
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate and report without writing
+ * @returns {Promise<Object>} - Report: { dataset, format, dryRun, total, created, updated,
+ *          unchanged, failed, errors: [{ row, field, message }] }
+ * @throws {HttpError} 400 VALIDATION_ERROR if the body as a whole cannot be read
+ */
+const importRecords = async (dataset, text, format, options = {}) => {
+    const definition = DATASETS[dataset];
+    const dryRun = Boolean(options.dryRun);
+    const { records, errors } = readRecords(text, format);
+    const report = { dataset, format, dryRun, total: records.length + errors.length, created: 0, updated: 0, unchanged: 0, failed: 0, errors };
+
+    // Validate every record before touching the store
+    const valid = [];
+    records.forEach(({ row, value }) => {
+        const input = format === 'csv' ? splitCsvLists(value, definition.schema) : value;
+        const result = validateValue(input, definition.schema, { coerce: format === 'csv' });
+        if (result.errors.length > 0) {
+            result.errors.forEach((error) => errors.push({ row, field: error.field, message: error.message }));
+            return;
+        }
+        valid.push({ row, record: result.value });
+    });
+
+    // Resolve ISBNs to book keys, so every form of one ISBN counts as a duplicate
+    await db.transaction(async (tx) => {
+        const aliases = tx.collection(ISBN_ALIASES);
+        const seen = new Map();
+        for (const { row, record } of valid) {
+            record.isbn = await resolveIsbn(record.isbn, aliases);
+            const key = definition.key(record);
+            if (seen.has(key)) {
+                errors.push({ row, field: null, message: "Duplicate of row " + seen.get(key) });
+                continue;
+            }
+            seen.set(key, row);
+            try {
+                report[await definition.merge(tx, record, !dryRun)] += 1;
+            } catch (error) {
+                if (!(error instanceof RecordError)) {
+                    throw error;
+                }
+                errors.push({ row, field: error.field, message: error.message });
+            }
+        }
+    });
+
+    errors.sort((a, b) => a.row - b.row);
+    report.failed = new Set(errors.map((error) => error.row)).size;
+    return report;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Serializes a dataset of the current catalog, chunk by chunk.
+ *
+ * @param {string} dataset - "books" or "reviews"
+ * @param {string} format - "json", "ndjson" or "csv"
+ * @returns {Promise<Iterable<string>>} - Chunks of the export; pass to stream.Readable.from()
+ *
+ * @example
+ * Readable.from(await exportRecords('books', 'csv')).pipe(res);
+ */
+const exportRecords = async (dataset, format) => {
+    const definition = DATASETS[dataset];
+    const books = await db.books.all();
+
+    return (function* () {
+        let first = true;
+        if (format === 'json') {
+            yield '[';
+        } else if (format === 'csv') {
+            yield definition.columns.join(',') + '\r\n';
+        }
+        for (const row of definition.rows(books)) {
+            if (format === 'json') {
+                yield (first ? '\n' : ',\n') + JSON.stringify(row);
+            } else if (format === 'ndjson') {
+                yield JSON.stringify(row) + '\n';
+            } else {
+                yield definition.columns.map((column) => toCsvValue(row[column])).join(',') + '\r\n';
+            }
+            first = false;
+        }
+        if (format === 'json') {
+            yield (first ? '' : '\n') + ']\n';
+        }
+    })();
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    FORMATS,
+    DATASETS,
+    formatOfType,
+    parseCsv,
+    toCsvValue,
+    importRecords,
+    exportRecords
+};
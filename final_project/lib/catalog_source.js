@@ -0,0 +1,154 @@
+/**
+ * Catalog Source Module
+ *
+ * Supplies the book catalog to routes that can be served from an external
+ * catalog (currently GET /author/:author). Two sources are available:
+ * - local:  the repository (default)
+ * - remote: an HTTP catalog returning books keyed by ISBN, in the same
+ *           shape as the local books collection
+ *
+ * Remote requests time out, are retried with exponential backoff on
+ * network errors and 5xx answers, and can fall back to the local catalog
+ * when the remote stays unavailable.
+ *
+ * Settings (lib/config.js, catalog.*):
+ * - source (CATALOG_SOURCE): "local" or "remote"
+ * - remoteUrl (CATALOG_REMOTE_URL): URL of the remote catalog (required for remote)
+ * - timeoutMs (CATALOG_TIMEOUT_MS): Per-request timeout
+ * - retries (CATALOG_RETRIES): Retries after the first attempt
+ * - retryDelayMs (CATALOG_RETRY_DELAY_MS): Delay before the first retry, doubled each time
+ * - fallback (CATALOG_FALLBACK): Serve local data when the remote fails
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const axios = require('axios');
+const db = require('../store');
+const { UpstreamError } = require('./errors.js');
+const { config } = require('./config.js');
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * Catalog source backed by the repository.
+ *
+ * @returns {{name: string, fetchBooks: function(): Promise<Object>}}
+ */
+const createLocalSource = () => ({
+    name: 'local',
+    fetchBooks: () => db.books.all()
+});
+
+/**
+ * Classifies a failed axios request.
+ *
+ * @param {Error} error - axios error
+ * @returns {{retry: boolean, error: UpstreamError}}
+ */
+const classifyFailure = (error) => {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return { retry: true, error: new UpstreamError('UPSTREAM_TIMEOUT', "Remote catalog timed out", { cause: error }) };
+    }
+    if (error.response) {
+        const status = error.response.status;
+        return {
+            retry: status >= 500,
+            error: new UpstreamError('UPSTREAM_UNAVAILABLE', "Remote catalog answered with status " + status, { cause: error })
+        };
+    }
+    return { retry: true, error: new UpstreamError('UPSTREAM_UNAVAILABLE', "Remote catalog is unreachable", { cause: error }) };
+}
+
+/**
+ * Catalog source backed by a remote HTTP catalog.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Remote catalog URL
+ * @param {number} [options.timeoutMs=2000] - Per-request timeout
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.retryDelayMs=200] - Initial backoff delay
+ * @param {Object} [options.fallback] - Source to use when the remote fails
+ * @returns {{name: string, fetchBooks: function(): Promise<Object>}}
+ * @throws {UpstreamError} From fetchBooks, when the remote fails and there is no fallback
+ */
+const createRemoteSource = (options) => {
+    const timeoutMs = options.timeoutMs || 2000;
+    const retries = options.retries === undefined ? 2 : options.retries;
+    const retryDelayMs = options.retryDelayMs === undefined ? 200 : options.retryDelayMs;
+
+    const fetchRemote = async () => {
+        let lastError = null;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise((resolve) => setTimeout(resolve, retryDelayMs * Math.pow(2, attempt - 1)));
+            }
+            try {
+                const response = await axios.get(options.url, { timeout: timeoutMs });
+                const data = response.data;
+                if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                    // A malformed answer won't get better by asking again
+                    throw new UpstreamError('UPSTREAM_BAD_RESPONSE', "Remote catalog returned an invalid payload");
+                }
+                return data;
+            } catch (error) {
+                if (error instanceof UpstreamError) {
+                    throw error;
+                }
+                const failure = classifyFailure(error);
+                lastError = failure.error;
+                if (!failure.retry) {
+                    break;
+                }
+            }
+        }
+        throw lastError;
+    };
+
+    return {
+        name: 'remote',
+        fetchBooks: async () => {
+            try {
+                return await fetchRemote();
+            } catch (error) {
+                if (!options.fallback) {
+                    throw error;
+                }
+                console.warn("Remote catalog failed (" + error.code + "), serving local catalog");
+                return options.fallback.fetchBooks();
+            }
+        }
+    };
+}
+
+// ============================================================================
+// CONFIGURED SOURCE
+// ============================================================================
+
+/**
+ * Creates the catalog source described by the configuration.
+ *
+ * @param {Object} [settings=config.catalog] - Catalog settings
+ * @returns {{name: string, fetchBooks: function(): Promise<Object>}}
+ */
+const createCatalogSource = (settings = config.catalog) => {
+    if (settings.source === 'local') {
+        return createLocalSource();
+    }
+    return createRemoteSource({
+        url: settings.remoteUrl,
+        timeoutMs: settings.timeoutMs,
+        retries: settings.retries,
+        retryDelayMs: settings.retryDelayMs,
+        fallback: settings.fallback ? createLocalSource() : null
+    });
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createLocalSource, createRemoteSource, createCatalogSource };
@@ -0,0 +1,314 @@
+/**
+ * Configuration Module
+ *
+ * Single source of every runtime setting. Values are resolved in this
+ * order, later sources winning:
+ *
+ * 1. Built-in defaults (SETTINGS below)
+ * 2. Profile defaults for NODE_ENV: "development" (default), "test" or "production"
+ * 3. An optional JSON config file named by CONFIG_FILE, shaped like the
+ *    resolved config: { "server": { "port": 8080 }, "session": { "secret": "..." } }
+ * 4. Environment variables (the `env` column of SETTINGS)
+ *
+ * Every value is validated; problems are reported together in one
+ * ConfigError. In production the built-in development secrets are refused,
+ * so SESSION_SECRET and ACCESS_TOKEN_SECRET must be set.
+ *
+ * @example
+ * const { config } = require('./lib/config.js');
+ * app.listen(config.server.port);
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors.js');
+const { validateValue } = require('./validation.js');
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Known settings. `key` is the path in the resolved config, `env` the
+ * environment variable and `schema` the accepted values (lib/validation.js
+ * format; "list" settings are comma-separated in the environment).
+ * Settings marked `secret` may not keep their default in production.
+ */
+const SETTINGS = [
+    { key: 'server.port', env: 'PORT', default: 5000, schema: { type: 'integer', minimum: 0, maximum: 65535 } },
+    { key: 'server.trustProxy', env: 'TRUST_PROXY', default: 0, schema: { type: 'integer', minimum: 0 } },
+
+    { key: 'session.secret', env: 'SESSION_SECRET', default: 'fingerprint_customer', secret: true, schema: { type: 'string', minLength: 1 } },
+    { key: 'session.ttlSeconds', env: 'SESSION_TTL_SECONDS', default: 24 * 60 * 60, schema: { type: 'integer', minimum: 1 } },
+    { key: 'session.cleanupIntervalSeconds', env: 'SESSION_CLEANUP_INTERVAL_SECONDS', default: 10 * 60, schema: { type: 'integer', minimum: 1 } },
+    { key: 'session.cookieSecure', env: 'SESSION_COOKIE_SECURE', default: false, schema: { type: 'boolean' } },
+    { key: 'session.cookieSameSite', env: 'SESSION_COOKIE_SAME_SITE', default: 'lax', schema: { type: 'string', enum: ['strict', 'lax', 'none'] } },
+
+    { key: 'auth.modes', env: 'AUTH_MODES', default: ['session', 'bearer'], list: true, schema: { type: 'array', minItems: 1, items: { type: 'string', enum: ['session', 'bearer'] } } },
+    { key: 'auth.accessTokenSecret', env: 'ACCESS_TOKEN_SECRET', default: 'access', secret: true, schema: { type: 'string', minLength: 1 } },
+    { key: 'auth.accessTokenTtlSeconds', env: 'ACCESS_TOKEN_TTL_SECONDS', default: 60 * 60, schema: { type: 'integer', minimum: 1 } },
+    { key: 'auth.refreshTokenTtlSeconds', env: 'REFRESH_TOKEN_TTL_SECONDS', default: 30 * 24 * 60 * 60, schema: { type: 'integer', minimum: 1 } },
+
+    { key: 'password.minLength', env: 'PASSWORD_MIN_LENGTH', default: 8, schema: { type: 'integer', minimum: 1 } },
+    { key: 'password.maxLength', env: 'PASSWORD_MAX_LENGTH', default: 128, schema: { type: 'integer', minimum: 1 } },
+    { key: 'password.requireLowercase', env: 'PASSWORD_REQUIRE_LOWERCASE', default: true, schema: { type: 'boolean' } },
+    { key: 'password.requireUppercase', env: 'PASSWORD_REQUIRE_UPPERCASE', default: true, schema: { type: 'boolean' } },
+    { key: 'password.requireDigit', env: 'PASSWORD_REQUIRE_DIGIT', default: true, schema: { type: 'boolean' } },
+    { key: 'password.requireSymbol', env: 'PASSWORD_REQUIRE_SYMBOL', default: false, schema: { type: 'boolean' } },
+
+    { key: 'login.maxAttemptsPerUser', env: 'LOGIN_MAX_ATTEMPTS_PER_USER', default: 5, schema: { type: 'integer', minimum: 1 } },
+    { key: 'login.maxAttemptsPerIp', env: 'LOGIN_MAX_ATTEMPTS_PER_IP', default: 20, schema: { type: 'integer', minimum: 1 } },
+    { key: 'login.lockoutBaseSeconds', env: 'LOGIN_LOCKOUT_BASE_SECONDS', default: 30, schema: { type: 'integer', minimum: 1 } },
+    { key: 'login.lockoutMaxSeconds', env: 'LOGIN_LOCKOUT_MAX_SECONDS', default: 900, schema: { type: 'integer', minimum: 1 } },
+    { key: 'login.attemptWindowSeconds', env: 'LOGIN_ATTEMPT_WINDOW_SECONDS', default: 900, schema: { type: 'integer', minimum: 1 } },
+
+    { key: 'rateLimit.enabled', env: 'RATE_LIMIT_ENABLED', default: true, schema: { type: 'boolean' } },
+    { key: 'rateLimit.store', env: 'RATE_LIMIT_STORE', default: 'memory', schema: { type: 'string', enum: ['memory', 'repository'] } },
+    { key: 'rateLimit.windowSeconds', env: 'RATE_LIMIT_WINDOW_SECONDS', default: 60, schema: { type: 'integer', minimum: 1 } },
+    { key: 'rateLimit.public', env: 'RATE_LIMIT_PUBLIC', default: 120, schema: { type: 'integer', minimum: 1 } },
+    { key: 'rateLimit.customer', env: 'RATE_LIMIT_CUSTOMER', default: 60, schema: { type: 'integer', minimum: 1 } },
+    { key: 'rateLimit.credentials', env: 'RATE_LIMIT_CREDENTIALS', default: 10, schema: { type: 'integer', minimum: 1 } },
+
+    { key: 'moderation.bannedWords', env: 'MODERATION_BANNED_WORDS', default: [], list: true, schema: { type: 'array', items: { type: 'string', minLength: 1 } } },
+    { key: 'moderation.reportThreshold', env: 'MODERATION_REPORT_THRESHOLD', default: 3, schema: { type: 'integer', minimum: 1 } },
+
+    { key: 'cache.enabled', env: 'CACHE_ENABLED', default: true, schema: { type: 'boolean' } },
+    { key: 'cache.maxEntries', env: 'CACHE_MAX_ENTRIES', default: 500, schema: { type: 'integer', minimum: 1 } },
+    { key: 'cache.maxAgeSeconds', env: 'CACHE_MAX_AGE_SECONDS', default: 0, schema: { type: 'integer', minimum: 0 } },
+
+    { key: 'import.maxBytes', env: 'IMPORT_MAX_BYTES', default: 10 * 1024 * 1024, schema: { type: 'integer', minimum: 1 } },
+
+    { key: 'admin.username', env: 'ADMIN_USERNAME', default: null, schema: { type: 'string', minLength: 1, nullable: true } },
+    { key: 'admin.password', env: 'ADMIN_PASSWORD', default: null, schema: { type: 'string', minLength: 1, nullable: true } },
+
+    { key: 'store.driver', env: 'STORE_DRIVER', default: 'json', schema: { type: 'string', enum: ['json', 'sqlite'] } },
+    { key: 'store.path', env: 'STORE_PATH', default: null, schema: { type: 'string', minLength: 1, nullable: true } },
+
+    { key: 'catalog.source', env: 'CATALOG_SOURCE', default: 'local', schema: { type: 'string', enum: ['local', 'remote'] } },
+    { key: 'catalog.remoteUrl', env: 'CATALOG_REMOTE_URL', default: null, schema: { type: 'string', pattern: '^https?://', patternMessage: "Must be an http(s) URL", nullable: true } },
+    { key: 'catalog.timeoutMs', env: 'CATALOG_TIMEOUT_MS', default: 2000, schema: { type: 'integer', minimum: 1 } },
+    { key: 'catalog.retries', env: 'CATALOG_RETRIES', default: 2, schema: { type: 'integer', minimum: 0 } },
+    { key: 'catalog.retryDelayMs', env: 'CATALOG_RETRY_DELAY_MS', default: 200, schema: { type: 'integer', minimum: 0 } },
+    { key: 'catalog.fallback', env: 'CATALOG_FALLBACK', default: true, schema: { type: 'boolean' } }
+];
+
+/** Profile names accepted in NODE_ENV */
+const PROFILES = ['development', 'test', 'production'];
+
+/** Defaults that differ per profile, by setting key */
+const PROFILE_DEFAULTS = {
+    development: {},
+    test: {
+        // Tests never touch the data directory
+        'store.path': ':memory:',
+        // Suites send many requests from one IP; rate limit tests enable it per app
+        'rateLimit.enabled': false
+    },
+    production: {
+        // Session cookies only travel over HTTPS
+        'session.cookieSecure': true
+    }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Converts an environment variable to the type of its setting. Values that
+ * can't be converted are returned unchanged and fail validation.
+ *
+ * @param {string} raw - Environment value
+ * @param {Object} setting - Entry of SETTINGS
+ * @returns {*}
+ */
+const parseEnvValue = (raw, setting) => {
+    if (setting.list) {
+        return raw.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+    }
+    switch (setting.schema.type) {
+        case 'integer':
+            return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+        case 'boolean':
+            if (raw === 'true' || raw === '1') {
+                return true;
+            }
+            if (raw === 'false' || raw === '0') {
+                return false;
+            }
+            return raw;
+        default:
+            return raw === '' ? null : raw;
+    }
+}
+
+/**
+ * Reads a setting from a parsed config file.
+ *
+ * @param {Object} file - Parsed config file
+ * @param {string} key - Dotted setting key
+ * @returns {*} - The value, or undefined if the file doesn't set it
+ */
+const getFileValue = (file, key) => {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), file);
+}
+
+/**
+ * Lists the keys of a config file that are not known settings, so typos
+ * are reported instead of silently ignored.
+ *
+ * @param {Object} file - Parsed config file
+ * @returns {string[]} - Dotted keys
+ */
+const unknownFileKeys = (file) => {
+    const known = SETTINGS.map((setting) => setting.key);
+    const unknown = [];
+    const walk = (node, prefix) => {
+        Object.keys(node).forEach((name) => {
+            const key = prefix ? prefix + '.' + name : name;
+            if (known.includes(key)) {
+                return;
+            }
+            const value = node[name];
+            if (value && typeof value === 'object' && !Array.isArray(value) && known.some((candidate) => candidate.startsWith(key + '.'))) {
+                walk(value, key);
+            } else {
+                unknown.push(key);
+            }
+        });
+    };
+    walk(file, '');
+    return unknown;
+}
+
+/**
+ * Reads and parses the config file.
+ *
+ * @param {string} filePath - Path of a JSON file
+ * @param {string[]} problems - Collected problems
+ * @returns {Object} - Parsed file ({} if it could not be read)
+ */
+const readConfigFile = (filePath, problems) => {
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        problems.push('CONFIG_FILE ' + filePath + ': ' + (error.code === 'ENOENT' ? "File not found" : error.message));
+        return {};
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        problems.push('CONFIG_FILE ' + filePath + ': Must contain a JSON object');
+        return {};
+    }
+    unknownFileKeys(file).forEach((key) => problems.push('CONFIG_FILE ' + filePath + ': Unknown setting "' + key + '"'));
+    return file;
+}
+
+/**
+ * Stores a value at a dotted key.
+ *
+ * @param {Object} target - Config being built
+ * @param {string} key - Dotted setting key
+ * @param {*} value
+ */
+const setValue = (target, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), target);
+    parent[last] = value;
+}
+
+/** Freezes a config object and everything in it */
+const deepFreeze = (node) => {
+    Object.values(node).forEach((value) => {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    });
+    return Object.freeze(node);
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Resolves the configuration from the environment and the optional config
+ * file.
+ *
+ * @param {Object<string, string>} [env=process.env] - Environment variables
+ * @returns {Object} - Frozen config; `env` holds the profile name and
+ *          `configFile` the file that was read (null if none)
+ * @throws {ConfigError} Listing every invalid setting
+ */
+const loadConfig = (env = process.env) => {
+    const problems = [];
+
+    const profile = env.NODE_ENV || 'development';
+    if (!PROFILES.includes(profile)) {
+        throw new ConfigError(['NODE_ENV: Must be one of ' + PROFILES.join(', ')]);
+    }
+
+    const configFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+    const file = configFile ? readConfigFile(configFile, problems) : {};
+
+    const config = { env: profile, configFile };
+    SETTINGS.forEach((setting) => {
+        let source = 'default';
+        let value = setting.default;
+        if (Object.prototype.hasOwnProperty.call(PROFILE_DEFAULTS[profile], setting.key)) {
+            value = PROFILE_DEFAULTS[profile][setting.key];
+        }
+        if (getFileValue(file, setting.key) !== undefined) {
+            source = setting.key;
+            value = getFileValue(file, setting.key);
+        }
+        if (env[setting.env] !== undefined) {
+            source = setting.env;
+            value = parseEnvValue(env[setting.env], setting);
+        }
+
+        const result = validateValue(value, setting.schema);
+        result.errors.forEach((error) => {
+            problems.push((source === 'default' ? setting.key : source) + (error.field ? error.field : '') + ': ' + error.message);
+        });
+        if (profile === 'production' && setting.secret && (value === setting.default || !value)) {
+            problems.push(setting.env + ': Must be set to a non-default value in production');
+        }
+        setValue(config, setting.key, result.value);
+    });
+
+    if (config.password.minLength > config.password.maxLength) {
+        problems.push('PASSWORD_MIN_LENGTH: Must not exceed PASSWORD_MAX_LENGTH');
+    }
+    if (config.login.lockoutBaseSeconds > config.login.lockoutMaxSeconds) {
+        problems.push('LOGIN_LOCKOUT_BASE_SECONDS: Must not exceed LOGIN_LOCKOUT_MAX_SECONDS');
+    }
+    if (config.session.cookieSameSite === 'none' && !config.session.cookieSecure) {
+        problems.push('SESSION_COOKIE_SAME_SITE: "none" requires SESSION_COOKIE_SECURE=true');
+    }
+    if (config.catalog.source === 'remote' && !config.catalog.remoteUrl) {
+        problems.push('CATALOG_REMOTE_URL: Required when CATALOG_SOURCE is remote');
+    }
+    if (Boolean(config.admin.username) !== Boolean(config.admin.password)) {
+        problems.push('ADMIN_USERNAME/ADMIN_PASSWORD: Set both or neither');
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return deepFreeze(config);
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/** Configuration of this process, resolved once on first require */
+const config = loadConfig();
+
+module.exports = { config, loadConfig, SETTINGS, PROFILES };
@@ -0,0 +1,107 @@
+/**
+ * CSRF Protection Module
+ *
+ * Browsers send the session cookie with every request to the API, even
+ * requests triggered by other sites. Requests authenticated by the session
+ * cookie that change data must therefore also prove they were sent by our
+ * own client, by echoing the session's CSRF token in the X-CSRF-Token header.
+ *
+ * The token is created at login, returned in the login response and kept
+ * in the session. Requests authenticated with a bearer token are not
+ * exposed to CSRF (browsers never add the header on their own) and are not
+ * checked.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const { HttpError } = require('./errors.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Request header carrying the token */
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/** Methods that never change data and are not checked */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Creates a new CSRF token and stores it in the session.
+ *
+ * @param {Object} session - express-session session
+ * @returns {string} - The token
+ */
+const issueCsrfToken = (session) => {
+    session.csrfToken = crypto.randomBytes(32).toString('base64url');
+    return session.csrfToken;
+}
+
+/**
+ * Compares two tokens in constant time.
+ *
+ * @param {string} presented - Token sent by the client
+ * @param {string} expected - Token stored in the session
+ * @returns {boolean}
+ */
+const tokensMatch = (presented, expected) => {
+    const a = Buffer.from(String(presented));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks that a request carries its session's CSRF token. Routes that
+ * take a credential from the session outside the auth middleware (token
+ * refresh, logout) call it directly.
+ *
+ * @param {Object} req - Express request object
+ * @returns {void}
+ * @throws {HttpError} 403 CSRF_TOKEN_INVALID on a missing or wrong token
+ */
+const verifyCsrfToken = (req) => {
+    const expected = req.session && req.session.csrfToken;
+    const presented = req.get(CSRF_HEADER);
+    if (!expected || !presented || !tokensMatch(presented, expected)) {
+        throw new HttpError(403, 'CSRF_TOKEN_INVALID', "Missing or invalid " + CSRF_HEADER + " header");
+    }
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Rejects unsafe requests authenticated by the session cookie unless they
+ * carry the session's CSRF token. Must run after the auth middleware, which
+ * sets req.authScheme.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware in chain
+ * @returns {void} - Responds 403 CSRF_TOKEN_INVALID on a missing or wrong token
+ */
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || req.authScheme !== 'session') {
+        return next();
+    }
+    try {
+        verifyCsrfToken(req);
+    } catch (error) {
+        return next(error);
+    }
+    next();
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { CSRF_HEADER, issueCsrfToken, verifyCsrfToken, csrfProtection };
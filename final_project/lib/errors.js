@@ -0,0 +1,125 @@
+/**
+ * Error Types Module
+ *
+ * Typed errors raised by route handlers and service modules. The central
+ * error handler in app.js turns them into the JSON error envelope:
+ *
+ *   { "error": { "code": "NOT_FOUND", "message": "Book not found",
+ *                "details": null, "requestId": "6f1c..." } }
+ *
+ * Errors that are not HttpErrors become a generic 500 INTERNAL_ERROR so
+ * internal messages never reach clients.
+ */
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+/**
+ * An error with an HTTP status and a machine readable code.
+ *
+ * @property {number} status - HTTP status code
+ * @property {string} code - Machine readable error code, e.g. NOT_FOUND
+ * @property {*} details - Extra information for the client (null if none);
+ *           validation errors use an array of { field, message }
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Raised when a remote service (such as the remote catalog) fails.
+ *
+ * @property {string} code - UPSTREAM_TIMEOUT, UPSTREAM_UNAVAILABLE or UPSTREAM_BAD_RESPONSE
+ * @property {number} status - 504 for timeouts, 502 otherwise
+ * @property {Error} [cause] - Underlying error, for logging only
+ */
+class UpstreamError extends HttpError {
+    constructor(code, message, options = {}) {
+        super(code === 'UPSTREAM_TIMEOUT' ? 504 : 502, code, message);
+        this.name = 'UpstreamError';
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+}
+
+/**
+ * Raised at startup when the configuration (lib/config.js) is invalid.
+ *
+ * @property {string[]} problems - One message per invalid setting
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super("Invalid configuration:\n  - " + problems.join("\n  - "));
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// ============================================================================
+// FACTORIES
+// ============================================================================
+
+/**
+ * Converts a { field: message } map into validation details.
+ *
+ * @param {Object<string, string|string[]>} fields - Messages per field
+ * @returns {Array<{field: string, message: string}>}
+ */
+const toFieldDetails = (fields) => {
+    return Object.entries(fields).flatMap(([field, messages]) =>
+        [].concat(messages).map((message) => ({ field, message })));
+}
+
+/** 400 with per-field details: validationError("Invalid book", { title: "Field is required" }) */
+const validationError = (message, fields) => new HttpError(400, 'VALIDATION_ERROR', message, toFieldDetails(fields));
+const badRequest = (message, details) => new HttpError(400, 'BAD_REQUEST', message, details);
+const unauthorized = (message) => new HttpError(401, 'UNAUTHENTICATED', message);
+const forbidden = (message) => new HttpError(403, 'FORBIDDEN', message);
+const notFound = (message) => new HttpError(404, 'NOT_FOUND', message);
+const conflict = (message) => new HttpError(409, 'CONFLICT', message);
+const tooManyRequests = (message) => new HttpError(429, 'TOO_MANY_REQUESTS', message);
+
+// ============================================================================
+// ASYNC ROUTE SUPPORT
+// ============================================================================
+
+/**
+ * Wraps an async route handler or middleware so that rejected promises are
+ * passed to next() and reach the central error handler (Express 4 does not
+ * do this on its own).
+ *
+ * @param {Function} handler - async (req, res, next) => ...
+ * @returns {Function} - Express middleware
+ */
+const asyncHandler = (handler) => {
+    return function (req, res, next) {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    HttpError,
+    UpstreamError,
+    ConfigError,
+    toFieldDetails,
+    validationError,
+    badRequest,
+    unauthorized,
+    forbidden,
+    notFound,
+    conflict,
+    tooManyRequests,
+    asyncHandler
+};
@@ -0,0 +1,107 @@
+/**
+ * ISBN Module
+ *
+ * Books are keyed by their ISBN-13, without hyphens. Every form of the same
+ * ISBN is accepted wherever a book is addressed:
+ *
+ *   978-0-385-47454-2, 9780385474542, 0-385-47454-7 and 0385474547
+ *
+ * all resolve to the book 9780385474542. ISBN-10s are converted to their
+ * ISBN-13 (prefix 978) and both forms must have a valid check digit.
+ *
+ * The numeric IDs the catalog used before (1-10) are kept as aliases in
+ * the `isbn_aliases` collection, { "1": { isbn: "9780385474542" } }; see
+ * lib/isbn_aliases.js for resolving identifiers to book keys. This module
+ * does not use the store, so the store's migrations can use it.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Collection of legacy book IDs and the ISBN-13 they stand for */
+const ISBN_ALIASES = 'isbn_aliases';
+
+/** Message for identifiers that are not a valid ISBN */
+const INVALID_ISBN = "Must be a valid ISBN-10 or ISBN-13";
+
+// ============================================================================
+// CHECK DIGITS
+// ============================================================================
+
+/**
+ * Computes the ISBN-10 check digit of nine digits.
+ *
+ * @param {string} digits - First nine digits
+ * @returns {string} - "0"-"9" or "X"
+ */
+const isbn10CheckDigit = (digits) => {
+    const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * Computes the ISBN-13 check digit of twelve digits.
+ *
+ * @param {string} digits - First twelve digits
+ * @returns {string} - "0"-"9"
+ */
+const isbn13CheckDigit = (digits) => {
+    const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Converts any form of an ISBN to its canonical ISBN-13.
+ *
+ * @param {string} value - ISBN-10 or ISBN-13, with or without hyphens or spaces
+ * @returns {string|null} - 13 digits, or null when the value is not a valid ISBN
+ *
+ * @example
+ * normalizeIsbn('0-385-47454-7'); // "9780385474542"
+ * normalizeIsbn('978-0-385-47454-3'); // null (wrong check digit)
+ */
+const normalizeIsbn = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const compact = value.replace(/[\s-]/g, '').toUpperCase();
+    if (/^\d{9}[\dX]$/.test(compact) && isbn10CheckDigit(compact.slice(0, 9)) === compact[9]) {
+        const digits = '978' + compact.slice(0, 9);
+        return digits + isbn13CheckDigit(digits);
+    }
+    if (/^97[89]\d{10}$/.test(compact) && isbn13CheckDigit(compact.slice(0, 12)) === compact[12]) {
+        return compact;
+    }
+    return null;
+}
+
+/**
+ * Returns the ISBN-10 of an ISBN-13. Only 978 ISBNs have one.
+ *
+ * @param {string} isbn13 - Canonical ISBN-13
+ * @returns {string|null}
+ */
+const toIsbn10 = (isbn13) => {
+    if (!/^978\d{10}$/.test(isbn13)) {
+        return null;
+    }
+    const digits = isbn13.slice(3, 12);
+    return digits + isbn10CheckDigit(digits);
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    ISBN_ALIASES,
+    INVALID_ISBN,
+    normalizeIsbn,
+    toIsbn10
+};
@@ -0,0 +1,75 @@
+/**
+ * ISBN Alias Module
+ *
+ * Resolves the identifiers clients use for books to book keys: the
+ * canonical ISBN-13 of any valid ISBN form (lib/isbn.js), the ISBN-13 a
+ * legacy numeric ID stands for, or else the identifier itself, so books
+ * added under arbitrary keys before ISBNs were checked are still found.
+ *
+ * Legacy IDs are stored in the isbn_aliases collection:
+ *
+ *   { "1": { isbn: "9780385474542" } }
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const db = require('../store');
+const { ISBN_ALIASES, normalizeIsbn } = require('./isbn.js');
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Finds the book key an identifier refers to.
+ *
+ * @param {string} id - Identifier from a URL or an import
+ * @param {Object} [aliases] - Alias collection handle (default: the open store's;
+ *        pass a transaction's to resolve inside it)
+ * @returns {Promise<string>} - Book key; the book may not exist
+ *
+ * @example
+ * await resolveIsbn('0-385-47454-7'); // "9780385474542"
+ * await resolveIsbn('1');             // "9780385474542" (legacy ID)
+ */
+const resolveIsbn = async (id, aliases = db.collection(ISBN_ALIASES)) => {
+    const isbn = normalizeIsbn(id);
+    if (isbn) {
+        return isbn;
+    }
+    const alias = await aliases.get(id);
+    return alias ? alias.isbn : id;
+}
+
+/**
+ * Router parameter handler replacing req.params.isbn with the book key it
+ * resolves to, so route handlers only ever see book keys.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware in chain
+ * @param {string} id - Raw :isbn parameter
+ * @returns {void}
+ *
+ * @example
+ * router.param('isbn', isbnParam);
+ */
+const isbnParam = (req, res, next, id) => {
+    resolveIsbn(id)
+        .then((isbn) => {
+            req.params.isbn = isbn;
+            next();
+        })
+        .catch(next);
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    resolveIsbn,
+    isbnParam
+};
@@ -0,0 +1,358 @@
+/**
+ * Catalog Listing Module
+ *
+ * Pagination, sorting and field selection shared by the catalog listing
+ * routes (GET /, GET /author/:author, GET /title/:title).
+ *
+ * Query parameters:
+ * - limit:  page size, 1-100 (default 20)
+ * - offset: number of books to skip (offset pagination, default 0)
+ * - cursor: opaque token from nextCursor/prevCursor (cursor pagination;
+ *           stable while books are added or removed)
+ * - sort:   isbn (default), title, author, year, rating or reviewCount
+ * - order:  asc or desc (default asc; desc for rating and reviewCount)
+ * - fields: comma-separated subset of isbn, author, authorId, title, year,
+ *           genres, language, pages, description, coverUrl, reviews, rating,
+ *           reviewCount (isbn is always returned; metadata a book lacks is
+ *           left out)
+ *
+ * Filters, applied before pagination:
+ * - genre:            books with this genre or subject (case-insensitive)
+ * - language:         books in this language (case-insensitive)
+ * - yearFrom, yearTo: books published in this range, inclusive; books
+ *                     without a year are left out
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { publishedReviews, summarizeRatings } = require('./reviews.js');
+const { normalizeGenre } = require('./books.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Default and maximum page size */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/** Fields a listing entry can contain */
+const LIST_FIELDS = ['isbn', 'author', 'authorId', 'title', 'year', 'genres', 'language', 'pages', 'description', 'coverUrl', 'reviews', 'rating', 'reviewCount'];
+
+/** Supported sort keys with the value they sort by and their default order */
+const SORTS = {
+    isbn: { value: (entry) => entry.isbn, order: 'asc' },
+    title: { value: (entry) => entry.title.toLowerCase(), order: 'asc' },
+    author: { value: (entry) => entry.author.toLowerCase(), order: 'asc' },
+    year: { value: (entry) => (entry.year === undefined ? null : entry.year), order: 'asc' },
+    rating: { value: (entry) => entry.rating.average, order: 'desc' },
+    reviewCount: { value: (entry) => entry.reviewCount, order: 'desc' }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Compares two sort values. Numeric strings compare as numbers so that
+ * ISBN "10" sorts after "9"; null (e.g. an unrated book) always sorts last.
+ *
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null || a === undefined) {
+        return 1;
+    }
+    if (b === null || b === undefined) {
+        return -1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Builds a comparator for sort keys ({ value, isbn } pairs) in the given
+ * order. Ties are broken by ISBN so the order is total, which cursor
+ * pagination relies on. Nulls (e.g. unrated books) stay last either way.
+ *
+ * @param {string} order - "asc" or "desc"
+ * @returns {function(Object, Object): number}
+ */
+const comparator = (order) => {
+    const direction = order === 'desc' ? -1 : 1;
+    return (a, b) => {
+        const nullable = a.value === null || b.value === null;
+        const byValue = (nullable ? 1 : direction) * compareValues(a.value, b.value);
+        return byValue !== 0 ? byValue : compareValues(a.isbn, b.isbn);
+    };
+}
+
+/** Encodes a cursor pointing at a listing entry */
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+/** Decodes a cursor, returning null when it is malformed */
+const decodeCursor = (token) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        if (cursor && typeof cursor.isbn === 'string' && 'value' in cursor && (cursor.dir === 'next' || cursor.dir === 'prev')) {
+            return cursor;
+        }
+    } catch (error) {
+        // Fall through to the invalid cursor result
+    }
+    return null;
+}
+
+// ============================================================================
+// QUERY PARSING
+// ============================================================================
+
+/**
+ * Parses and validates listing query parameters.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {{options?: Object, errors?: Object<string, string>}} - Parsed options, or field errors
+ */
+const parseListQuery = (query) => {
+    const errors = {};
+    const single = (name) => (Array.isArray(query[name]) ? undefined : query[name]);
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(single('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.limit = "Must be an integer from 1 to " + MAX_LIMIT;
+    }
+
+    const offset = query.offset === undefined ? 0 : Number(single('offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.offset = "Must be a non-negative integer";
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(single('cursor'));
+        if (!cursor) {
+            errors.cursor = "Invalid cursor";
+        } else if (query.offset !== undefined) {
+            errors.offset = "Cannot be combined with cursor";
+        }
+    }
+
+    const sort = query.sort === undefined ? 'isbn' : single('sort');
+    if (!Object.prototype.hasOwnProperty.call(SORTS, sort)) {
+        errors.sort = "Must be one of " + Object.keys(SORTS).join(', ');
+    }
+
+    const order = query.order === undefined ? (SORTS[sort] ? SORTS[sort].order : 'asc') : single('order');
+    if (order !== 'asc' && order !== 'desc') {
+        errors.order = "Must be asc or desc";
+    }
+
+    let fields = LIST_FIELDS;
+    if (query.fields !== undefined) {
+        const requested = String(single('fields') || '').split(',').map((field) => field.trim()).filter(Boolean);
+        const unknown = requested.filter((field) => !LIST_FIELDS.includes(field));
+        if (requested.length === 0 || unknown.length > 0) {
+            errors.fields = "Must be a comma-separated list of " + LIST_FIELDS.join(', ');
+        } else {
+            fields = Array.from(new Set(['isbn', ...requested]));
+        }
+    }
+
+    // A cursor only makes sense with the ordering it was created for
+    if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+        errors.cursor = "Cursor was created for a different sort order";
+    }
+
+    const filters = {};
+    ['genre', 'language'].forEach((name) => {
+        if (query[name] !== undefined) {
+            const value = String(single(name) || '').trim();
+            if (value === '') {
+                errors[name] = "Must not be blank";
+            } else {
+                filters[name] = name === 'genre' ? normalizeGenre(value) : value.toLowerCase();
+            }
+        }
+    });
+    ['yearFrom', 'yearTo'].forEach((name) => {
+        if (query[name] !== undefined) {
+            filters[name] = Number(single(name));
+            if (!Number.isInteger(filters[name])) {
+                errors[name] = "Must be an integer";
+            }
+        }
+    });
+    if (!errors.yearFrom && !errors.yearTo && filters.yearFrom > filters.yearTo) {
+        errors.yearTo = "Must not be before yearFrom";
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    return { options: { limit, offset, cursor, sort, order, fields, filters } };
+}
+
+// ============================================================================
+// LISTING
+// ============================================================================
+
+/**
+ * Turns a stored book into a listing entry.
+ *
+ * @param {string} isbn - Book key
+ * @param {Object} book - Stored book
+ * @returns {Object}
+ */
+const toListEntry = (isbn, book) => {
+    const reviews = publishedReviews(book.reviews);
+    return {
+        isbn,
+        author: book.author,
+        authorId: book.authorId,
+        title: book.title,
+        year: book.year,
+        genres: book.genres,
+        language: book.language,
+        pages: book.pages,
+        description: book.description,
+        coverUrl: book.coverUrl,
+        reviews,
+        rating: summarizeRatings(reviews),
+        reviewCount: Object.keys(reviews).length
+    };
+}
+
+/**
+ * Tells whether a listing entry passes the filters of parseListQuery().
+ *
+ * @param {Object} entry - Listing entry
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean}
+ */
+const matchesFilters = (entry, filters) => {
+    if (filters.genre !== undefined && !(entry.genres || []).includes(filters.genre)) {
+        return false;
+    }
+    if (filters.language !== undefined && String(entry.language).toLowerCase() !== filters.language) {
+        return false;
+    }
+    if ((filters.yearFrom !== undefined || filters.yearTo !== undefined) && entry.year === undefined) {
+        return false;
+    }
+    return !(entry.year < filters.yearFrom || entry.year > filters.yearTo);
+}
+
+/**
+ * Builds a URL to the same route with some query parameters replaced.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} params - Parameters to set (undefined removes a parameter)
+ * @returns {string}
+ */
+const linkTo = (req, params) => {
+    const search = new URLSearchParams();
+    Object.entries({ ...req.query, ...params }).forEach(([name, value]) => {
+        if (value !== undefined) {
+            search.set(name, String(value));
+        }
+    });
+    const query = search.toString();
+    return req.baseUrl + req.path + (query ? '?' + query : '');
+}
+
+/**
+ * Filters, sorts, paginates and projects a set of books.
+ *
+ * @param {Object<string, Object>} books - Books keyed by ISBN
+ * @param {Object} options - Options from parseListQuery()
+ * @param {Object} req - Express request, used to build next/prev links
+ * @returns {{total: number, count: number, limit: number, offset?: number, books: Array<Object>,
+ *            nextCursor: string|null, prevCursor: string|null, links: Object}}
+ */
+const listBooks = (books, options, req) => {
+    const { limit, cursor, sort, order, fields, filters = {} } = options;
+    const compare = comparator(order);
+    const keyOf = (entry) => ({ value: SORTS[sort].value(entry), isbn: entry.isbn });
+    const entries = Object.entries(books)
+        .map(([isbn, book]) => toListEntry(isbn, book))
+        .filter((entry) => matchesFilters(entry, filters))
+        .sort((a, b) => compare(keyOf(a), keyOf(b)));
+    const total = entries.length;
+
+    // Find the page window
+    let start;
+    if (cursor) {
+        const anchor = { value: cursor.value, isbn: cursor.isbn };
+        if (cursor.dir === 'next') {
+            start = entries.findIndex((entry) => compare(keyOf(entry), anchor) > 0);
+            start = start === -1 ? total : start;
+        } else {
+            let end = entries.findIndex((entry) => compare(keyOf(entry), anchor) >= 0);
+            end = end === -1 ? total : end;
+            start = Math.max(0, end - limit);
+        }
+    } else {
+        start = Math.min(options.offset, total);
+    }
+    const page = entries.slice(start, start + limit);
+    const hasNext = start + page.length < total;
+    const hasPrev = start > 0;
+
+    // Cursors remember the sort key of the first/last entry on the page
+    const cursorFor = (entry, dir) => encodeCursor({ ...keyOf(entry), sort, order, dir });
+    const nextCursor = hasNext && page.length > 0 ? cursorFor(page[page.length - 1], 'next') : null;
+    const prevCursor = hasPrev && page.length > 0 ? cursorFor(page[0], 'prev') : null;
+
+    let links;
+    if (cursor) {
+        links = {
+            self: linkTo(req, {}),
+            next: nextCursor ? linkTo(req, { cursor: nextCursor }) : null,
+            prev: prevCursor ? linkTo(req, { cursor: prevCursor }) : null
+        };
+    } else {
+        links = {
+            self: linkTo(req, {}),
+            next: hasNext ? linkTo(req, { offset: start + limit }) : null,
+            prev: hasPrev ? linkTo(req, { offset: Math.max(0, start - limit) }) : null
+        };
+    }
+
+    return {
+        total,
+        count: page.length,
+        limit,
+        // Only meaningful for offset pagination; omitted from JSON otherwise
+        offset: cursor ? undefined : start,
+        books: page.map((entry) => {
+            const projected = {};
+            fields.forEach((field) => {
+                projected[field] = entry[field];
+            });
+            return projected;
+        }),
+        nextCursor,
+        prevCursor,
+        links
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    LIST_FIELDS,
+    SORTS,
+    parseListQuery,
+    listBooks
+};
@@ -0,0 +1,131 @@
+/**
+ * Login Lockout Module
+ *
+ * Tracks failed login attempts per key (a username or a client IP) and
+ * locks the key out with exponential backoff once too many failures pile
+ * up inside the tracking window.
+ *
+ * With the defaults a username is locked for 30s after its 5th failure,
+ * 60s after the 6th, 120s after the 7th, ... capped at 15 minutes.
+ * Failures older than the window are forgotten.
+ *
+ * Settings (lib/config.js, login.*):
+ * - maxAttemptsPerUser (LOGIN_MAX_ATTEMPTS_PER_USER)
+ * - maxAttemptsPerIp (LOGIN_MAX_ATTEMPTS_PER_IP)
+ * - lockoutBaseSeconds (LOGIN_LOCKOUT_BASE_SECONDS)
+ * - lockoutMaxSeconds (LOGIN_LOCKOUT_MAX_SECONDS)
+ * - attemptWindowSeconds (LOGIN_ATTEMPT_WINDOW_SECONDS)
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { config } = require('./config.js');
+
+// ============================================================================
+// TRACKER FACTORY
+// ============================================================================
+
+/**
+ * Creates an in-memory failed-attempt tracker.
+ *
+ * @param {Object} options
+ * @param {number} options.maxAttempts - Failures allowed before the key is locked
+ * @param {number} [options.baseLockMs=30000] - Lock duration after the first lockout
+ * @param {number} [options.maxLockMs=900000] - Upper bound for the lock duration
+ * @param {number} [options.windowMs=900000] - How long failures are remembered
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {{check: Function, fail: Function, reset: Function}}
+ */
+const createAttemptTracker = (options) => {
+    const maxAttempts = options.maxAttempts;
+    const baseLockMs = options.baseLockMs || 30 * 1000;
+    const maxLockMs = options.maxLockMs || 15 * 60 * 1000;
+    const windowMs = options.windowMs || 15 * 60 * 1000;
+    const now = options.now || Date.now;
+
+    /** key -> { failures, lastFailure, lockedUntil } */
+    const entries = new Map();
+
+    /** Drops the entry for a key once its failures have aged out */
+    const current = (key) => {
+        const entry = entries.get(key);
+        if (entry && now() - entry.lastFailure > windowMs && now() >= entry.lockedUntil) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    return {
+        /**
+         * Returns how many milliseconds the key remains locked (0 if not locked).
+         *
+         * @param {string} key
+         * @returns {number}
+         */
+        check(key) {
+            const entry = current(key);
+            return entry ? Math.max(0, entry.lockedUntil - now()) : 0;
+        },
+
+        /**
+         * Records a failed attempt and locks the key when the limit is reached.
+         *
+         * @param {string} key
+         * @returns {number} - Milliseconds the key is now locked for (0 if not locked)
+         */
+        fail(key) {
+            // Sweep stale entries now and then so the map can't grow without bound
+            if (entries.size > 10000) {
+                Array.from(entries.keys()).forEach(current);
+            }
+            const entry = current(key) || { failures: 0, lastFailure: 0, lockedUntil: 0 };
+            entry.failures += 1;
+            entry.lastFailure = now();
+            if (entry.failures >= maxAttempts) {
+                // Double the lock for every failure past the limit
+                const lockMs = Math.min(maxLockMs, baseLockMs * Math.pow(2, entry.failures - maxAttempts));
+                entry.lockedUntil = now() + lockMs;
+            }
+            entries.set(key, entry);
+            return Math.max(0, entry.lockedUntil - now());
+        },
+
+        /**
+         * Clears the failure history of a key.
+         *
+         * @param {string} key
+         * @returns {void}
+         */
+        reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+/**
+ * Creates the login lockout used by POST /customer/login, with separate
+ * trackers for usernames and client IPs.
+ *
+ * @returns {{byUser: Object, byIp: Object}}
+ */
+const createLoginLockout = () => {
+    const settings = config.login;
+    const shared = {
+        baseLockMs: settings.lockoutBaseSeconds * 1000,
+        maxLockMs: settings.lockoutMaxSeconds * 1000,
+        windowMs: settings.attemptWindowSeconds * 1000
+    };
+    return {
+        byUser: createAttemptTracker({ ...shared, maxAttempts: settings.maxAttemptsPerUser }),
+        byIp: createAttemptTracker({ ...shared, maxAttempts: settings.maxAttemptsPerIp })
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createAttemptTracker, createLoginLockout };
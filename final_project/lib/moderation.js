@@ -0,0 +1,210 @@
+/**
+ * Review Moderation Module
+ *
+ * Moderation workflow of reviews (see the Review model in lib/reviews.js):
+ *
+ * - approved: published; reviews without a status are approved
+ * - pending:  hidden until a moderator decides
+ * - rejected: hidden for good, until the author edits the review
+ *
+ * A new review starts out approved unless its text contains a banned word,
+ * in which case it is held as pending. Editing a rejected review puts it
+ * back in the queue. Users can report other users' reviews; once a review
+ * collects enough reports it is hidden as pending as well. A moderator's
+ * decision closes the open reports.
+ *
+ * Hidden reviews stay visible to their author through
+ * GET /customer/auth/review/:isbn.
+ *
+ * Settings (lib/config.js):
+ * - moderation.bannedWords (MODERATION_BANNED_WORDS): Words and phrases that
+ *   hold a review for moderation; matched as whole words, ignoring case and
+ *   diacritics
+ * - moderation.reportThreshold (MODERATION_REPORT_THRESHOLD): Reports that hide
+ *   an approved review
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { config } = require('./config.js');
+const { normalizeReview, reviewStatus, toPublicReview } = require('./reviews.js');
+const { tokenize } = require('./search.js');
+
+// ============================================================================
+// BANNED WORDS
+// ============================================================================
+
+/**
+ * Finds the banned words and phrases contained in a text.
+ *
+ * @param {string} text - Review text
+ * @param {string[]} [bannedWords] - Words and phrases (default: moderation.bannedWords setting)
+ * @returns {string[]} - The banned entries found, in list order
+ *
+ * @example
+ * findBannedWords("What a CRÂP ending", ['crap']) // ['crap']
+ * findBannedWords("Scrapbook", ['crap'])          // []
+ */
+const findBannedWords = (text, bannedWords = config.moderation.bannedWords) => {
+    const words = tokenize(text);
+    return bannedWords.filter((entry) => {
+        const phrase = tokenize(entry);
+        if (phrase.length === 0) {
+            return false;
+        }
+        for (let start = 0; start + phrase.length <= words.length; start++) {
+            if (phrase.every((word, i) => words[start + i] === word)) {
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+// ============================================================================
+// WORKFLOW
+// ============================================================================
+
+/**
+ * Runs a freshly written review through the pre-filter and sets its status.
+ *
+ * - Text with banned words is held as pending
+ * - An edited rejected review goes back to pending
+ * - A review that was only held by the filter is approved once it is clean
+ * - Otherwise the review keeps its status (new reviews are approved)
+ *
+ * @param {Review|undefined} previous - Review before the write, if any
+ * @param {Review} review - Review after the write (lib/reviews.js writeReview)
+ * @returns {Review} - The review with `status` and `flaggedWords` set
+ */
+const screenReview = (previous, review) => {
+    const flaggedWords = findBannedWords(review.text);
+    const before = previous === undefined ? null : reviewStatus(previous);
+    const reported = Object.keys(review.reports || {}).length > 0;
+
+    let status;
+    if (flaggedWords.length > 0 || before === 'rejected') {
+        status = 'pending';
+    } else if (before === 'pending' && !reported) {
+        status = 'approved';
+    } else {
+        status = before || 'approved';
+    }
+    return { ...review, status, flaggedWords };
+}
+
+/**
+ * Records a report against a review. A user's second report replaces the
+ * first. An approved review reaching the report threshold becomes pending.
+ *
+ * @param {Review} value - Stored review
+ * @param {string} reporter - Username of the reporting user
+ * @param {string} reason - Why the review was reported
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Reports that hide a review (default: moderation.reportThreshold setting)
+ * @param {Date} [options.now=new Date()] - Timestamp of the report
+ * @returns {Review}
+ */
+const reportReview = (value, reporter, reason, options = {}) => {
+    const threshold = options.threshold || config.moderation.reportThreshold;
+    const now = options.now || new Date();
+    const review = normalizeReview(value);
+
+    const reports = { ...review.reports, [reporter]: { reason, createdAt: now.toISOString() } };
+    let status = reviewStatus(review);
+    if (status === 'approved' && Object.keys(reports).length >= threshold) {
+        status = 'pending';
+    }
+    return { ...review, status, reports };
+}
+
+/**
+ * Applies a moderator's decision to a review and closes its reports.
+ *
+ * @param {Review} value - Stored review
+ * @param {string} status - "approved" or "rejected"
+ * @param {string} moderator - Username of the moderator
+ * @param {Date} [now=new Date()] - Timestamp of the decision
+ * @returns {Review}
+ */
+const decideReview = (value, status, moderator, now = new Date()) => {
+    return {
+        ...normalizeReview(value),
+        status,
+        reports: {},
+        moderation: { by: moderator, at: now.toISOString() }
+    };
+}
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+/**
+ * A review as shown to its author: the public fields and its status.
+ *
+ * @param {Review} value - Stored review
+ * @returns {Object}
+ */
+const toOwnReview = (value) => {
+    return { ...toPublicReview(value), status: reviewStatus(value) };
+}
+
+/**
+ * A review as shown in the moderation queue.
+ *
+ * @param {string} isbn - Book key
+ * @param {Object} book - Stored book
+ * @param {string} username - Author of the review
+ * @returns {Object}
+ */
+const toModerationItem = (isbn, book, username) => {
+    const review = normalizeReview(book.reviews[username]);
+    return {
+        isbn,
+        title: book.title,
+        username,
+        review: toOwnReview(review),
+        flaggedWords: review.flaggedWords || [],
+        reports: Object.entries(review.reports || {}).map(([reporter, report]) => ({ reporter, ...report })),
+        moderation: review.moderation || null
+    };
+}
+
+/**
+ * Lists the reviews with a given status across all books. Reviews with the
+ * most reports come first, then the longest waiting.
+ *
+ * @param {Object<string, Object>} books - All stored books by ISBN
+ * @param {string} status - One of REVIEW_STATUSES
+ * @returns {Object[]} - Moderation items (see toModerationItem)
+ */
+const moderationQueue = (books, status) => {
+    const items = [];
+    Object.entries(books).forEach(([isbn, book]) => {
+        Object.keys(book.reviews || {}).forEach((username) => {
+            if (reviewStatus(book.reviews[username]) === status) {
+                items.push(toModerationItem(isbn, book, username));
+            }
+        });
+    });
+    return items.sort((a, b) =>
+        (b.reports.length - a.reports.length) ||
+        String(a.review.updatedAt || '').localeCompare(String(b.review.updatedAt || '')));
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    findBannedWords,
+    screenReview,
+    reportReview,
+    decideReview,
+    toOwnReview,
+    toModerationItem,
+    moderationQueue
+};
@@ -0,0 +1,576 @@
+/**
+ * OpenAPI Module
+ *
+ * Builds the OpenAPI 3 document served at /openapi.json from the mounted
+ * routers. Each route declares its request schemas and documentation in
+ * the schema passed to validate() (lib/validation.js):
+ *
+ *   validate({
+ *       summary: "Get book details by ISBN",
+ *       tags: ['Books'],
+ *       params: schemas.isbnParams,
+ *       responses: { 200: { description: "Book found", schema: 'BookWithRating' }, 404: "Book not found" }
+ *   })
+ *
+ * Response `schema` names refer to the response schemas below; `types`
+ * lists media types sent besides JSON. A response given as a plain string
+ * is an error response with that description. Routes reading a non-JSON
+ * body describe it with `rawBody: { description, types }`.
+ * Standard error responses are added automatically: 400 for routes with
+ * request schemas, 401/403 for protected routes, 429 for rate limited
+ * routes and 500 for every route. Routes marked `cached: true` (see
+ * lib/cache.js) document the If-None-Match header, their ETag and
+ * Cache-Control headers and the 304 response.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { MIN_RATING, MAX_RATING, REVIEW_STATUSES, REVIEW_SORTS, VOTES } = require('./reviews.js');
+const { ROLES } = require('./roles.js');
+const { BOOK_METADATA } = require('./books.js');
+
+// ============================================================================
+// RESPONSE SCHEMAS
+// ============================================================================
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const nullableString = { type: 'string', nullable: true };
+
+/** Builds a closed object schema in which every property is required */
+const record = (properties, optional = []) => ({
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter((name) => !optional.includes(name)),
+    additionalProperties: false
+});
+
+/** Structured review stored on a book */
+const reviewProperties = {
+    rating: { type: 'integer', minimum: MIN_RATING, maximum: MAX_RATING, nullable: true, description: "Star rating (null for legacy reviews)" },
+    text: string,
+    createdAt: { type: 'string', nullable: true, description: "ISO timestamp" },
+    updatedAt: { type: 'string', nullable: true, description: "ISO timestamp" },
+    editCount: integer,
+    helpful: { type: 'integer', description: "Users who found the review helpful" },
+    unhelpful: { type: 'integer', description: "Users who found the review unhelpful" }
+};
+
+/** Optional book metadata (lib/books.js); missing when a book has none */
+const bookMetadataProperties = {
+    year: { type: 'integer', description: "Year of first publication (negative for BCE)" },
+    genres: { type: 'array', items: string, description: "Genres and subjects, lowercase" },
+    language: { type: 'string', description: "Language of the edition (BCP 47 tag)" },
+    pages: integer,
+    description: string,
+    coverUrl: { type: 'string', description: "Cover image URL" }
+};
+
+/** Link of a book to its author entity; missing for books from a remote catalog */
+const authorIdProperty = { type: 'string', description: "ID of the author (GET /authors/{id})" };
+
+/** Author entity (lib/authors.js) */
+const authorProperties = {
+    name: string,
+    aliases: { type: 'array', items: string, description: "Other names and spellings the author is found by" },
+    bio: nullableString
+};
+
+/** Review as shown to its author and to moderators */
+const ownReviewProperties = {
+    ...reviewProperties,
+    status: { type: 'string', enum: REVIEW_STATUSES, description: "Moderation status; only approved reviews are public" }
+};
+
+/** Reusable schemas, published under components.schemas */
+const SCHEMAS = {
+    Error: record({
+        error: record({
+            code: { type: 'string', description: "Machine readable error code, e.g. NOT_FOUND" },
+            message: string,
+            details: {
+                type: 'array',
+                nullable: true,
+                description: "Per-field problems for validation errors",
+                items: record({ field: nullableString, message: string })
+            },
+            requestId: { type: 'string', description: "Also sent in the X-Request-Id header" }
+        })
+    }),
+    Message: record({ message: string }),
+    Review: record(reviewProperties),
+    RatingSummary: record({
+        average: { type: 'number', nullable: true, description: "Average rating (null without ratings)" },
+        count: integer,
+        distribution: { type: 'object', additionalProperties: integer, description: "Number of reviews per star rating" }
+    }),
+    Book: record({
+        author: { type: 'string', description: "Author name as credited by the book" },
+        authorId: authorIdProperty,
+        title: string,
+        ...bookMetadataProperties,
+        reviews: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Review' }, description: "Reviews keyed by username" }
+    }, ['authorId', ...BOOK_METADATA]),
+    BookWithRating: record({
+        isbn: { type: 'string', description: "Book key: the ISBN-13 without hyphens" },
+        isbn10: { type: 'string', nullable: true, description: "ISBN-10, for ISBN-13s starting with 978" },
+        author: string,
+        authorId: authorIdProperty,
+        title: string,
+        ...bookMetadataProperties,
+        reviews: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Review' } },
+        rating: { $ref: '#/components/schemas/RatingSummary' }
+    }, ['authorId', ...BOOK_METADATA]),
+    BookPage: record({
+        total: integer,
+        count: integer,
+        limit: integer,
+        offset: { type: 'integer', description: "Omitted for cursor pagination" },
+        books: {
+            type: 'array',
+            description: "Only the requested fields; isbn is always present",
+            items: record({
+                isbn: string,
+                author: string,
+                authorId: authorIdProperty,
+                title: string,
+                ...bookMetadataProperties,
+                reviews: { type: 'object', additionalProperties: { $ref: '#/components/schemas/Review' } },
+                rating: { $ref: '#/components/schemas/RatingSummary' },
+                reviewCount: integer
+            }, ['author', 'authorId', 'title', ...BOOK_METADATA, 'reviews', 'rating', 'reviewCount'])
+        },
+        nextCursor: nullableString,
+        prevCursor: nullableString,
+        links: record({ self: string, next: nullableString, prev: nullableString })
+    }, ['offset']),
+    SearchResults: record({
+        query: string,
+        total: integer,
+        results: {
+            type: 'array',
+            items: record({
+                isbn: string,
+                score: { type: 'number' },
+                author: string,
+                title: string,
+                rating: { $ref: '#/components/schemas/RatingSummary' }
+            })
+        },
+        facets: record({
+            author: { type: 'array', items: record({ value: string, count: integer }) },
+            rating: { type: 'array', items: record({ value: string, count: integer }) }
+        })
+    }),
+    ReviewList: record({
+        sort: { type: 'string', enum: Object.keys(REVIEW_SORTS) },
+        total: integer,
+        limit: integer,
+        offset: integer,
+        reviews: { type: 'array', items: record({ username: string, ...reviewProperties }) },
+        rating: { $ref: '#/components/schemas/RatingSummary' }
+    }),
+    OwnReview: record(ownReviewProperties),
+    VoteResult: record({
+        isbn: string,
+        username: string,
+        vote: { type: 'string', enum: VOTES, nullable: true, description: "Your vote (null once withdrawn)" },
+        helpful: integer,
+        unhelpful: integer
+    }),
+    ReviewResult: record({ isbn: string, username: string, review: { $ref: '#/components/schemas/OwnReview' } }),
+    ModerationItem: record({
+        isbn: string,
+        title: string,
+        username: string,
+        review: { $ref: '#/components/schemas/OwnReview' },
+        flaggedWords: { type: 'array', items: string, description: "Banned words found in the text" },
+        reports: { type: 'array', items: record({ reporter: string, reason: string, createdAt: string }), description: "Open reports" },
+        moderation: { ...record({ by: string, at: string }), nullable: true, description: "Latest moderator decision" }
+    }),
+    ModerationQueue: record({
+        status: { type: 'string', enum: REVIEW_STATUSES },
+        total: integer,
+        reviews: { type: 'array', items: { $ref: '#/components/schemas/ModerationItem' } }
+    }),
+    Tokens: record({
+        message: string,
+        accessToken: string,
+        refreshToken: string,
+        csrfToken: { type: 'string', description: "Send in the X-CSRF-Token header with the session cookie (login in session mode only)" }
+    }, ['csrfToken']),
+    CsrfToken: record({ csrfToken: string }),
+    Profile: record({
+        username: string,
+        role: { type: 'string', enum: ROLES },
+        displayName: nullableString,
+        bio: nullableString,
+        createdAt: { type: 'string', nullable: true, description: "ISO timestamp of the registration (null for older accounts)" },
+        reviewCount: integer
+    }),
+    MyReviews: record({
+        total: integer,
+        reviews: { type: 'array', items: record({ isbn: string, title: string, review: { $ref: '#/components/schemas/OwnReview' } }) }
+    }),
+    ShelfEntry: record({
+        isbn: string,
+        shelf: string,
+        addedAt: string,
+        movedAt: { type: 'string', description: "When the book was put on its current shelf" },
+        startedAt: { type: 'string', nullable: true, description: "When the book was last moved to reading" },
+        finishedAt: { type: 'string', nullable: true, description: "When the book was last moved to finished" }
+    }),
+    Shelf: record({
+        name: string,
+        custom: { type: 'boolean', description: "False for want-to-read, reading and finished" },
+        count: integer,
+        books: {
+            type: 'array',
+            items: record({
+                isbn: string,
+                title: string,
+                author: string,
+                addedAt: string,
+                movedAt: string,
+                startedAt: nullableString,
+                finishedAt: nullableString
+            })
+        }
+    }),
+    ShelfList: record({
+        public: { type: 'boolean', description: "Whether anyone may view the shelves" },
+        shelves: { type: 'array', items: { $ref: '#/components/schemas/Shelf' } }
+    }),
+    PublicShelves: record({
+        username: string,
+        shelves: { type: 'array', items: { $ref: '#/components/schemas/Shelf' } }
+    }),
+    BookResult: record({ isbn: string, book: { $ref: '#/components/schemas/Book' } }),
+    Author: record(authorProperties),
+    AuthorPage: record({
+        total: integer,
+        limit: integer,
+        offset: integer,
+        authors: {
+            type: 'array',
+            items: record({ id: string, name: string, aliases: authorProperties.aliases, bookCount: integer })
+        }
+    }),
+    AuthorDetails: record({
+        id: string,
+        ...authorProperties,
+        bookCount: integer,
+        rating: { $ref: '#/components/schemas/RatingSummary' },
+        books: {
+            type: 'array',
+            description: "Oldest first; books without a year last",
+            items: record({
+                isbn: string,
+                title: string,
+                year: bookMetadataProperties.year,
+                rating: { $ref: '#/components/schemas/RatingSummary' }
+            }, ['year'])
+        }
+    }),
+    AuthorResult: record({ id: string, author: { $ref: '#/components/schemas/Author' } }),
+    RoleResult: record({ username: string, role: string }),
+    RevokeResult: record({ message: string, revokedRefreshTokens: integer }),
+    ImportReport: record({
+        dataset: string,
+        format: string,
+        dryRun: { type: 'boolean' },
+        total: integer,
+        created: integer,
+        updated: integer,
+        unchanged: integer,
+        failed: integer,
+        errors: {
+            type: 'array',
+            items: record({ row: integer, field: nullableString, message: string })
+        }
+    }),
+    ExportRecords: { type: 'array', items: { type: 'object' } }
+};
+
+/** Standard error responses, published under components.responses */
+const ERROR_RESPONSES = {
+    400: "Invalid request (code VALIDATION_ERROR, one detail per field)",
+    401: "Missing, invalid or revoked credentials (code UNAUTHENTICATED)",
+    403: "Authenticated user lacks the required role (code FORBIDDEN)",
+    429: "Too many requests from this client (code TOO_MANY_REQUESTS)",
+    500: "Unexpected server error (code INTERNAL_ERROR)"
+};
+
+/** Headers sent with standard error responses */
+const ERROR_RESPONSE_HEADERS = {
+    429: {
+        'Retry-After': { description: "Seconds until the client may retry", schema: { type: 'integer' } }
+    }
+};
+
+/** Headers sent with cached 200 responses */
+const CACHED_RESPONSE_HEADERS = {
+    'ETag': { description: "Strong entity tag of the response body", schema: { type: 'string' } },
+    'Cache-Control': { description: "How long clients may reuse the response before revalidating it", schema: { type: 'string' } }
+};
+
+/** Conditional request header accepted by cached routes */
+const IF_NONE_MATCH_PARAMETER = {
+    name: 'If-None-Match',
+    in: 'header',
+    required: false,
+    description: "ETag of a cached copy; answered with 304 while it is current",
+    schema: { type: 'string' }
+};
+
+/** Security schemes accepted by protected routes */
+const SECURITY_SCHEMES = {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid' }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** Schema keywords used only by the validator, not part of OpenAPI */
+const VALIDATOR_ONLY_KEYS = ['patternMessage'];
+
+/**
+ * Converts a validation schema into an OpenAPI schema object.
+ *
+ * @param {Object} schema - Validation schema
+ * @returns {Object}
+ */
+const toOpenApiSchema = (schema) => {
+    if (Array.isArray(schema)) {
+        return schema.map(toOpenApiSchema);
+    }
+    if (schema === null || typeof schema !== 'object') {
+        return schema;
+    }
+    const result = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (!VALIDATOR_ONLY_KEYS.includes(key)) {
+            result[key] = toOpenApiSchema(value);
+        }
+    });
+    return result;
+}
+
+/** Converts an Express path ("/isbn/:isbn") to an OpenAPI path ("/isbn/{isbn}") */
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+/** Joins a mount prefix and a route path */
+const joinPath = (prefix, routePath) => {
+    const joined = (prefix.replace(/\/$/, '') + routePath) || '/';
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * Builds the parameter list of an operation from params/query schemas.
+ *
+ * @param {Object} schema - Object schema
+ * @param {string} location - "path" or "query"
+ * @returns {Array<Object>}
+ */
+const toParameters = (schema, location) => {
+    if (!schema) {
+        return [];
+    }
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => {
+        const { description, ...rest } = toOpenApiSchema(property);
+        const parameter = { name, in: location, required: location === 'path' || required.includes(name), schema: rest };
+        if (description) {
+            parameter.description = description;
+        }
+        return parameter;
+    });
+}
+
+/**
+ * Builds the responses of an operation.
+ *
+ * @param {Object} routeSchema - Route schema passed to validate()
+ * @param {Object} access - { authenticated, role, rateLimited } of the route
+ * @returns {Object}
+ */
+const toResponses = (routeSchema, access) => {
+    const responses = {};
+    Object.entries(routeSchema.responses).forEach(([status, response]) => {
+        if (typeof response === 'string') {
+            responses[status] = { description: response, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+            return;
+        }
+        const entry = { description: response.description };
+        if (response.headers) {
+            entry.headers = response.headers;
+        }
+        entry.content = {
+            'application/json': { schema: { $ref: '#/components/schemas/' + (response.schema || 'Error') } }
+        };
+        (response.types || []).forEach((type) => {
+            entry.content[type] = { schema: { type: 'string' } };
+        });
+        responses[status] = entry;
+    });
+    if (routeSchema.cached) {
+        responses[200].headers = { ...responses[200].headers, ...CACHED_RESPONSE_HEADERS };
+        responses[304] = { description: "Not modified: If-None-Match matches the current ETag", headers: { 'ETag': CACHED_RESPONSE_HEADERS.ETag } };
+    }
+
+    const standard = [];
+    if (routeSchema.params || routeSchema.query || routeSchema.body) {
+        standard.push('400');
+    }
+    if (access.authenticated) {
+        standard.push('401');
+    }
+    if (access.role) {
+        standard.push('403');
+    }
+    if (access.rateLimited) {
+        standard.push('429');
+    }
+    standard.push('500');
+    standard.forEach((status) => {
+        if (!responses[status]) {
+            responses[status] = { $ref: '#/components/responses/Error' + status };
+        }
+    });
+    return responses;
+}
+
+// ============================================================================
+// DOCUMENT BUILDER
+// ============================================================================
+
+/**
+ * Builds the OpenAPI document for a set of mounted routers.
+ *
+ * @param {Object} options
+ * @param {string} options.title - API title
+ * @param {string} options.version - API version
+ * @param {Array<Object>} options.mounts - Mounted routers, in mount order:
+ *        { path, router, authenticated?: boolean|function(routePath): boolean, role?: string,
+ *          rateLimited?: boolean }
+ * @returns {Object} - OpenAPI 3.0 document
+ * @throws {Error} If a route has no validate() schema with documented responses
+ */
+const buildOpenApiDocument = (options) => {
+    const paths = {};
+
+    options.mounts.forEach((mount) => {
+        mount.router.stack.filter((layer) => layer.route).forEach((layer) => {
+            const route = layer.route;
+            const validator = route.stack.find((routeLayer) => routeLayer.handle.schema);
+            const routePath = joinPath(mount.path, route.path);
+            const methods = Object.keys(route.methods).filter((method) => route.methods[method]);
+
+            if (!validator || !validator.handle.schema.responses) {
+                throw new Error('Route ' + methods.join(',').toUpperCase() + ' ' + routePath + ' has no documented responses');
+            }
+            const routeSchema = validator.handle.schema;
+            const authenticated = typeof mount.authenticated === 'function'
+                ? mount.authenticated(route.path)
+                : Boolean(mount.authenticated);
+            const access = { authenticated, role: mount.role, rateLimited: Boolean(mount.rateLimited) };
+
+            methods.forEach((method) => {
+                const operation = {
+                    summary: routeSchema.summary,
+                    tags: routeSchema.tags,
+                    parameters: [...toParameters(routeSchema.params, 'path'), ...toParameters(routeSchema.query, 'query')]
+                };
+                if (routeSchema.cached) {
+                    operation.parameters.push(IF_NONE_MATCH_PARAMETER);
+                }
+                if (routeSchema.description) {
+                    operation.description = routeSchema.description;
+                }
+                if (operation.parameters.length === 0) {
+                    delete operation.parameters;
+                }
+                if (routeSchema.body) {
+                    operation.requestBody = {
+                        required: Boolean(routeSchema.body.required && routeSchema.body.required.length),
+                        content: { 'application/json': { schema: toOpenApiSchema(routeSchema.body) } }
+                    };
+                }
+                if (routeSchema.rawBody) {
+                    operation.requestBody = { required: true, description: routeSchema.rawBody.description, content: {} };
+                    routeSchema.rawBody.types.forEach((type) => {
+                        operation.requestBody.content[type] = { schema: { type: 'string' } };
+                    });
+                }
+                if (authenticated) {
+                    operation.security = [{ bearerAuth: [] }, { sessionCookie: [] }];
+                }
+                if (access.role) {
+                    operation.description = [operation.description, "Requires the " + access.role + " role."].filter(Boolean).join('\n\n');
+                }
+                operation.responses = toResponses(routeSchema, access);
+
+                const openApiPath = toOpenApiPath(routePath);
+                paths[openApiPath] = paths[openApiPath] || {};
+                paths[openApiPath][method] = operation;
+            });
+        });
+    });
+
+    const responses = {};
+    Object.entries(ERROR_RESPONSES).forEach(([status, description]) => {
+        responses['Error' + status] = {
+            description,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+        if (ERROR_RESPONSE_HEADERS[status]) {
+            responses['Error' + status].headers = ERROR_RESPONSE_HEADERS[status];
+        }
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title: options.title, version: options.version },
+        paths,
+        components: {
+            schemas: toOpenApiSchema(SCHEMAS),
+            responses,
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+}
+
+/**
+ * Replaces every $ref in a part of an OpenAPI document with its target.
+ *
+ * @param {*} node - Part of the document
+ * @param {Object} document - The whole document
+ * @returns {*} - Copy of the node without $refs
+ */
+const resolveRefs = (node, document) => {
+    if (Array.isArray(node)) {
+        return node.map((item) => resolveRefs(item, document));
+    }
+    if (node === null || typeof node !== 'object') {
+        return node;
+    }
+    if (typeof node.$ref === 'string') {
+        const target = node.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent[key], document);
+        return resolveRefs(target, document);
+    }
+    const result = {};
+    Object.entries(node).forEach(([key, value]) => {
+        result[key] = resolveRefs(value, document);
+    });
+    return result;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { buildOpenApiDocument, resolveRefs };
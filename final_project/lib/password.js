@@ -0,0 +1,163 @@
+/**
+ * Password Hashing and Policy Module
+ *
+ * Hashes passwords with scrypt (a deliberately slow, memory-hard KDF) and a
+ * random per-user salt, verifies them in constant time, and enforces the
+ * password strength policy applied at registration.
+ *
+ * Hash format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ *
+ * Policy settings (lib/config.js, password.*):
+ * - minLength / maxLength (PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH)
+ * - requireLowercase / requireUppercase / requireDigit / requireSymbol
+ *   (PASSWORD_REQUIRE_LOWERCASE, ...)
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { config } = require('./config.js');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** scrypt parameters for newly created hashes */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/** Length in bytes of the random salt and of the derived key */
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * Returns the active password policy.
+ *
+ * @returns {{minLength: number, maxLength: number, requireLowercase: boolean,
+ *            requireUppercase: boolean, requireDigit: boolean, requireSymbol: boolean}}
+ */
+const getPasswordPolicy = () => ({ ...config.password });
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Checks a candidate password against the password policy.
+ *
+ * @param {string} password - Candidate password
+ * @param {Object} [context]
+ * @param {string} [context.username] - Username the password belongs to
+ * @param {Object} [policy] - Policy to apply (defaults to getPasswordPolicy())
+ * @returns {string[]} - List of policy violations (empty if the password is acceptable)
+ */
+const checkPasswordPolicy = (password, context = {}, policy = getPasswordPolicy()) => {
+    const problems = [];
+
+    if (typeof password !== 'string') {
+        return ["Password must be a string"];
+    }
+    if (password.length < policy.minLength) {
+        problems.push("Password must be at least " + policy.minLength + " characters long");
+    }
+    if (password.length > policy.maxLength) {
+        problems.push("Password must be at most " + policy.maxLength + " characters long");
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        problems.push("Password must contain a lowercase letter");
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        problems.push("Password must contain an uppercase letter");
+    }
+    if (policy.requireDigit && !/[0-9]/.test(password)) {
+        problems.push("Password must contain a digit");
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        problems.push("Password must contain a symbol");
+    }
+    if (context.username && password.toLowerCase() === String(context.username).toLowerCase()) {
+        problems.push("Password must not match the username");
+    }
+
+    return problems;
+}
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ *
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash string
+ */
+const hashPassword = async (password) => {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, KEY_BYTES, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Verifies a password against an encoded hash in constant time.
+ * Malformed hashes never match.
+ *
+ * @param {string} password - Plaintext password to check
+ * @param {string} encoded - Hash produced by hashPassword()
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, encoded) => {
+    const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return false;
+    }
+    const [, N, r, p, salt, hash] = parts;
+    const expected = Buffer.from(hash, 'base64');
+    if (expected.length === 0) {
+        return false;
+    }
+    try {
+        const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+        return crypto.timingSafeEqual(key, expected);
+    } catch (error) {
+        // scrypt rejects invalid cost parameters (e.g. N not a power of two)
+        return false;
+    }
+}
+
+/** Hash of a random password, used to keep failed lookups as slow as real checks */
+let dummyHash = null;
+
+/**
+ * Burns the same amount of work as a real verification. Called when the
+ * username does not exist so response times don't reveal valid usernames.
+ *
+ * @param {string} password - Submitted password
+ * @returns {Promise<boolean>} - Always false
+ */
+const verifyDummy = async (password) => {
+    if (!dummyHash) {
+        dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    await verifyPassword(password, dummyHash);
+    return false;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    getPasswordPolicy,
+    checkPasswordPolicy,
+    hashPassword,
+    verifyPassword,
+    verifyDummy
+};
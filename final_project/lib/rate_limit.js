@@ -0,0 +1,257 @@
+/**
+ * Rate Limiting Module
+ *
+ * Throttles requests per client with sliding-window counters. Each key
+ * (a client IP or an authenticated username) has a counter for the current
+ * fixed window and remembers the count of the previous one; the request
+ * rate is estimated by weighting the previous window by how much of it
+ * still overlaps the sliding window:
+ *
+ *   estimate = previous * (1 - elapsed / window) + current
+ *
+ * This smooths out the burst a plain fixed window allows at its boundary
+ * while storing only two numbers per key.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers; throttled requests get 429 TOO_MANY_REQUESTS
+ * with a Retry-After header.
+ *
+ * Counter stores are pluggable:
+ * - memory:     counters in this process (default)
+ * - repository: counters in the data store (../store), shared by restarts;
+ *               every request writes to the store, so prefer SQLite
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const db = require('../store');
+const { tooManyRequests } = require('./errors.js');
+
+// ============================================================================
+// COUNTER STORES
+// ============================================================================
+
+/**
+ * Advances a counter record to the window containing `now`.
+ *
+ * @param {{windowStart: number, current: number, previous: number}|undefined} record
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time (epoch ms)
+ * @returns {{windowStart: number, current: number, previous: number}}
+ */
+const rollWindow = (record, windowMs, now) => {
+    const windowStart = now - (now % windowMs);
+    if (!record || record.windowStart < windowStart - windowMs) {
+        // Unknown key, or idle for more than a whole window
+        return { windowStart, current: 0, previous: 0 };
+    }
+    if (record.windowStart < windowStart) {
+        return { windowStart, current: 0, previous: record.current };
+    }
+    return { ...record };
+}
+
+/**
+ * Counter store keeping counters in memory. Counters idle for two windows
+ * are dropped.
+ *
+ * @returns {{name: string, increment: function(string, number, number): Promise<Object>}}
+ */
+const createMemoryCounterStore = () => {
+    const counters = new Map();
+    let lastSweep = 0;
+
+    const sweep = (windowMs, now) => {
+        if (now - lastSweep < windowMs) {
+            return;
+        }
+        lastSweep = now;
+        counters.forEach((record, key) => {
+            if (record.windowStart < now - 2 * windowMs) {
+                counters.delete(key);
+            }
+        });
+    };
+
+    return {
+        name: 'memory',
+
+        /**
+         * Counts a request for a key.
+         *
+         * @param {string} key - Counter key
+         * @param {number} windowMs - Window length
+         * @param {number} now - Current time (epoch ms)
+         * @returns {Promise<{windowStart: number, current: number, previous: number}>}
+         *          Counter after the increment
+         */
+        async increment(key, windowMs, now) {
+            sweep(windowMs, now);
+            const record = rollWindow(counters.get(key), windowMs, now);
+            record.current++;
+            counters.set(key, record);
+            return { ...record };
+        }
+    };
+}
+
+/**
+ * Counter store keeping counters in the `rate_limits` collection of the
+ * data store. Counters idle for two windows are deleted.
+ *
+ * @returns {{name: string, increment: function(string, number, number): Promise<Object>}}
+ */
+const createRepositoryCounterStore = () => {
+    const COLLECTION = 'rate_limits';
+    let lastSweep = 0;
+
+    const sweep = (windowMs, now) => db.transaction(async (tx) => {
+        const counters = tx.collection(COLLECTION);
+        for (const [key, record] of Object.entries(await counters.all())) {
+            if (record.windowStart < now - 2 * windowMs) {
+                await counters.remove(key);
+            }
+        }
+    });
+
+    return {
+        name: 'repository',
+
+        async increment(key, windowMs, now) {
+            if (now - lastSweep >= windowMs) {
+                lastSweep = now;
+                await sweep(windowMs, now);
+            }
+            return db.collection(COLLECTION).update(key, (stored) => {
+                const record = rollWindow(stored, windowMs, now);
+                record.current++;
+                return record;
+            });
+        }
+    };
+}
+
+/** Counter store factories by name */
+const COUNTER_STORES = {
+    memory: createMemoryCounterStore,
+    repository: createRepositoryCounterStore
+};
+
+/**
+ * Creates a counter store by name.
+ *
+ * @param {string} name - "memory" or "repository"
+ * @returns {Object} - Counter store
+ * @throws {Error} If the name is unknown
+ */
+const createCounterStore = (name) => {
+    if (!COUNTER_STORES[name]) {
+        throw new Error('Unknown rate limit store "' + name + '"');
+    }
+    return COUNTER_STORES[name]();
+}
+
+// ============================================================================
+// SLIDING WINDOW
+// ============================================================================
+
+/**
+ * Estimates the number of requests in the sliding window ending now.
+ *
+ * @param {{windowStart: number, current: number, previous: number}} record
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time (epoch ms)
+ * @returns {number}
+ */
+const estimate = (record, windowMs, now) => {
+    const elapsed = (now - record.windowStart) / windowMs;
+    return record.previous * (1 - elapsed) + record.current;
+}
+
+/**
+ * Time until one more request fits under the limit again.
+ *
+ * @param {{windowStart: number, current: number, previous: number}} record
+ * @param {number} limit - Allowed requests per window
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time (epoch ms)
+ * @returns {number} - Milliseconds
+ */
+const msUntilAllowed = (record, limit, windowMs, now) => {
+    const elapsed = now - record.windowStart;
+    if (record.current >= limit) {
+        // The current window alone is over the limit: wait for it to end
+        // and to fade out of the sliding window far enough
+        return (windowMs - elapsed) + windowMs * (1 - (limit - 1) / record.current);
+    }
+    // The previous window's share has to fade out
+    return Math.max(0, windowMs * (1 - (limit - record.current - 1) / record.previous) - elapsed);
+}
+
+// ============================================================================
+// MIDDLEWARE FACTORY
+// ============================================================================
+
+/**
+ * Creates rate limiting middleware.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Name of the limit, part of the counter keys
+ * @param {number} options.limit - Requests allowed per window and key
+ * @param {number} options.windowMs - Window length
+ * @param {function(Object): (string|null)} options.key - Returns the client key of a
+ *        request (e.g. "ip:10.0.0.1"); requests without a key are not limited
+ * @param {Object} options.store - Counter store
+ * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+ * @returns {Function} - Express middleware; responds 429 TOO_MANY_REQUESTS when over the limit
+ *
+ * @example
+ * app.use('/customer', createRateLimiter({ name: 'customer', limit: 60, windowMs: 60000,
+ *     key: (req) => 'ip:' + req.ip, store: createCounterStore('memory') }));
+ */
+const createRateLimiter = (options) => {
+    const { name, limit, windowMs, store } = options;
+    const now = options.now || Date.now;
+
+    return function (req, res, next) {
+        const clientKey = options.key(req);
+        if (!clientKey) {
+            return next();
+        }
+        const time = now();
+        store.increment(name + ':' + clientKey, windowMs, time)
+            .then((record) => {
+                // Count this request, then check whether it fits
+                const used = estimate(record, windowMs, time);
+                const remaining = Math.max(0, Math.floor(limit - used));
+                const resetSeconds = Math.ceil((record.windowStart + windowMs - time) / 1000);
+
+                // When several limits apply, report the tightest one
+                const reported = res.get('RateLimit-Remaining');
+                if (reported === undefined || remaining <= Number(reported)) {
+                    res.set({
+                        'RateLimit-Limit': String(limit),
+                        'RateLimit-Remaining': String(remaining),
+                        'RateLimit-Reset': String(resetSeconds),
+                        'RateLimit-Policy': limit + ';w=' + Math.round(windowMs / 1000)
+                    });
+                }
+
+                if (used > limit) {
+                    const retryMs = msUntilAllowed(record, limit, windowMs, time);
+                    res.set('Retry-After', String(Math.max(1, Math.ceil(retryMs / 1000))));
+                    return next(tooManyRequests("Too many requests. Try again later"));
+                }
+                next();
+            })
+            .catch(next);
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createRateLimiter, createCounterStore, createMemoryCounterStore, createRepositoryCounterStore };
@@ -0,0 +1,327 @@
+/**
+ * Reviews Module
+ *
+ * Helpers for the structured review model and the per-book rating
+ * aggregates.
+ *
+ * A review is stored on its book under book.reviews[username]:
+ * @typedef {Object} Review
+ * @property {number|null} rating - Star rating 1-5 (null for migrated legacy reviews)
+ * @property {string} text - Review text
+ * @property {string|null} createdAt - ISO timestamp of the first version
+ * @property {string|null} updatedAt - ISO timestamp of the latest edit
+ * @property {number} editCount - Number of times the review was edited
+ * @property {string} [status] - Moderation status, one of REVIEW_STATUSES
+ *           (absent on reviews written before moderation: approved)
+ * @property {string[]} [flaggedWords] - Banned words found in the text (lib/moderation.js)
+ * @property {Object<string, {reason: string, createdAt: string}>} [reports] - Open
+ *           reports by reporting username
+ * @property {{by: string, at: string}|null} [moderation] - Latest moderator decision
+ * @property {Object<string, string>} [votes] - "helpful" or "unhelpful" by voting username
+ *
+ * Only approved reviews are published: the public routes, rating summaries
+ * and the search index never see pending or rejected reviews, and never
+ * see the moderation fields. Votes are published as counts only.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Lowest and highest allowed star ratings */
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/** Longest accepted review text */
+const MAX_REVIEW_LENGTH = 5000;
+
+/** Moderation states of a review */
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/** Stored fields never shown to other users */
+const PRIVATE_FIELDS = ['status', 'flaggedWords', 'reports', 'moderation', 'votes'];
+
+/** Votes a user can give another user's review */
+const VOTES = ['helpful', 'unhelpful'];
+
+/** Default and maximum page size of review listings */
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+
+// ============================================================================
+// REVIEW MODEL
+// ============================================================================
+
+/**
+ * Checks whether a value is a valid star rating.
+ *
+ * @param {*} rating
+ * @returns {boolean}
+ */
+const isValidRating = (rating) => {
+    return Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING;
+}
+
+/**
+ * Converts any stored review into the structured model. Legacy reviews are
+ * bare strings and become unrated reviews without timestamps.
+ *
+ * @param {Review|string} value - Stored review
+ * @returns {Review}
+ */
+const normalizeReview = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return {
+            rating: null,
+            text: value === undefined || value === null ? '' : String(value),
+            createdAt: null,
+            updatedAt: null,
+            editCount: 0
+        };
+    }
+    return value;
+}
+
+/**
+ * Creates a new review or applies an edit to an existing one.
+ *
+ * @param {Review|undefined} existing - Current review of the user, if any
+ * @param {Object} changes
+ * @param {number} [changes.rating] - New star rating
+ * @param {string} [changes.text] - New review text
+ * @param {Date} [now=new Date()] - Timestamp of the write
+ * @returns {Review}
+ */
+const writeReview = (existing, changes, now = new Date()) => {
+    const timestamp = now.toISOString();
+
+    if (!existing) {
+        return {
+            rating: changes.rating,
+            text: changes.text === undefined ? '' : changes.text,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            editCount: 0
+        };
+    }
+
+    const review = normalizeReview(existing);
+    return {
+        ...review,
+        rating: changes.rating === undefined ? review.rating : changes.rating,
+        text: changes.text === undefined ? review.text : changes.text,
+        createdAt: review.createdAt || timestamp,
+        updatedAt: timestamp,
+        editCount: review.editCount + 1
+    };
+}
+
+/**
+ * Records, changes or withdraws a user's vote on a review.
+ *
+ * @param {Review|string} value - Stored review
+ * @param {string} voter - Username of the voting user
+ * @param {string|null} vote - "helpful", "unhelpful", or null to withdraw the vote
+ * @returns {Review}
+ */
+const castVote = (value, voter, vote) => {
+    const review = normalizeReview(value);
+    const votes = { ...review.votes };
+    if (vote === null) {
+        delete votes[voter];
+    } else {
+        votes[voter] = vote;
+    }
+    return { ...review, votes };
+}
+
+/**
+ * Counts the votes of a review.
+ *
+ * @param {Review|string} value - Stored review
+ * @returns {{helpful: number, unhelpful: number}}
+ */
+const countVotes = (value) => {
+    const counts = { helpful: 0, unhelpful: 0 };
+    Object.values(normalizeReview(value).votes || {}).forEach((vote) => {
+        if (VOTES.includes(vote)) {
+            counts[vote] += 1;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Migrates every review of a book to the structured model.
+ *
+ * @param {Object} book - Stored book
+ * @returns {boolean} - True if any review had to be converted
+ */
+const migrateBookReviews = (book) => {
+    let changed = false;
+    Object.entries(book.reviews || {}).forEach(([username, review]) => {
+        if (review === null || typeof review !== 'object') {
+            book.reviews[username] = normalizeReview(review);
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// ============================================================================
+// PUBLICATION
+// ============================================================================
+
+/**
+ * Returns the moderation status of a stored review.
+ *
+ * @param {Review|string} value - Stored review
+ * @returns {string} - One of REVIEW_STATUSES
+ */
+const reviewStatus = (value) => {
+    const status = normalizeReview(value).status;
+    return REVIEW_STATUSES.includes(status) ? status : 'approved';
+}
+
+/**
+ * Strips the moderation fields and individual votes from a review and adds
+ * its vote counts.
+ *
+ * @param {Review|string} value - Stored review
+ * @returns {Review} - Review as shown to other users, with `helpful` and `unhelpful` counts
+ */
+const toPublicReview = (value) => {
+    const review = { ...normalizeReview(value), ...countVotes(value) };
+    PRIVATE_FIELDS.forEach((field) => delete review[field]);
+    return review;
+}
+
+/**
+ * Returns the published (approved) reviews of a book, without their
+ * moderation fields.
+ *
+ * @param {Object<string, Review>} reviews - The book's stored reviews
+ * @returns {Object<string, Review>} - Published reviews by username
+ */
+const publishedReviews = (reviews) => {
+    const published = {};
+    Object.entries(reviews || {}).forEach(([username, value]) => {
+        if (reviewStatus(value) === 'approved') {
+            published[username] = toPublicReview(value);
+        }
+    });
+    return published;
+}
+
+// ============================================================================
+// AGGREGATES
+// ============================================================================
+
+/**
+ * Computes the rating summary of a book. Unrated reviews are ignored.
+ *
+ * @param {Object<string, Review>} reviews - The book's reviews
+ * @returns {{average: number|null, count: number, distribution: Object<string, number>}}
+ *          Average rounded to two decimals (null without ratings) and review count per star value
+ */
+const summarizeRatings = (reviews) => {
+    const distribution = {};
+    for (let stars = MIN_RATING; stars <= MAX_RATING; stars++) {
+        distribution[stars] = 0;
+    }
+
+    let count = 0;
+    let total = 0;
+    Object.values(reviews || {}).forEach((value) => {
+        const rating = normalizeReview(value).rating;
+        if (isValidRating(rating)) {
+            distribution[rating] += 1;
+            count += 1;
+            total += rating;
+        }
+    });
+
+    return {
+        average: count > 0 ? Math.round((total / count) * 100) / 100 : null,
+        count,
+        distribution
+    };
+}
+
+/**
+ * Returns a copy of a book as exposed by the public catalog routes: only
+ * its published reviews, and their rating summary.
+ *
+ * @param {Object} book - Stored book
+ * @returns {Object} - Book with published `reviews` and an added `rating` property
+ */
+const withRatingSummary = (book) => {
+    const reviews = publishedReviews(book.reviews);
+    return { ...book, reviews, rating: summarizeRatings(reviews) };
+}
+
+// ============================================================================
+// ORDERING
+// ============================================================================
+
+/**
+ * Compares timestamps newest first; reviews without one sort last.
+ *
+ * @returns {number}
+ */
+const newestFirst = (a, b) => {
+    return String(b.createdAt || '').localeCompare(String(a.createdAt || ''));
+}
+
+/**
+ * Orderings of review listings, as comparators of public reviews. Ties
+ * are broken by the newest review.
+ * - helpful: most helpful votes net of unhelpful ones first
+ * - newest:  most recently written first
+ * - rating:  highest rating first, unrated last
+ */
+const REVIEW_SORTS = {
+    helpful: (a, b) => ((b.helpful - b.unhelpful) - (a.helpful - a.unhelpful)) || newestFirst(a, b),
+    newest: newestFirst,
+    rating: (a, b) => ((b.rating || 0) - (a.rating || 0)) || newestFirst(a, b)
+};
+
+/**
+ * Sorts published reviews into a listing.
+ *
+ * @param {Object<string, Review>} reviews - Public reviews by username (see publishedReviews)
+ * @param {string} sort - Key of REVIEW_SORTS
+ * @returns {Array<Object>} - Reviews with their `username`, in order
+ */
+const sortReviews = (reviews, sort) => {
+    return Object.entries(reviews)
+        .map(([username, review]) => ({ username, ...review }))
+        .sort((a, b) => REVIEW_SORTS[sort](a, b) || a.username.localeCompare(b.username));
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    MIN_RATING,
+    MAX_RATING,
+    MAX_REVIEW_LENGTH,
+    REVIEW_STATUSES,
+    VOTES,
+    REVIEW_SORTS,
+    DEFAULT_REVIEW_LIMIT,
+    MAX_REVIEW_LIMIT,
+    isValidRating,
+    normalizeReview,
+    writeReview,
+    castVote,
+    countVotes,
+    migrateBookReviews,
+    reviewStatus,
+    toPublicReview,
+    publishedReviews,
+    summarizeRatings,
+    withRatingSummary,
+    sortReviews
+};
@@ -0,0 +1,89 @@
+/**
+ * User Roles Module
+ *
+ * Defines the user roles and their ordering. Roles are cumulative: a
+ * moderator can do everything a reader can, and an admin everything a
+ * moderator can.
+ *
+ * - reader:    default role given by /register
+ * - moderator: can moderate community content
+ * - admin:     can manage the catalog and other users
+ *
+ * Settings (lib/config.js):
+ * - admin.username / admin.password (ADMIN_USERNAME / ADMIN_PASSWORD): When
+ *   set, an admin account with these credentials is created at startup if
+ *   it does not exist yet
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const db = require('../store');
+const { hashPassword } = require('./password.js');
+const { config } = require('./config.js');
+const { claimTokenVersion } = require('./token_store.js');
+
+// ============================================================================
+// ROLE DEFINITIONS
+// ============================================================================
+
+/** Roles from least to most privileged */
+const ROLES = ['reader', 'moderator', 'admin'];
+
+/** Role given to newly registered users */
+const DEFAULT_ROLE = 'reader';
+
+/**
+ * Returns the role of a stored user. Users created before roles existed
+ * are readers.
+ *
+ * @param {Object} user - Stored user record
+ * @returns {string}
+ */
+const roleOf = (user) => {
+    return user && ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+}
+
+/**
+ * Checks whether a role grants at least the privileges of another role.
+ *
+ * @param {string} role - Role the user has
+ * @param {string} required - Minimum role needed
+ * @returns {boolean}
+ */
+const hasRole = (role, required) => {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// ============================================================================
+// BOOTSTRAP
+// ============================================================================
+
+/**
+ * Creates the bootstrap admin from the admin.username / admin.password
+ * settings if that user does not exist. An existing user is left untouched.
+ *
+ * @returns {Promise<boolean>} - True if an admin account was created
+ */
+const ensureBootstrapAdmin = async () => {
+    const { username, password } = config.admin;
+    if (!username || !password) {
+        return false;
+    }
+    const passwordHash = await hashPassword(password);
+    return db.transaction(async (tx) => {
+        const users = tx.collection('users');
+        if (await users.get(username)) {
+            return false;
+        }
+        await users.put(username, { username, passwordHash, role: 'admin', tokenVersion: await claimTokenVersion(tx, username) });
+        return true;
+    });
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { ROLES, DEFAULT_ROLE, roleOf, hasRole, ensureBootstrapAdmin };
@@ -0,0 +1,212 @@
+/**
+ * Shared Request Schemas
+ *
+ * Schema fragments used by more than one router. Route-specific schemas
+ * live next to their routes. See lib/validation.js for the schema format.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { MAX_LIMIT, SORTS, LIST_FIELDS } = require('./listing.js');
+const { MIN_RATING, MAX_RATING, MAX_REVIEW_LENGTH } = require('./reviews.js');
+const {
+    MIN_YEAR, MAX_YEAR, MAX_GENRES, MAX_GENRE_LENGTH, MAX_PAGES, MAX_DESCRIPTION_LENGTH, MAX_COVER_URL_LENGTH
+} = require('./books.js');
+const { AUTHOR_ID_PATTERN } = require('./authors.js');
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+/**
+ * A string that must contain a non-whitespace character.
+ *
+ * @param {number} maxLength - Maximum length
+ * @param {string} description - Documentation text
+ * @returns {Object} - String schema
+ */
+const nonBlankString = (maxLength, description) => ({
+    type: 'string',
+    minLength: 1,
+    maxLength,
+    pattern: '\\S',
+    patternMessage: "Must not be blank",
+    description
+});
+
+/**
+ * ISBN of a book: letters, digits and hyphens. Any ISBN-10 or ISBN-13 form,
+ * or a legacy numeric ID, addresses the same book (see lib/isbn.js)
+ */
+const isbn = {
+    type: 'string',
+    pattern: '^[0-9A-Za-z-]{1,20}$',
+    patternMessage: "Must be 1-20 letters, digits or hyphens",
+    description: "ISBN-10 or ISBN-13 of the book, with or without hyphens",
+    example: "978-0-385-47454-2"
+};
+
+/** Publication year of a book */
+const year = {
+    type: 'integer',
+    minimum: MIN_YEAR,
+    maximum: MAX_YEAR,
+    description: "Year of first publication (negative for BCE)",
+    example: 1987
+};
+
+/** Language tag of a book */
+const language = {
+    type: 'string',
+    maxLength: 35,
+    pattern: '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$',
+    patternMessage: "Must be a language tag such as en or pt-BR",
+    description: "Language of the edition (BCP 47 tag)",
+    example: "en"
+};
+
+/**
+ * Book fields an administrator may set (admin routes and catalog imports).
+ * The metadata fields accept null to remove them (see lib/books.js).
+ */
+const bookFields = {
+    author: { ...nonBlankString(200, "Author name"), example: "Toni Morrison" },
+    title: { ...nonBlankString(300, "Book title"), example: "Beloved" },
+    year: { ...year, nullable: true },
+    genres: {
+        type: 'array',
+        maxItems: MAX_GENRES,
+        items: {
+            ...nonBlankString(MAX_GENRE_LENGTH, "Genre or subject"),
+            pattern: '^[^;]*\\S[^;]*$',
+            patternMessage: "Must not be blank or contain ';'"
+        },
+        nullable: true,
+        description: "Genres and subjects, stored in lowercase",
+        example: ["novel", "historical fiction"]
+    },
+    language: { ...language, nullable: true },
+    pages: { type: 'integer', minimum: 1, maximum: MAX_PAGES, nullable: true, description: "Page count of the edition", example: 324 },
+    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH, nullable: true, description: "Short summary" },
+    coverUrl: {
+        type: 'string',
+        maxLength: MAX_COVER_URL_LENGTH,
+        pattern: '^https?://\\S+$',
+        patternMessage: "Must be an http or https URL",
+        nullable: true,
+        description: "Cover image URL",
+        example: "https://covers.openlibrary.org/b/isbn/9781400033416-L.jpg"
+    }
+};
+
+/** Username chosen at registration */
+const username = {
+    type: 'string',
+    minLength: 3,
+    maxLength: 32,
+    pattern: '^[A-Za-z0-9_.-]+$',
+    patternMessage: "Must contain only letters, digits, '.', '_' or '-'",
+    description: "Username",
+    example: "john"
+};
+
+/** Password; the password policy is checked separately (lib/password.js) */
+const password = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 1024,
+    description: "Password",
+    example: "Pass1234"
+};
+
+/** Star rating of a review */
+const rating = {
+    type: 'integer',
+    minimum: MIN_RATING,
+    maximum: MAX_RATING,
+    description: "Star rating",
+    example: 5
+};
+
+/** Review text */
+const reviewText = {
+    type: 'string',
+    maxLength: MAX_REVIEW_LENGTH,
+    description: "Review text",
+    example: "Great book!"
+};
+
+// ============================================================================
+// REQUEST PARTS
+// ============================================================================
+
+/** URL parameters of routes addressing one book */
+const isbnParams = {
+    type: 'object',
+    properties: { isbn },
+    required: ['isbn']
+};
+
+/** URL parameters of routes addressing one user's review of a book */
+const reviewParams = {
+    type: 'object',
+    properties: {
+        isbn,
+        username: { type: 'string', minLength: 1, maxLength: 256, description: "Username of the review's author" }
+    },
+    required: ['isbn', 'username']
+};
+
+/** URL parameters of routes addressing one author */
+const authorParams = {
+    type: 'object',
+    properties: {
+        id: {
+            type: 'string',
+            maxLength: 200,
+            pattern: AUTHOR_ID_PATTERN,
+            patternMessage: "Must be lowercase letters and digits joined by hyphens",
+            description: "Author ID",
+            example: "jane-austen"
+        }
+    },
+    required: ['id']
+};
+
+/** Pagination, sorting and field selection of catalog listings (lib/listing.js) */
+const listQuery = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: "Page size (default 20)" },
+        offset: { type: 'integer', minimum: 0, description: "Number of books to skip (default 0)" },
+        cursor: { type: 'string', maxLength: 1000, description: "nextCursor or prevCursor of a previous page" },
+        sort: { type: 'string', enum: Object.keys(SORTS), description: "Sort key (default isbn)" },
+        order: { type: 'string', enum: ['asc', 'desc'], description: "Sort order (default asc; desc for rating and reviewCount)" },
+        fields: { type: 'string', maxLength: 200, description: "Comma-separated subset of " + LIST_FIELDS.join(', ') },
+        genre: { type: 'string', maxLength: MAX_GENRE_LENGTH, description: "Only books with this genre or subject (case-insensitive)" },
+        language: { ...language, description: "Only books in this language (case-insensitive)" },
+        yearFrom: { ...year, description: "Only books published in or after this year" },
+        yearTo: { ...year, description: "Only books published in or before this year" }
+    },
+    additionalProperties: false
+};
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    nonBlankString,
+    isbn,
+    bookFields,
+    username,
+    password,
+    rating,
+    reviewText,
+    isbnParams,
+    reviewParams,
+    authorParams,
+    listQuery
+};
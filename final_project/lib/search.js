@@ -0,0 +1,371 @@
+/**
+ * Book Search Module
+ *
+ * In-process inverted index over book titles, authors and review text,
+ * used by GET /search.
+ *
+ * Matching is case- and diacritic-insensitive ("pere" finds "Père").
+ * Every query word must match a word of the book, either exactly, as a
+ * prefix ("gilga" finds "Gilgamesh") or within a small edit distance
+ * ("pride and prejudise"). Results are ranked by a TF-IDF style score in
+ * which title matches weigh more than author matches, and author matches
+ * more than review matches; exact matches beat prefix matches, which beat
+ * typo matches.
+ *
+ * The index is built lazily from the store and kept up to date through
+ * store change events: changed books are re-indexed before the next query.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const db = require('../store');
+const { publishedReviews, summarizeRatings } = require('./reviews.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Relative weight of each indexed field */
+const FIELD_WEIGHTS = { title: 3, author: 2, review: 1 };
+
+/** Relative weight of each kind of term match */
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+/** Shortest query word that is expanded by prefix */
+const MIN_PREFIX_LENGTH = 2;
+
+// ============================================================================
+// TEXT PROCESSING
+// ============================================================================
+
+/**
+ * Lowercases text and strips diacritics.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into normalized words.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => {
+    return foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Number of typos tolerated for a query word of the given length.
+ *
+ * @param {number} length
+ * @returns {number}
+ */
+const allowedEdits = (length) => {
+    if (length >= 8) {
+        return 2;
+    }
+    return length >= 4 ? 1 : 0;
+}
+
+/**
+ * Levenshtein distance between two words, giving up early once the
+ * distance exceeds `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - The distance, or max + 1 if it is larger than max
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            best = Math.min(best, row[j]);
+        }
+        if (best > max) {
+            return max + 1;
+        }
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+/**
+ * Creates an empty search index.
+ *
+ * @returns {{add: Function, remove: Function, search: Function, size: Function}}
+ */
+const createSearchIndex = () => {
+    /** term -> Map(isbn -> { title, author, review } term frequencies) */
+    const postings = new Map();
+    /** isbn -> { author, title, rating, terms } */
+    const documents = new Map();
+
+    const remove = (isbn) => {
+        const doc = documents.get(isbn);
+        if (!doc) {
+            return;
+        }
+        doc.terms.forEach((term) => {
+            const docs = postings.get(term);
+            docs.delete(isbn);
+            if (docs.size === 0) {
+                postings.delete(term);
+            }
+        });
+        documents.delete(isbn);
+    };
+
+    const add = (isbn, book) => {
+        remove(isbn);
+        const reviews = publishedReviews(book.reviews);
+        const fields = {
+            title: tokenize(book.title),
+            author: tokenize(book.author),
+            review: Object.values(reviews).flatMap((review) => tokenize(review.text))
+        };
+        const terms = new Set();
+        Object.entries(fields).forEach(([field, words]) => {
+            words.forEach((term) => {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                }
+                const docs = postings.get(term);
+                const freq = docs.get(isbn) || { title: 0, author: 0, review: 0 };
+                freq[field] += 1;
+                docs.set(isbn, freq);
+                terms.add(term);
+            });
+        });
+        documents.set(isbn, {
+            author: book.author,
+            title: book.title,
+            rating: summarizeRatings(reviews),
+            terms
+        });
+    };
+
+    /**
+     * Finds the indexed terms matching one query word, with the kind of match.
+     */
+    const expand = (word) => {
+        const matches = [];
+        const maxEdits = allowedEdits(word.length);
+        postings.forEach((_, term) => {
+            if (term === word) {
+                matches.push({ term, weight: MATCH_WEIGHTS.exact });
+            } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+                matches.push({ term, weight: MATCH_WEIGHTS.prefix });
+            } else if (maxEdits > 0 && editDistance(word, term, maxEdits) <= maxEdits) {
+                matches.push({ term, weight: MATCH_WEIGHTS.fuzzy });
+            }
+        });
+        return matches;
+    };
+
+    /**
+     * Scores every book against a query.
+     *
+     * @param {string} query - Free text query
+     * @returns {Array<{isbn: string, score: number, author: string, title: string, rating: Object}>}
+     *          Matching books, best first
+     */
+    const search = (query) => {
+        const words = Array.from(new Set(tokenize(query)));
+        if (words.length === 0) {
+            return [];
+        }
+
+        let scores = null;
+        const total = documents.size;
+
+        words.forEach((word) => {
+            // Best score per book for this word, across all matching terms
+            const wordScores = new Map();
+            expand(word).forEach(({ term, weight }) => {
+                const docs = postings.get(term);
+                const idf = Math.log(1 + total / docs.size);
+                docs.forEach((freq, isbn) => {
+                    let fieldScore = 0;
+                    Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+                        if (freq[field] > 0) {
+                            fieldScore += fieldWeight * (1 + Math.log(freq[field]));
+                        }
+                    });
+                    const score = weight * idf * fieldScore;
+                    wordScores.set(isbn, Math.max(wordScores.get(isbn) || 0, score));
+                });
+            });
+
+            // Every word has to match: keep only books matched by all words so far
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const next = new Map();
+                scores.forEach((score, isbn) => {
+                    if (wordScores.has(isbn)) {
+                        next.set(isbn, score + wordScores.get(isbn));
+                    }
+                });
+                scores = next;
+            }
+        });
+
+        return Array.from(scores.entries())
+            .map(([isbn, score]) => {
+                const doc = documents.get(isbn);
+                return {
+                    isbn,
+                    score: Math.round(score * 1000) / 1000,
+                    author: doc.author,
+                    title: doc.title,
+                    rating: doc.rating
+                };
+            })
+            .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+    };
+
+    return { add, remove, search, size: () => documents.size };
+}
+
+// ============================================================================
+// FACETS
+// ============================================================================
+
+/**
+ * Rating facet bucket of a result: the whole-star floor of the average
+ * rating ("4" covers 4.00-4.99), or "unrated".
+ *
+ * @param {Object} rating - Rating summary
+ * @returns {string}
+ */
+const ratingBucket = (rating) => {
+    return rating.average === null ? 'unrated' : String(Math.floor(rating.average));
+}
+
+/**
+ * Counts results per author and per rating bucket.
+ *
+ * @param {Array<Object>} results - Search results
+ * @returns {{author: Array<{value: string, count: number}>, rating: Array<{value: string, count: number}>}}
+ */
+const computeFacets = (results) => {
+    const count = (values) => {
+        const counts = new Map();
+        values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+        return Array.from(counts.entries())
+            .map(([value, n]) => ({ value, count: n }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    };
+    return {
+        author: count(results.map((result) => result.author)),
+        rating: count(results.map((result) => ratingBucket(result.rating)))
+    };
+}
+
+// ============================================================================
+// CATALOG INDEX
+// ============================================================================
+
+/** Index of the open store's catalog (null until first use or after a reopen) */
+let catalogIndex = null;
+
+/** ISBNs changed since the index was last refreshed */
+const staleBooks = new Set();
+
+db.subscribe((event) => {
+    if (event.type === 'open') {
+        catalogIndex = null;
+        staleBooks.clear();
+    } else if (event.type === 'commit') {
+        event.changes
+            .filter((change) => change.collection === 'books')
+            .forEach((change) => staleBooks.add(change.id));
+    }
+});
+
+/**
+ * Returns the catalog index, building it on first use and re-indexing
+ * books that changed since the previous call.
+ *
+ * @returns {Promise<Object>} - Search index
+ */
+const getCatalogIndex = async () => {
+    if (!catalogIndex) {
+        const index = createSearchIndex();
+        staleBooks.clear();
+        const books = await db.books.all();
+        Object.entries(books).forEach(([isbn, book]) => index.add(isbn, book));
+        catalogIndex = index;
+        return index;
+    }
+    const pending = Array.from(staleBooks);
+    staleBooks.clear();
+    for (const isbn of pending) {
+        const book = await db.books.get(isbn);
+        if (book) {
+            catalogIndex.add(isbn, book);
+        } else {
+            catalogIndex.remove(isbn);
+        }
+    }
+    return catalogIndex;
+}
+
+/**
+ * Searches the catalog.
+ *
+ * @param {string} query - Free text query
+ * @param {Object} [filters]
+ * @param {string} [filters.author] - Only books by this author (case- and diacritic-insensitive)
+ * @param {number} [filters.minRating] - Only books with at least this average rating
+ * @returns {Promise<{total: number, results: Array<Object>, facets: Object}>}
+ *          Facets describe all text matches; `results` and `total` have the filters applied
+ */
+const searchCatalog = async (query, filters = {}) => {
+    const index = await getCatalogIndex();
+    const matches = index.search(query);
+    const author = filters.author ? foldText(filters.author) : null;
+
+    const results = matches.filter((result) => {
+        if (author && foldText(result.author) !== author) {
+            return false;
+        }
+        if (filters.minRating !== undefined && (result.rating.average === null || result.rating.average < filters.minRating)) {
+            return false;
+        }
+        return true;
+    });
+
+    return { total: results.length, results, facets: computeFacets(matches) };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    foldText,
+    tokenize,
+    editDistance,
+    createSearchIndex,
+    computeFacets,
+    searchCatalog
+};
@@ -0,0 +1,167 @@
+/**
+ * Session Store Module
+ *
+ * express-session store that keeps sessions in the repository (../store),
+ * so they live in the same JSON file or SQLite database as the rest of the
+ * data and survive restarts. Records are kept in the `sessions` collection:
+ *
+ *   { session: { cookie: {...}, authorization: {...}, csrfToken: "..." }, expiresAt: 1714557600000 }
+ *
+ * Expired sessions are never returned, and prune() (run periodically by
+ * startCleanup()) deletes them.
+ *
+ * Settings (lib/config.js):
+ * - session.ttlSeconds (SESSION_TTL_SECONDS): Lifetime of sessions whose cookie has no expiry
+ * - session.cleanupIntervalSeconds (SESSION_CLEANUP_INTERVAL_SECONDS): How often expired sessions are deleted
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const session = require('express-session');
+const db = require('../store');
+const { config } = require('./config.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Collection name */
+const SESSIONS = 'sessions';
+
+/**
+ * touch() only writes when the expiry moved by at least this much, so an
+ * active session isn't rewritten on every request.
+ */
+const TOUCH_THRESHOLD_MS = 60 * 1000;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Session store backed by the repository.
+ *
+ * @example
+ * app.use(session({ secret, store: new RepositorySessionStore() }));
+ */
+class RepositorySessionStore extends session.Store {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttlSeconds] - Lifetime of sessions without a cookie expiry
+     *        (default: session.ttlSeconds setting)
+     * @param {Function} [options.now=Date.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        super();
+        this.ttlMs = (options.ttlSeconds || config.session.ttlSeconds) * 1000;
+        this.now = options.now || Date.now;
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Expiry time of a session: its cookie's expiry, or the TTL from now.
+     *
+     * @param {Object} sess - Session data
+     * @returns {number} - Epoch milliseconds
+     */
+    expiresAt(sess) {
+        const expires = sess.cookie && sess.cookie.expires;
+        return expires ? new Date(expires).getTime() : this.now() + this.ttlMs;
+    }
+
+    get(sid, callback) {
+        db.collection(SESSIONS).get(sid)
+            .then((record) => {
+                if (record && record.expiresAt <= this.now()) {
+                    return db.collection(SESSIONS).remove(sid).then(() => null);
+                }
+                return record ? record.session : null;
+            })
+            .then((sess) => callback(null, sess), callback);
+    }
+
+    set(sid, sess, callback) {
+        db.collection(SESSIONS).put(sid, { session: sess, expiresAt: this.expiresAt(sess) })
+            .then(() => callback && callback(null), callback);
+    }
+
+    destroy(sid, callback) {
+        db.collection(SESSIONS).remove(sid)
+            .then(() => callback && callback(null), callback);
+    }
+
+    touch(sid, sess, callback) {
+        const expiresAt = this.expiresAt(sess);
+        db.collection(SESSIONS).update(sid, (record) => {
+            if (!record || Math.abs(expiresAt - record.expiresAt) < TOUCH_THRESHOLD_MS) {
+                return undefined;
+            }
+            return { ...record, expiresAt };
+        }).then(() => callback && callback(null), callback);
+    }
+
+    length(callback) {
+        db.collection(SESSIONS).all()
+            .then((records) => callback(null, Object.keys(records).length), callback);
+    }
+
+    clear(callback) {
+        db.transaction(async (tx) => {
+            const sessions = tx.collection(SESSIONS);
+            for (const sid of Object.keys(await sessions.all())) {
+                await sessions.remove(sid);
+            }
+        }).then(() => callback && callback(null), callback);
+    }
+
+    /**
+     * Deletes every expired session.
+     *
+     * @returns {Promise<number>} - Number of sessions deleted
+     */
+    prune() {
+        return db.transaction(async (tx) => {
+            const sessions = tx.collection(SESSIONS);
+            const now = this.now();
+            let pruned = 0;
+            for (const [sid, record] of Object.entries(await sessions.all())) {
+                if (record.expiresAt <= now) {
+                    await sessions.remove(sid);
+                    pruned++;
+                }
+            }
+            return pruned;
+        });
+    }
+
+    /**
+     * Runs prune() periodically until stopCleanup() is called. The timer
+     * does not keep the process alive.
+     *
+     * @param {number} [intervalMs] - Interval (default: session.cleanupIntervalSeconds setting)
+     * @returns {void}
+     */
+    startCleanup(intervalMs = config.session.cleanupIntervalSeconds * 1000) {
+        this.stopCleanup();
+        this.cleanupTimer = setInterval(() => {
+            this.prune().catch((error) => console.error("Session cleanup failed:", error));
+        }, intervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    /** Stops the periodic cleanup started by startCleanup() */
+    stopCleanup() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { RepositorySessionStore };
@@ -0,0 +1,158 @@
+/**
+ * Shelves Module
+ *
+ * Reading lists of a user. Every user has the built-in shelves
+ * want-to-read, reading and finished, and may add custom shelves. A book
+ * is on at most one shelf of a user at a time; moving it between shelves
+ * keeps its history:
+ *
+ * - addedAt:    when the book was first shelved
+ * - movedAt:    when it was last put on its current shelf
+ * - startedAt:  when it was last moved to "reading"
+ * - finishedAt: when it was last moved to "finished"
+ *
+ * The shelves of a user are stored in the `shelves` collection under their
+ * username:
+ *
+ *   { public: false, custom: ["favourites"], books: { "9780385474542": { shelf: "reading", addedAt: "...", ... } } }
+ *
+ * Users without a record have empty, private shelves. Books removed from
+ * the catalog are left out of every view.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const db = require('../store');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Collection name */
+const SHELVES = 'shelves';
+
+/** Shelves every user has, in display order */
+const BUILTIN_SHELVES = ['want-to-read', 'reading', 'finished'];
+
+/** Format of custom shelf names: lowercase words joined by hyphens */
+const SHELF_NAME_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+const MAX_SHELF_NAME_LENGTH = 40;
+
+/** Most custom shelves a user may create */
+const MAX_CUSTOM_SHELVES = 20;
+
+// ============================================================================
+// MODEL
+// ============================================================================
+
+/**
+ * Returns the stored shelves of a user, or empty private shelves.
+ *
+ * @param {Object|undefined} record - Stored record
+ * @returns {{public: boolean, custom: string[], books: Object<string, Object>}}
+ */
+const normalizeShelves = (record) => ({
+    public: Boolean(record && record.public),
+    custom: record && Array.isArray(record.custom) ? [...record.custom] : [],
+    books: record && record.books ? { ...record.books } : {}
+});
+
+/**
+ * Lists the shelf names of a user: built-in shelves first.
+ *
+ * @param {Object} record - Normalized shelves
+ * @returns {string[]}
+ */
+const shelfNames = (record) => [...BUILTIN_SHELVES, ...record.custom];
+
+/**
+ * Puts a book on a shelf, adding it or moving it from another shelf.
+ *
+ * @param {Object} record - Normalized shelves (changed in place)
+ * @param {string} isbn - Book key
+ * @param {string} shelf - Destination shelf; must exist
+ * @param {Date} [now=new Date()] - Time of the change
+ * @returns {Object} - The book's shelf entry
+ */
+const placeBook = (record, isbn, shelf, now = new Date()) => {
+    const timestamp = now.toISOString();
+    const previous = record.books[isbn];
+    if (previous && previous.shelf === shelf) {
+        return previous;
+    }
+    const entry = {
+        startedAt: null,
+        finishedAt: null,
+        ...previous,
+        shelf,
+        addedAt: previous ? previous.addedAt : timestamp,
+        movedAt: timestamp
+    };
+    if (shelf === 'reading') {
+        entry.startedAt = timestamp;
+    } else if (shelf === 'finished') {
+        entry.finishedAt = timestamp;
+    }
+    record.books[isbn] = entry;
+    return entry;
+}
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+/**
+ * Builds the shelves view of a user: every shelf with its books, most
+ * recently moved first. Books no longer in the catalog are skipped.
+ *
+ * @param {Object} record - Normalized shelves
+ * @param {Object<string, Object>} books - All stored books by ISBN
+ * @returns {Array<{name: string, custom: boolean, count: number, books: Array<Object>}>}
+ */
+const toShelvesView = (record, books) => {
+    return shelfNames(record).map((name) => {
+        const entries = Object.entries(record.books)
+            .filter(([isbn, entry]) => entry.shelf === name && books[isbn])
+            .map(([isbn, entry]) => ({
+                isbn,
+                title: books[isbn].title,
+                author: books[isbn].author,
+                addedAt: entry.addedAt,
+                movedAt: entry.movedAt,
+                startedAt: entry.startedAt || null,
+                finishedAt: entry.finishedAt || null
+            }))
+            .sort((a, b) => b.movedAt.localeCompare(a.movedAt) || a.isbn.localeCompare(b.isbn));
+        return { name, custom: !BUILTIN_SHELVES.includes(name), count: entries.length, books: entries };
+    });
+}
+
+/**
+ * Loads the shelves view of a user.
+ *
+ * @param {string} username - Owner of the shelves
+ * @returns {Promise<{public: boolean, shelves: Array<Object>}>}
+ */
+const loadShelvesView = async (username) => {
+    const record = normalizeShelves(await db.collection(SHELVES).get(username));
+    return { public: record.public, shelves: toShelvesView(record, await db.books.all()) };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    SHELVES,
+    BUILTIN_SHELVES,
+    SHELF_NAME_PATTERN,
+    MAX_SHELF_NAME_LENGTH,
+    MAX_CUSTOM_SHELVES,
+    normalizeShelves,
+    shelfNames,
+    placeBook,
+    toShelvesView,
+    loadShelvesView
+};
@@ -0,0 +1,298 @@
+/**
+ * Token Store Module
+ *
+ * Server-side state for authentication tokens, kept in the repository:
+ * - refresh_tokens: refresh tokens keyed by their SHA-256 hash (the raw
+ *   token is only ever known to the client)
+ * - revoked_tokens: ids (jti) of access tokens revoked before expiry
+ * - users[].tokenVersion: bumped to invalidate every token of a user
+ * - deleted_users: token version of deleted accounts, so an account
+ *   registered again under the same name does not accept their tokens
+ *
+ * Refresh tokens rotate: each use returns a new token of the same family
+ * and marks the old one as used. Presenting a used token again means it
+ * was stolen, so the whole family is revoked.
+ *
+ * Settings (lib/config.js):
+ * - auth.refreshTokenTtlSeconds (REFRESH_TOKEN_TTL_SECONDS): Refresh token lifetime
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../store');
+const { config } = require('./config.js');
+const { signAccessToken, verifyAccessToken } = require('./tokens.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Refresh token lifetime in seconds */
+const REFRESH_TOKEN_TTL = config.auth.refreshTokenTtlSeconds;
+
+/** Collection names */
+const REFRESH_TOKENS = 'refresh_tokens';
+const REVOKED_TOKENS = 'revoked_tokens';
+const DELETED_USERS = 'deleted_users';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Hashes a raw refresh token for storage and lookup.
+ *
+ * @param {string} token - Raw refresh token
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Removes every refresh token matching a predicate.
+ *
+ * @param {Object} tx - Transaction handle
+ * @param {function(Object): boolean} predicate - Selects records to remove
+ * @returns {Promise<number>} - Number of removed tokens
+ */
+const removeRefreshTokens = async (tx, predicate) => {
+    const tokens = tx.collection(REFRESH_TOKENS);
+    const all = await tokens.all();
+    let removed = 0;
+    for (const [id, record] of Object.entries(all)) {
+        if (predicate(record)) {
+            await tokens.remove(id);
+            removed += 1;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Creates and stores a new refresh token inside a transaction.
+ *
+ * @param {Object} tx - Transaction handle
+ * @param {string} username - Token owner
+ * @param {string} [family] - Rotation family (a new one is started when omitted)
+ * @returns {Promise<string>} - Raw refresh token
+ */
+const createRefreshToken = async (tx, username, family) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    await tx.collection(REFRESH_TOKENS).put(hashToken(token), {
+        username,
+        family: family || crypto.randomUUID(),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: now + REFRESH_TOKEN_TTL * 1000,
+        usedAt: null
+    });
+    return token;
+}
+
+/**
+ * Signs an access token carrying the user's current token version.
+ *
+ * @param {Object} tx - Transaction handle
+ * @param {string} username - Token owner
+ * @returns {Promise<string>} - Signed JWT
+ */
+const createAccessToken = async (tx, username) => {
+    const user = await tx.collection('users').get(username);
+    return signAccessToken(username, (user && user.tokenVersion) || 0);
+}
+
+// ============================================================================
+// TOKEN LIFECYCLE
+// ============================================================================
+
+/**
+ * Issues a fresh access/refresh token pair after a successful login.
+ *
+ * @param {string} username - Authenticated username
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+const issueTokens = (username) => db.transaction(async (tx) => {
+    // Drop this user's expired refresh tokens while we are here
+    await removeRefreshTokens(tx, (record) => record.username === username && record.expiresAt <= Date.now());
+    return {
+        accessToken: await createAccessToken(tx, username),
+        refreshToken: await createRefreshToken(tx, username)
+    };
+});
+
+/**
+ * Exchanges a refresh token for a new token pair (rotation).
+ *
+ * @param {string} refreshToken - Raw refresh token presented by the client
+ * @returns {Promise<{username: string, accessToken: string, refreshToken: string}|null>}
+ *          New tokens, or null if the token is unknown, expired or was already used
+ */
+const rotateRefreshToken = (refreshToken) => db.transaction(async (tx) => {
+    const tokens = tx.collection(REFRESH_TOKENS);
+    const id = hashToken(refreshToken);
+    const record = await tokens.get(id);
+
+    if (!record) {
+        return null;
+    }
+    if (record.usedAt) {
+        // Reuse of a rotated token: assume theft and kill the whole family
+        await removeRefreshTokens(tx, (other) => other.family === record.family);
+        return null;
+    }
+    if (record.expiresAt <= Date.now()) {
+        await tokens.remove(id);
+        return null;
+    }
+
+    // Keep the used token around (until it expires) so reuse can be detected
+    record.usedAt = new Date().toISOString();
+    await tokens.put(id, record);
+
+    return {
+        username: record.username,
+        accessToken: await createAccessToken(tx, record.username),
+        refreshToken: await createRefreshToken(tx, record.username, record.family)
+    };
+});
+
+/**
+ * Revokes a refresh token together with the rest of its rotation family.
+ *
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} - True if the token was known
+ */
+const revokeRefreshToken = (refreshToken) => db.transaction(async (tx) => {
+    const record = await tx.collection(REFRESH_TOKENS).get(hashToken(refreshToken));
+    if (!record) {
+        return false;
+    }
+    await removeRefreshTokens(tx, (other) => other.family === record.family);
+    return true;
+});
+
+/**
+ * Adds an access token to the revocation list until it would have expired.
+ *
+ * @param {Object} payload - Decoded access token (needs jti and exp)
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = (payload) => db.transaction(async (tx) => {
+    const revoked = tx.collection(REVOKED_TOKENS);
+    const now = Date.now();
+
+    // Forget entries for tokens that have expired anyway
+    const all = await revoked.all();
+    for (const [jti, entry] of Object.entries(all)) {
+        if (entry.expiresAt <= now) {
+            await revoked.remove(jti);
+        }
+    }
+
+    if (payload && payload.jti) {
+        await revoked.put(payload.jti, {
+            username: payload.username,
+            expiresAt: (payload.exp || 0) * 1000
+        });
+    }
+});
+
+/**
+ * Checks whether a verified access token has been revoked, either by id
+ * or because the user's token version moved on (or the user is gone).
+ *
+ * @param {Object} payload - Decoded access token
+ * @returns {Promise<boolean>} - True if the token must be rejected
+ */
+const isAccessTokenRevoked = async (payload) => {
+    if (payload.jti && await db.collection(REVOKED_TOKENS).get(payload.jti)) {
+        return true;
+    }
+    const user = await db.users.get(payload.username);
+    return !user || (payload.ver || 0) !== (user.tokenVersion || 0);
+}
+
+/**
+ * Invalidates every access and refresh token of a user.
+ *
+ * @param {string} username - User whose sessions are revoked
+ * @returns {Promise<{revokedRefreshTokens: number}|null>} - Null if the user doesn't exist
+ */
+const revokeAllForUser = (username) => db.transaction(async (tx) => {
+    const users = tx.collection('users');
+    const user = await users.get(username);
+    if (!user) {
+        return null;
+    }
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await users.put(username, user);
+    const revokedRefreshTokens = await removeRefreshTokens(tx, (record) => record.username === username);
+    return { revokedRefreshTokens };
+});
+
+/**
+ * Records the token version of an account being deleted, one past its
+ * current one. Call it in the transaction that removes the user.
+ *
+ * @param {Object} tx - Transaction handle
+ * @param {string} username - Deleted user
+ * @returns {Promise<void>}
+ */
+const retireTokenVersion = async (tx, username) => {
+    const user = await tx.collection('users').get(username);
+    await tx.collection(DELETED_USERS).put(username, { tokenVersion: ((user && user.tokenVersion) || 0) + 1 });
+}
+
+/**
+ * Returns the token version a new account starts with: that of a deleted
+ * account with the same name, whose tokens must stay invalid, or 0.
+ * Call it in the transaction that creates the user.
+ *
+ * @param {Object} tx - Transaction handle
+ * @param {string} username - New user
+ * @returns {Promise<number>}
+ */
+const claimTokenVersion = async (tx, username) => {
+    const deleted = await tx.collection(DELETED_USERS).get(username);
+    if (!deleted) {
+        return 0;
+    }
+    await tx.collection(DELETED_USERS).remove(username);
+    return deleted.tokenVersion;
+}
+
+/**
+ * Verifies an access token and rejects revoked ones.
+ *
+ * @param {string} token - JWT to check
+ * @returns {Promise<Object|null>} - Decoded payload, or null if invalid, expired or revoked
+ */
+const authenticateToken = async (token) => {
+    const payload = await new Promise((resolve) => {
+        verifyAccessToken(token, (err, decoded) => resolve(err ? null : decoded));
+    });
+    if (!payload || await isAccessTokenRevoked(payload)) {
+        return null;
+    }
+    return payload;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAccessToken,
+    isAccessTokenRevoked,
+    revokeAllForUser,
+    retireTokenVersion,
+    claimTokenVersion,
+    authenticateToken
+};
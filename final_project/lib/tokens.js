@@ -0,0 +1,133 @@
+/**
+ * Access Token Module
+ *
+ * Single place where JWT access tokens are signed and verified, so the
+ * login route and the auth middleware always agree on the signing secret.
+ *
+ * Every access token carries a unique id (jti) so it can be revoked
+ * individually, and the user's token version (ver) so that all of a user's
+ * tokens can be invalidated at once by bumping the version.
+ *
+ * Settings (lib/config.js):
+ * - auth.accessTokenSecret (ACCESS_TOKEN_SECRET): Signing secret
+ * - auth.accessTokenTtlSeconds (ACCESS_TOKEN_TTL_SECONDS): Token lifetime
+ * - auth.modes (AUTH_MODES): Accepted credentials, "session" (JWT kept in
+ *   the session cookie) and/or "bearer" (Authorization: Bearer <token> header)
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('./config.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Secret shared by token signing and verification */
+const ACCESS_TOKEN_SECRET = config.auth.accessTokenSecret;
+
+/** Access token lifetime in seconds */
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtlSeconds;
+
+/**
+ * Returns the enabled authentication modes.
+ *
+ * @returns {{session: boolean, bearer: boolean}}
+ */
+const getAuthModes = () => ({
+    session: config.auth.modes.includes('session'),
+    bearer: config.auth.modes.includes('bearer')
+});
+
+// ============================================================================
+// TOKEN OPERATIONS
+// ============================================================================
+
+/**
+ * Signs an access token for a user.
+ *
+ * @param {string} username - Authenticated username
+ * @param {number} [version=0] - The user's current token version
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (username, version = 0) => {
+    return jwt.sign({ username, ver: version }, ACCESS_TOKEN_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+        jwtid: crypto.randomUUID()
+    });
+}
+
+/**
+ * Verifies an access token.
+ *
+ * @param {string} token - JWT to verify
+ * @param {function(Error|null, Object=)} callback - Receives the decoded payload
+ * @returns {void}
+ */
+const verifyAccessToken = (token, callback) => {
+    jwt.verify(token, ACCESS_TOKEN_SECRET, callback);
+}
+
+/**
+ * Extracts a bearer token from the Authorization header.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Token, or null when the header is absent or not a bearer credential
+ */
+const getBearerToken = (req) => {
+    const header = req.get('Authorization');
+    const match = header ? /^Bearer\s+(\S+)\s*$/i.exec(header) : null;
+    return match ? match[1] : null;
+}
+
+/**
+ * Finds the access token a request authenticates with, and how it was
+ * sent, honouring the enabled authentication modes. A bearer header wins
+ * over the session.
+ *
+ * @param {Object} req - Express request object
+ * @param {{session: boolean, bearer: boolean}} [modes] - Enabled modes (defaults to getAuthModes())
+ * @returns {{token: string, scheme: string}|null} - scheme is "bearer" or "session";
+ *          null when the request carries no token
+ */
+const getRequestCredentials = (req, modes = getAuthModes()) => {
+    const bearer = modes.bearer ? getBearerToken(req) : null;
+    if (bearer) {
+        return { token: bearer, scheme: 'bearer' };
+    }
+    // Fall back to the token stored in the session cookie
+    if (modes.session && req.session && req.session.authorization && req.session.authorization['accessToken']) {
+        return { token: req.session.authorization['accessToken'], scheme: 'session' };
+    }
+    return null;
+}
+
+/**
+ * Finds the access token a request authenticates with (see getRequestCredentials()).
+ *
+ * @param {Object} req - Express request object
+ * @param {{session: boolean, bearer: boolean}} [modes] - Enabled modes (defaults to getAuthModes())
+ * @returns {string|null} - Token, or null when the request carries none
+ */
+const getRequestToken = (req, modes = getAuthModes()) => {
+    const credentials = getRequestCredentials(req, modes);
+    return credentials ? credentials.token : null;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    getAuthModes,
+    signAccessToken,
+    verifyAccessToken,
+    getBearerToken,
+    getRequestCredentials,
+    getRequestToken
+};
@@ -0,0 +1,266 @@
+/**
+ * Request Validation Module
+ *
+ * Declarative validation of route params, query strings and bodies.
+ * Schemas use a subset of JSON Schema so that the API documentation can be
+ * generated from the same definitions:
+ *
+ * - type: "string", "integer", "number", "boolean", "object" or "array"
+ * - string: minLength, maxLength, pattern (with an optional patternMessage
+ *           used in the error), enum
+ * - integer/number: minimum, maximum
+ * - object: properties, required, additionalProperties (false to reject
+ *           unknown properties, or a schema for them), minProperties
+ * - array: items, minItems, maxItems
+ * - nullable: also accept null (OpenAPI 3.0 style)
+ * - description, example: documentation only
+ *
+ * Params and query values arrive as strings and are converted to the
+ * declared type ("5" becomes 5 for an integer) before they are checked.
+ *
+ * Route schemas may also carry documentation (summary, tags, responses)
+ * for lib/openapi.js; validation ignores those keys.
+ *
+ * @example
+ * router.get('/search', validate({ query: searchQuery }), handler);
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { HttpError } = require('./errors.js');
+
+// ============================================================================
+// SCHEMA CHECKS
+// ============================================================================
+
+/**
+ * Converts a params/query string to the type a schema expects. Values that
+ * can't be converted are returned unchanged and fail the type check.
+ *
+ * @param {*} value - Raw value
+ * @param {Object} schema - Property schema
+ * @returns {*}
+ */
+const coerce = (value, schema) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/** Describes a type for error messages */
+const TYPE_NAMES = {
+    string: "a string",
+    integer: "an integer",
+    number: "a number",
+    boolean: "a boolean",
+    object: "an object",
+    array: "an array"
+};
+
+/**
+ * Checks that a value has the schema's type.
+ *
+ * @returns {boolean}
+ */
+const hasType = (value, type) => {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Field name used in error details
+ * @param {Array<{field: string, message: string}>} errors - Collected errors
+ * @returns {*} - The value, with nested values coerced where needed
+ */
+const check = (value, schema, path, errors) => {
+    const fail = (message) => errors.push({ field: path || null, message });
+
+    if (value === null && schema.nullable) {
+        return value;
+    }
+    if (schema.type && !hasType(value, schema.type)) {
+        fail(Array.isArray(value) && schema.type !== 'array' ? "Must be a single value" : "Must be " + TYPE_NAMES[schema.type]);
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail("Must be one of " + schema.enum.join(', '));
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? "Must not be empty" : "Must be at least " + schema.minLength + " characters");
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail("Must be at most " + schema.maxLength + " characters");
+        } else if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(schema.patternMessage || "Has an invalid format");
+        }
+    }
+
+    if (typeof value === 'number') {
+        if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+            if (schema.minimum !== undefined && schema.maximum !== undefined) {
+                fail("Must be from " + schema.minimum + " to " + schema.maximum);
+            } else if (schema.minimum !== undefined) {
+                fail("Must be at least " + schema.minimum);
+            } else {
+                fail("Must be at most " + schema.maximum);
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail("Must contain at least " + schema.minItems + " item" + (schema.minItems === 1 ? "" : "s"));
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail("Must contain at most " + schema.maxItems + " items");
+        }
+        if (schema.items) {
+            return value.map((item, index) => check(item, schema.items, path + '[' + index + ']', errors));
+        }
+    }
+
+    if (schema.type === 'object') {
+        return checkObject(value, schema, path, errors);
+    }
+
+    return value;
+}
+
+/**
+ * Validates the properties of an object.
+ *
+ * @param {Object} value - Object to check
+ * @param {Object} schema - Object schema
+ * @param {string} path - Prefix for field names ("" at the top level)
+ * @param {Array<{field: string, message: string}>} errors - Collected errors
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - Convert string values to the declared types
+ * @returns {Object} - Copy of the object with coerced values
+ */
+const checkObject = (value, schema, path, errors, options = {}) => {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const fieldName = (name) => (path ? path + '.' + name : name);
+    const result = { ...value };
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        errors.push({ field: path || null, message: "Must contain at least one of " + Object.keys(properties).join(', ') });
+    }
+
+    Object.keys(value).forEach((name) => {
+        if (Object.prototype.hasOwnProperty.call(properties, name)) {
+            return;
+        }
+        if (schema.additionalProperties === false) {
+            errors.push({ field: fieldName(name), message: "Unknown field" });
+        } else if (hasType(schema.additionalProperties, 'object')) {
+            result[name] = check(value[name], schema.additionalProperties, fieldName(name), errors);
+        }
+    });
+
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+        if (value[name] === undefined) {
+            if (required.includes(name)) {
+                errors.push({ field: fieldName(name), message: "Field is required" });
+            }
+            return;
+        }
+        const raw = options.coerce ? coerce(value[name], propertySchema) : value[name];
+        result[name] = check(raw, propertySchema, fieldName(name), errors);
+    });
+
+    return result;
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/** Request parts a route schema can describe, in the order they are checked */
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - Convert the string properties of an object to the declared types
+ * @returns {{value: *, errors: Array<{field: string|null, message: string}>}}
+ */
+const validateValue = (value, schema, options = {}) => {
+    const errors = [];
+    if (schema.type === 'object' && hasType(value, 'object')) {
+        return { value: checkObject(value, schema, '', errors, options), errors };
+    }
+    return { value: check(value, schema, '', errors), errors };
+}
+
+/**
+ * Creates middleware that validates a request against a route schema.
+ * Coerced values replace req.params, req.query and req.body, so handlers
+ * see numbers where the schema declares numbers.
+ *
+ * The schema is kept on the middleware (`middleware.schema`) so the API
+ * documentation can be generated from the mounted routes.
+ *
+ * @param {Object} schema - Route schema
+ * @param {Object} [schema.params] - Object schema for URL parameters
+ * @param {Object} [schema.query] - Object schema for the query string
+ * @param {Object} [schema.body] - Object schema for the JSON body
+ * @returns {Function} - Express middleware; rejects invalid requests with 400 VALIDATION_ERROR
+ */
+const validate = (schema) => {
+    const middleware = function (req, res, next) {
+        const errors = [];
+        const validated = {};
+
+        PARTS.forEach((part) => {
+            if (!schema[part]) {
+                return;
+            }
+            const result = validateValue(req[part] || {}, schema[part], { coerce: part !== 'body' });
+            errors.push(...result.errors);
+            validated[part] = result.value;
+        });
+
+        if (errors.length > 0) {
+            return next(new HttpError(400, 'VALIDATION_ERROR', "Invalid request", errors));
+        }
+        Object.assign(req, validated);
+        next();
+    };
+    middleware.schema = schema;
+    return middleware;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { validate, validateValue };
@@ -0,0 +1,541 @@
+/**
+ * Administrator Router Module
+ *
+ * Handles administrative operations: catalog and author management, bulk
+ * catalog import and export, user roles and session revocation. Mounted
+ * under /admin behind the auth and authorize("admin") middleware in
+ * app.js (createApp), so every handler can assume an authenticated
+ * administrator.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { Readable } = require('stream');
+const express = require('express');
+const db = require('../store');
+const { config } = require('../lib/config.js');
+const { revokeAllForUser } = require('../lib/token_store.js');
+const { ROLES } = require('../lib/roles.js');
+const { publishedReviews } = require('../lib/reviews.js');
+const { applyBookFields } = require('../lib/books.js');
+const { AUTHORS, MAX_ALIASES, MAX_BIO_LENGTH, findAuthorId, linkAuthor, namesOf, nameKey } = require('../lib/authors.js');
+const { FORMATS, DATASETS, formatOfType, importRecords, exportRecords } = require('../lib/catalog_io.js');
+const { INVALID_ISBN, normalizeIsbn } = require('../lib/isbn.js');
+const { isbnParam } = require('../lib/isbn_aliases.js');
+const { asyncHandler, validationError, conflict, notFound } = require('../lib/errors.js');
+const { validate } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/** Express router for administrator routes */
+const admin_routes = express.Router();
+
+/** Resolve :isbn to the book key (any ISBN form or a legacy ID) */
+admin_routes.param('isbn', isbnParam);
+
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+
+/** Book fields an administrator may set */
+const bookFields = schemas.bookFields;
+
+/** POST /admin/books */
+const createBookSchema = {
+    summary: "Add a book to the catalog",
+    tags: ['Administration'],
+    body: {
+        type: 'object',
+        properties: { isbn: schemas.isbn, ...bookFields },
+        required: ['isbn', 'author', 'title'],
+        additionalProperties: false
+    },
+    responses: {
+        201: { description: "Book created", schema: 'BookResult' },
+        409: "A book with this ISBN already exists"
+    }
+};
+
+/** PATCH /admin/books/:isbn (reviews and the ISBN are read-only) */
+const updateBookSchema = {
+    summary: "Update a book's details",
+    tags: ['Administration'],
+    params: schemas.isbnParams,
+    body: {
+        type: 'object',
+        properties: bookFields,
+        minProperties: 1,
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Book updated", schema: 'BookResult' },
+        404: "Book not found"
+    }
+};
+
+/** DELETE /admin/books/:isbn */
+const deleteBookSchema = {
+    summary: "Remove a book and its reviews",
+    tags: ['Administration'],
+    params: schemas.isbnParams,
+    responses: {
+        200: { description: "Book deleted", schema: 'Message' },
+        404: "Book not found"
+    }
+};
+
+/** PATCH /admin/authors/:id */
+const updateAuthorSchema = {
+    summary: "Update an author's name, aliases or bio",
+    tags: ['Administration'],
+    params: schemas.authorParams,
+    body: {
+        type: 'object',
+        properties: {
+            name: { ...schemas.nonBlankString(200, "Name the author is shown under"), example: "Honoré de Balzac" },
+            aliases: {
+                type: 'array',
+                maxItems: MAX_ALIASES,
+                items: schemas.nonBlankString(200, "Other name or spelling"),
+                description: "Other names and spellings the author is found by (replaces the current list)",
+                example: ["Balzac"]
+            },
+            bio: { type: 'string', maxLength: MAX_BIO_LENGTH, nullable: true, description: "Short biography" }
+        },
+        minProperties: 1,
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Author updated", schema: 'AuthorResult' },
+        404: "Author not found",
+        409: "A name or alias belongs to another author"
+    }
+};
+
+/** URL parameters of the catalog import/export routes */
+const datasetParams = {
+    type: 'object',
+    properties: { dataset: { type: 'string', enum: Object.keys(DATASETS), description: "Data to transfer" } },
+    required: ['dataset']
+};
+
+/** Transfer format of an import or export */
+const formatParameter = { type: 'string', enum: Object.keys(FORMATS) };
+
+/** POST /admin/import/:dataset */
+const importSchema = {
+    summary: "Import books or reviews",
+    description: "Upserts records from a JSON array, NDJSON or CSV body (see lib/catalog_io.js). "
+        + "Invalid records are skipped and reported per row; valid ones are written in one transaction.",
+    tags: ['Administration'],
+    params: datasetParams,
+    query: {
+        type: 'object',
+        properties: {
+            format: { ...formatParameter, description: "Format of the body (default: from its Content-Type)" },
+            dryRun: { type: 'boolean', description: "Validate and report without writing (default false)" }
+        },
+        additionalProperties: false
+    },
+    rawBody: { description: "Records to import", types: Object.values(FORMATS) },
+    responses: {
+        200: { description: "Import report", schema: 'ImportReport' },
+        413: "Import larger than the configured limit"
+    }
+};
+
+/** GET /admin/export/:dataset */
+const exportSchema = {
+    summary: "Export books or reviews",
+    tags: ['Administration'],
+    params: datasetParams,
+    query: {
+        type: 'object',
+        properties: { format: { ...formatParameter, description: "Format of the export (default json)" } },
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Every record of the dataset", schema: 'ExportRecords', types: [FORMATS.ndjson, FORMATS.csv] }
+    }
+};
+
+/** URL parameters of routes addressing one user */
+const usernameParams = {
+    type: 'object',
+    properties: { username: { type: 'string', minLength: 1, maxLength: 256, description: "Username" } },
+    required: ['username']
+};
+
+/** PUT /admin/users/:username/role */
+const roleSchema = {
+    summary: "Change a user's role",
+    tags: ['Administration'],
+    params: usernameParams,
+    body: {
+        type: 'object',
+        properties: { role: { type: 'string', enum: ROLES, description: "New role" } },
+        required: ['role'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Role updated", schema: 'RoleResult' },
+        404: "User not found"
+    }
+};
+
+/** POST /admin/users/:username/revoke-sessions */
+const revokeSessionsSchema = {
+    summary: "Revoke every token of a user",
+    tags: ['Administration'],
+    params: usernameParams,
+    responses: {
+        200: { description: "Sessions revoked", schema: 'RevokeResult' },
+        404: "User not found"
+    }
+};
+
+// ============================================================================
+// CATALOG MANAGEMENT ROUTES
+// ============================================================================
+
+/**
+ * Add a book to the catalog
+ * Creates a new book with an empty reviews object. The metadata fields
+ * (year, genres, language, pages, description, coverUrl) are optional.
+ *
+ * @route POST /admin/books
+ * @authenticated Required - Administrator
+ * @param {string} isbn - ISBN-10 or ISBN-13 of the new book, with or without
+ *        hyphens (required, from request body); stored as its ISBN-13
+ * @param {string} author - Author name (required, from request body)
+ * @param {string} title - Book title (required, from request body)
+ * @param {number} [year] - Year of first publication, negative for BCE (from request body)
+ * @param {string[]} [genres] - Genres and subjects; stored in lowercase (from request body)
+ * @param {string} [language] - Language tag of the edition, e.g. "en" (from request body)
+ * @param {number} [pages] - Page count (from request body)
+ * @param {string} [description] - Short summary (from request body)
+ * @param {string} [coverUrl] - http(s) URL of a cover image (from request body)
+ * @returns {Object} 201 - Book created
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid or missing fields, or an invalid ISBN checksum (one detail per field)
+ * @returns {Object} 409 - CONFLICT: a book with this ISBN already exists
+ *
+ * @example
+ * POST /admin/books
+ * Body: { "isbn": "1-4000-3341-1", "author": "Toni Morrison", "title": "Beloved", "year": 1987, "genres": ["Novel"] }
+ * Response: { "isbn": "9781400033416", "book": { "author": "Toni Morrison", "title": "Beloved", "year": 1987,
+ *             "genres": ["novel"], "reviews": {}, "authorId": "toni-morrison" } }
+ */
+admin_routes.post("/books", validate(createBookSchema), asyncHandler(async (req, res) => {
+    const { isbn: given, ...fields } = req.body;
+    const isbn = normalizeIsbn(given);
+    if (!isbn) {
+        throw validationError("Invalid ISBN", { isbn: INVALID_ISBN });
+    }
+
+    // Create the book only if the ISBN is free, linked to its author, atomically
+    const created = await db.transaction(async (tx) => {
+        const books = tx.collection('books');
+        if (await books.get(isbn)) {
+            return null;
+        }
+        const book = await linkAuthor(tx.collection(AUTHORS), { ...applyBookFields({}, fields), reviews: {} });
+        await books.put(isbn, book);
+        return book;
+    });
+
+    if (!created) {
+        throw conflict("A book with ISBN " + isbn + " already exists");
+    }
+    res.status(201).json({ isbn, book: created });
+}));
+
+/**
+ * Update a book's details
+ * Changes the author, title or metadata of an existing book; a metadata
+ * field set to null is removed. Reviews and the ISBN cannot be changed
+ * through this endpoint; the response lists the published reviews.
+ *
+ * @route PATCH /admin/books/:isbn
+ * @authenticated Required - Administrator
+ * @param {string} isbn - Book ISBN (from URL parameter)
+ * @param {string} [author] - New author name (from request body)
+ * @param {string} [title] - New title (from request body)
+ * @param {*} [year|genres|language|pages|description|coverUrl] - New metadata, or null to remove it (from request body)
+ * @returns {Object} 200 - Book updated
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid fields or nothing to update
+ * @returns {Object} 404 - NOT_FOUND: book not found
+ *
+ * @example
+ * PATCH /admin/books/978-0-14-044919-8
+ * Body: { "author": "Sîn-lēqi-unninni" }
+ * Response: { "isbn": "9780140449198", "book": { "author": "Sîn-lēqi-unninni", "authorId": "sin-leqi-unninni",
+ *             "title": "The Epic Of Gilgamesh", ..., "reviews": {} } }
+ */
+admin_routes.patch("/books/:isbn", validate(updateBookSchema), asyncHandler(async (req, res) => {
+    const isbn = req.params.isbn;
+
+    // A new author name links the book to that author
+    const book = await db.transaction(async (tx) => {
+        const books = tx.collection('books');
+        const stored = await books.get(isbn);
+        if (!stored) {
+            return undefined;
+        }
+        const updated = applyBookFields(stored, req.body);
+        const linked = req.body.author !== undefined ? await linkAuthor(tx.collection(AUTHORS), updated) : updated;
+        await books.put(isbn, linked);
+        return linked;
+    });
+
+    if (!book) {
+        throw notFound("Book not found");
+    }
+    // Hidden reviews are managed through /moderation
+    res.json({ isbn, book: { ...book, reviews: publishedReviews(book.reviews) } });
+}));
+
+/**
+ * Remove a book from the catalog
+ * Deletes the book together with all of its reviews.
+ *
+ * @route DELETE /admin/books/:isbn
+ * @authenticated Required - Administrator
+ * @param {string} isbn - Book ISBN (from URL parameter)
+ * @returns {Object} 200 - Book deleted
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN
+ * @returns {Object} 404 - NOT_FOUND: book not found
+ *
+ * @example
+ * DELETE /admin/books/9781400033416
+ * Response: { "message": "Book with ISBN 9781400033416 deleted" }
+ */
+admin_routes.delete("/books/:isbn", validate(deleteBookSchema), asyncHandler(async (req, res) => {
+    const isbn = req.params.isbn;
+
+    const removed = await db.books.remove(isbn);
+    if (!removed) {
+        throw notFound("Book not found");
+    }
+    res.json({ message: "Book with ISBN " + isbn + " deleted" });
+}));
+
+// ============================================================================
+// AUTHOR MANAGEMENT ROUTES
+// ============================================================================
+
+/**
+ * Update an author
+ * Renames an author or replaces their aliases or bio. Books keep the name
+ * they credit and stay linked by ID. Names and aliases identify one author
+ * each, compared case-insensitively; the new name may be one of the
+ * author's own aliases, which then drops from the list.
+ *
+ * @route PATCH /admin/authors/:id
+ * @authenticated Required - Administrator
+ * @param {string} id - Author ID (from URL parameter)
+ * @param {string} [name] - New name (from request body)
+ * @param {string[]} [aliases] - New list of aliases (from request body)
+ * @param {string|null} [bio] - New biography, or null to clear it (from request body)
+ * @returns {Object} 200 - Author updated
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid fields or nothing to update
+ * @returns {Object} 404 - NOT_FOUND: author not found
+ * @returns {Object} 409 - CONFLICT: a name or alias belongs to another author
+ *
+ * @example
+ * PATCH /admin/authors/jane-austen
+ * Body: { "aliases": ["J. Austen"] }
+ * Response: { "id": "jane-austen", "author": { "name": "Jane Austen", "aliases": ["J. Austen"], "bio": "..." } }
+ */
+admin_routes.patch("/authors/:id", validate(updateAuthorSchema), asyncHandler(async (req, res) => {
+    const id = req.params.id;
+    const { name, aliases, bio } = req.body;
+
+    const author = await db.transaction(async (tx) => {
+        const authors = tx.collection(AUTHORS);
+        const all = await authors.all();
+        if (!all[id]) {
+            return null;
+        }
+
+        const updated = { ...all[id] };
+        if (name !== undefined) {
+            updated.name = name.trim();
+        }
+        if (bio !== undefined) {
+            updated.bio = bio === null ? null : bio.trim();
+        }
+        // Drop duplicate aliases and the name itself
+        const seen = new Set([nameKey(updated.name)]);
+        updated.aliases = (aliases === undefined ? updated.aliases || [] : aliases.map((alias) => alias.trim()))
+            .filter((alias) => {
+                const key = nameKey(alias);
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            });
+
+        const taken = namesOf(updated).find((known) => {
+            const owner = findAuthorId(all, known);
+            return owner !== undefined && owner !== id;
+        });
+        if (taken) {
+            throw conflict('"' + taken + '" is a name of author ' + findAuthorId(all, taken));
+        }
+
+        await authors.put(id, updated);
+        return updated;
+    });
+
+    if (!author) {
+        throw notFound("Author not found");
+    }
+    res.json({ id, author });
+}));
+
+// ============================================================================
+// CATALOG TRANSFER ROUTES
+// ============================================================================
+
+/**
+ * Import books or reviews
+ * Upserts a batch of records: books by ISBN, reviews by ISBN and username.
+ * The body is a JSON array, NDJSON or CSV with a header row; its format
+ * comes from the format query parameter or the Content-Type header. Every
+ * record is validated first; invalid ones are skipped and listed in the
+ * report with their row, the others are written together. With
+ * dryRun=true nothing is written.
+ *
+ * @route POST /admin/import/:dataset
+ * @authenticated Required - Administrator
+ * @param {string} dataset - "books" or "reviews" (from URL parameter)
+ * @param {string} [format] - "json", "ndjson" or "csv" (query parameter, default from Content-Type)
+ * @param {boolean} [dryRun=false] - Only validate and report (query parameter)
+ * @returns {Object} 200 - Import report with counts and per-row errors
+ * @returns {Object} 400 - VALIDATION_ERROR: unknown format, or a body that cannot be read at all
+ * @returns {Object} 413 - PAYLOAD_TOO_LARGE: body over import.maxBytes
+ *
+ * @example
+ * POST /admin/import/books?dryRun=true
+ * Content-Type: text/csv
+ * Body: isbn,author,title
+ *       9781400033416,Toni Morrison,Beloved
+ *       9781400076215,,Jazz
+ * Response: { "dataset": "books", "format": "csv", "dryRun": true, "total": 2, "created": 1, "updated": 0,
+ *             "unchanged": 0, "failed": 1, "errors": [{ "row": 3, "field": "author", "message": "Field is required" }] }
+ */
+admin_routes.post("/import/:dataset", validate(importSchema), express.text({ type: () => true, limit: config.import.maxBytes }), asyncHandler(async (req, res) => {
+    const format = req.query.format || formatOfType(req.get('Content-Type'));
+    if (!format) {
+        throw validationError("Unknown import format", { format: "Must be one of " + Object.keys(FORMATS).join(', ') + ", or given by the Content-Type" });
+    }
+    const text = typeof req.body === 'string' ? req.body : '';
+    res.json(await importRecords(req.params.dataset, text, format, { dryRun: req.query.dryRun }));
+}));
+
+/**
+ * Export books or reviews
+ * Streams every record of the dataset in the requested format, ready to be
+ * imported again. Reviews are exported with their moderation status;
+ * votes and reports are not exported.
+ *
+ * @route GET /admin/export/:dataset
+ * @authenticated Required - Administrator
+ * @param {string} dataset - "books" or "reviews" (from URL parameter)
+ * @param {string} [format=json] - "json", "ndjson" or "csv" (query parameter)
+ * @returns {Object} 200 - Attachment with the records
+ *
+ * @example
+ * GET /admin/export/books?format=csv
+ * Response: isbn,author,title,year,genres,language,pages,description,coverUrl
+ *           9780385474542,Chinua Achebe,Things Fall Apart,1958,...
+ *           ...
+ */
+admin_routes.get("/export/:dataset", validate(exportSchema), asyncHandler(async (req, res) => {
+    const dataset = req.params.dataset;
+    const format = req.query.format || 'json';
+
+    const chunks = await exportRecords(dataset, format);
+    res.attachment(dataset + '.' + format);
+    res.type(FORMATS[format]);
+    Readable.from(chunks).pipe(res);
+}));
+
+// ============================================================================
+// USER MANAGEMENT ROUTES
+// ============================================================================
+
+/**
+ * Change a user's role
+ *
+ * @route PUT /admin/users/:username/role
+ * @authenticated Required - Administrator
+ * @param {string} username - User to update (from URL parameter)
+ * @param {string} role - "reader", "moderator" or "admin" (from request body)
+ * @returns {Object} 200 - Role updated
+ * @returns {Object} 400 - VALIDATION_ERROR: unknown role
+ * @returns {Object} 404 - NOT_FOUND: user not found
+ *
+ * @example
+ * PUT /admin/users/john/role
+ * Body: { "role": "moderator" }
+ * Response: { "username": "john", "role": "moderator" }
+ */
+admin_routes.put("/users/:username/role", validate(roleSchema), asyncHandler(async (req, res) => {
+    const username = req.params.username;
+    const role = req.body.role;
+
+    const user = await db.users.update(username, (user) => {
+        if (!user) {
+            return undefined;
+        }
+        user.role = role;
+        return user;
+    });
+
+    if (!user) {
+        throw notFound("User not found");
+    }
+    res.json({ username, role });
+}));
+
+/**
+ * Revoke all sessions of a user
+ * Invalidates every access token and refresh token issued to the user.
+ * The user has to log in again on every device.
+ *
+ * @route POST /admin/users/:username/revoke-sessions
+ * @authenticated Required - Administrator
+ * @param {string} username - User whose sessions are revoked (from URL parameter)
+ * @returns {Object} 200 - Sessions revoked
+ * @returns {Object} 404 - NOT_FOUND: user not found
+ *
+ * @example
+ * POST /admin/users/john/revoke-sessions
+ * Response: { "message": "All sessions revoked for user john", "revokedRefreshTokens": 2 }
+ */
+admin_routes.post("/users/:username/revoke-sessions", validate(revokeSessionsSchema), asyncHandler(async (req, res) => {
+    const username = req.params.username;
+
+    const result = await revokeAllForUser(username);
+    if (!result) {
+        throw notFound("User not found");
+    }
+    res.json({
+        message: "All sessions revoked for user " + username,
+        revokedRefreshTokens: result.revokedRefreshTokens
+    });
+}));
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/** Export administrator routes router */
+module.exports.admin = admin_routes;
@@ -3,7 +3,7 @@
  * 
  * Handles user authentication, session management, and review operations
  * for registered users. Provides endpoints for user login and book reviews
- * management (add/update and delete).
+ * management (view, add/update, delete, report and vote).
  * 
  * All review endpoints require JWT authentication via middleware.
  */
@@ -13,8 +13,18 @@
 // ============================================================================
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
-let books = require("./booksdb.js");
+const db = require('../store');
+const { verifyPassword, verifyDummy, hashPassword } = require('../lib/password.js');
+const { createLoginLockout } = require('../lib/lockout.js');
+const { getRequestCredentials, verifyAccessToken } = require('../lib/tokens.js');
+const { CSRF_HEADER, issueCsrfToken, verifyCsrfToken } = require('../lib/csrf.js');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAccessToken } = require('../lib/token_store.js');
+const { VOTES, writeReview, castVote, countVotes, reviewStatus } = require('../lib/reviews.js');
+const { screenReview, reportReview, toOwnReview } = require('../lib/moderation.js');
+const { isbnParam } = require('../lib/isbn_aliases.js');
+const { asyncHandler, validationError, badRequest, unauthorized, notFound, tooManyRequests } = require('../lib/errors.js');
+const { validate } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
 
 // ============================================================================
 // ROUTER AND DATA STORAGE
@@ -23,8 +33,181 @@ let books = require("./booksdb.js");
 /** Express router for authenticated user routes */
 const regd_users = express.Router();
 
-/** In-memory user storage for registered users */
-let users = [];
+/** Reviews are addressed by any form of the book's ISBN or its legacy ID */
+regd_users.param('isbn', isbnParam);
+
+/*
+ * Users and books are persisted through the repository layer (../store).
+ * Users are keyed by username; books are keyed by ISBN and embed their reviews.
+ */
+
+/** Failed login tracking per username and per client IP */
+const loginLockout = createLoginLockout();
+
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+
+/** POST /login (no username format check: older accounts may predate it) */
+const loginSchema = {
+    summary: "Log in",
+    description: "Returns an access token and a refresh token, and stores them in a new session when session mode is enabled. " +
+        "The returned csrfToken must then be sent in the " + CSRF_HEADER + " header of changes made with the session cookie.",
+    tags: ['Authentication'],
+    body: {
+        type: 'object',
+        properties: {
+            username: { type: 'string', minLength: 1, maxLength: 256, description: "Username", example: "john" },
+            password: schemas.password
+        },
+        required: ['username', 'password'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Logged in", schema: 'Tokens' },
+        401: "Invalid credentials",
+        429: {
+            description: "Too many failed attempts for this username or IP (code TOO_MANY_REQUESTS)",
+            headers: { 'Retry-After': { description: "Seconds until the next attempt is allowed", schema: { type: 'integer' } } }
+        }
+    }
+};
+
+/** Optional refresh token, sent to POST /token/refresh and POST /logout */
+const refreshTokenBody = {
+    type: 'object',
+    properties: {
+        refreshToken: { type: 'string', minLength: 1, maxLength: 512, description: "Refresh token (defaults to the session's)" }
+    },
+    additionalProperties: false
+};
+
+/** POST /token/refresh */
+const refreshSchema = {
+    summary: "Exchange a refresh token for a new token pair",
+    tags: ['Authentication'],
+    body: refreshTokenBody,
+    responses: {
+        200: { description: "New access and refresh tokens", schema: 'Tokens' },
+        400: "No refresh token supplied, or a malformed one",
+        401: "Refresh token invalid, expired, revoked or reused",
+        403: "Refresh token taken from the session cookie without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)"
+    }
+};
+
+/** POST /logout */
+const logoutSchema = {
+    summary: "Log out",
+    description: "Revokes the current access token and refresh token family and clears the session.",
+    tags: ['Authentication'],
+    body: refreshTokenBody,
+    responses: {
+        200: { description: "Logged out", schema: 'Message' },
+        403: "Tokens taken from the session cookie without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)"
+    }
+};
+
+/** GET /auth/csrf-token */
+const csrfTokenSchema = {
+    summary: "Get the CSRF token of your session",
+    description: "Returns the token to send in the " + CSRF_HEADER + " header of changes made with the session cookie.",
+    tags: ['Authentication'],
+    responses: {
+        200: { description: "CSRF token", schema: 'CsrfToken' }
+    }
+};
+
+/** GET /auth/review/:isbn */
+const ownReviewSchema = {
+    summary: "Get your review of a book and its moderation status",
+    tags: ['Reviews'],
+    params: schemas.isbnParams,
+    responses: {
+        200: { description: "Your review, including hidden ones", schema: 'ReviewResult' },
+        404: "Book not found, or no review by this user"
+    }
+};
+
+/** PUT /auth/review/:isbn */
+const reviewSchema = {
+    summary: "Add or update your review of a book",
+    tags: ['Reviews'],
+    params: schemas.isbnParams,
+    body: {
+        type: 'object',
+        properties: { rating: schemas.rating, review: schemas.reviewText },
+        minProperties: 1,
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Review saved", schema: 'ReviewResult' },
+        400: "Invalid rating or text, empty body, or no rating for a new review",
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        404: "Book not found"
+    }
+};
+
+/** DELETE /auth/review/:isbn */
+const deleteReviewSchema = {
+    summary: "Delete your review of a book",
+    tags: ['Reviews'],
+    params: schemas.isbnParams,
+    responses: {
+        200: { description: "Review deleted", schema: 'Message' },
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        404: "Book not found, or no review by this user"
+    }
+};
+
+/** POST /auth/review/:isbn/:username/report */
+const reportSchema = {
+    summary: "Report another user's review to the moderators",
+    tags: ['Reviews'],
+    params: schemas.reviewParams,
+    body: {
+        type: 'object',
+        properties: { reason: { ...schemas.nonBlankString(500, "Why the review should be removed"), example: "Spoilers and insults" } },
+        required: ['reason'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Review reported", schema: 'Message' },
+        400: "Invalid reason, or the review is your own",
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        404: "Book not found, or no published review by this user"
+    }
+};
+
+/** PUT /auth/review/:isbn/:username/vote */
+const voteSchema = {
+    summary: "Mark another user's review as helpful or unhelpful",
+    tags: ['Reviews'],
+    params: schemas.reviewParams,
+    body: {
+        type: 'object',
+        properties: { vote: { type: 'string', enum: VOTES, description: "Your vote; replaces an earlier one" } },
+        required: ['vote'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Vote recorded", schema: 'VoteResult' },
+        400: "Invalid vote, or the review is your own",
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        404: "Book not found, or no published review by this user"
+    }
+};
+
+/** DELETE /auth/review/:isbn/:username/vote */
+const deleteVoteSchema = {
+    summary: "Withdraw your vote on a review",
+    tags: ['Reviews'],
+    params: schemas.reviewParams,
+    responses: {
+        200: { description: "Vote withdrawn", schema: 'VoteResult' },
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        404: "Book not found, no published review by this user, or no vote by you"
+    }
+};
 
 // ============================================================================
 // VALIDATION FUNCTIONS
@@ -35,177 +218,555 @@ let users = [];
  * Used during registration to prevent duplicate usernames.
  * 
  * @param {string} username - The username to check for existence
- * @returns {boolean} - True if username exists, false otherwise
+ * @returns {Promise<boolean>} - True if username exists, false otherwise
  */
-const isValid = (username) => {
-    // Filter the users array for any user with the same username
-    let userswithsamename = users.filter((user) => {
-        return user.username === username;
-    });
-    // Return true if any user with the same username is found, otherwise false
-    return userswithsamename.length > 0;
+const isValid = async (username) => {
+    // Look the username up in the users collection
+    const user = await db.users.get(username);
+    // Return true if a user with the same username is found, otherwise false
+    return user !== undefined;
 }
 
 /**
  * Validates user credentials by checking if a user with the given username
  * and password exists in the system.
  * 
+ * Users created before password hashing was introduced still carry a
+ * plaintext `password` field. On their next successful login the password
+ * is hashed and the plaintext field is removed.
+ * 
  * @param {string} username - The username to validate
  * @param {string} password - The password to validate
- * @returns {boolean} - True if credentials are valid, false otherwise
+ * @returns {Promise<boolean>} - True if credentials are valid, false otherwise
  */
-const authenticatedUser = (username, password) => {
-    // Filter the users array for any user with the same username and password
-    let validusers = users.filter((user) => {
-        return (user.username === username && user.password === password);
-    });
-    // Return true if any valid user is found, otherwise false
-    if (validusers.length > 0) {
-        return true;
-    } else {
+const authenticatedUser = async (username, password) => {
+    // Look up the stored user with the same username
+    const user = await db.users.get(username);
+
+    if (!user) {
+        // Spend the same time as a real check so unknown usernames aren't revealed
+        return verifyDummy(password);
+    }
+
+    if (user.passwordHash) {
+        return verifyPassword(password, user.passwordHash);
+    }
+
+    // Legacy plaintext record: compare, then migrate to a hash on success
+    if (typeof user.password !== 'string' || user.password !== String(password)) {
         return false;
     }
+    const passwordHash = await hashPassword(password);
+    await db.users.update(username, (stored) => {
+        if (!stored || stored.passwordHash) {
+            return undefined;
+        }
+        delete stored.password;
+        stored.passwordHash = passwordHash;
+        return stored;
+    });
+    return true;
 }
 
+// ============================================================================
+// SESSION HELPERS
+// ============================================================================
+
+/**
+ * Replaces the request's session with a new, empty one under a new ID, so
+ * a session ID planted before login (session fixation) is worthless.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const regenerateSession = (req) => new Promise((resolve, reject) => {
+    req.session.regenerate((err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * Deletes the request's session from the session store.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const destroySession = (req) => new Promise((resolve, reject) => {
+    req.session.destroy((err) => (err ? reject(err) : resolve()));
+});
+
 // ============================================================================
 // AUTHENTICATION ROUTES
 // ============================================================================
 
 /**
  * User login endpoint
- * Validates user credentials and issues a JWT access token
- * Token is stored in session for subsequent authenticated requests
+ * Validates user credentials and issues a JWT access token plus a refresh token
+ * Tokens are stored in a new session for subsequent authenticated requests
+ * (session mode) and returned in the body for use as a bearer token (bearer
+ * mode). In session mode the body also carries the session's CSRF token.
  * 
  * @route POST /login
  * @param {string} username - Username (required, from request body)
  * @param {string} password - Password (required, from request body)
- * @returns {Object} 200 - Login successful with access token
- * @returns {Object} 400 - Missing username or password
- * @returns {Object} 401 - Invalid credentials (username/password mismatch)
+ * @returns {Object} 200 - Login successful with access and refresh tokens
+ * @returns {Object} 400 - VALIDATION_ERROR: missing or malformed username or password
+ * @returns {Object} 401 - UNAUTHENTICATED: invalid credentials (username/password mismatch)
+ * @returns {Object} 429 - TOO_MANY_REQUESTS: too many failed attempts for this username or IP (see Retry-After)
  * 
  * @example
  * POST /login
  * Body: { "username": "john", "password": "pass123" }
- * Response: { "message": "User successfully logged in", "accessToken": "eyJhb..." }
+ * Response: { "message": "User successfully logged in", "accessToken": "eyJhb...", "refreshToken": "q3Zk...",
+ *             "csrfToken": "Jx0q..." }
  */
-regd_users.post("/login", (req, res) => {
+regd_users.post("/login", validate(loginSchema), asyncHandler(async (req, res) => {
     const username = req.body.username;
     const password = req.body.password;
 
-    // Validate that both username and password are provided
-    if (!username || !password) {
-        return res.status(400).json({ message: "Username and password are required" });
+    // Refuse the attempt while the username or the client IP is locked out
+    const userKey = username;
+    const lockedMs = Math.max(loginLockout.byUser.check(userKey), loginLockout.byIp.check(req.ip));
+    if (lockedMs > 0) {
+        res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+        throw tooManyRequests("Too many failed login attempts. Try again later");
     }
 
     // Verify credentials against registered users
-    if (authenticatedUser(username, password)) {
-        // Generate JWT access token with 1-hour expiration
-        const secret = process.env.ACCESS_TOKEN_SECRET || 'access';
-        let accessToken = jwt.sign({ username }, secret, { expiresIn: 60 * 60 });
+    const authenticated = await authenticatedUser(username, password);
+
+    if (!authenticated) {
+        // Count the failure against both the username and the client IP
+        loginLockout.byUser.fail(userKey);
+        loginLockout.byIp.fail(req.ip);
+        // Credentials don't match any registered user
+        throw unauthorized("Invalid Login. Check username and password");
+    }
+
+    // A successful login clears the username's failure history
+    loginLockout.byUser.reset(userKey);
+
+    // Generate JWT access token (1-hour expiration by default) and refresh token
+    const { accessToken, refreshToken } = await issueTokens(username);
 
-        // Store access token and username in session for authenticated requests
+    const body = { message: "User successfully logged in", accessToken, refreshToken };
+
+    // Store tokens and username in a fresh session for authenticated requests
+    if (req.app.get('authModes').session) {
+        await regenerateSession(req);
         req.session.authorization = {
-            accessToken, username
+            accessToken, refreshToken, username
+        }
+        body.csrfToken = issueCsrfToken(req.session);
+    }
+    res.json(body);
+}));
+
+/**
+ * Token refresh endpoint
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token is used up; presenting it again revokes every
+ * token descended from the same login.
+ * 
+ * @route POST /token/refresh
+ * @param {string} refreshToken - Refresh token (from request body, or from the session in session mode)
+ * @returns {Object} 200 - New access and refresh tokens
+ * @returns {Object} 400 - VALIDATION_ERROR: no refresh token supplied, or a malformed one
+ * @returns {Object} 401 - UNAUTHENTICATED: refresh token invalid, expired, revoked or reused
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: refresh token taken from the session without a valid X-CSRF-Token header
+ * 
+ * @example
+ * POST /token/refresh
+ * Body: { "refreshToken": "q3Zk..." }
+ * Response: { "message": "Token refreshed", "accessToken": "eyJhb...", "refreshToken": "Yt8w..." }
+ */
+regd_users.post("/token/refresh", validate(refreshSchema), asyncHandler(async (req, res) => {
+    const sessionAuth = req.app.get('authModes').session ? req.session.authorization : undefined;
+    const presented = req.body.refreshToken || (sessionAuth && sessionAuth.refreshToken);
+
+    if (!presented) {
+        throw validationError("Refresh token is required", { refreshToken: "Field is required" });
+    }
+    // The session cookie is sent cross-site too, so its token needs the CSRF header
+    if (!req.body.refreshToken) {
+        verifyCsrfToken(req);
+    }
+
+    const tokens = await rotateRefreshToken(presented);
+
+    if (!tokens) {
+        // Don't keep a dead token pair in the session
+        if (sessionAuth && sessionAuth.refreshToken === presented) {
+            delete req.session.authorization;
+        }
+        throw unauthorized("Invalid refresh token");
+    }
+
+    const { username, accessToken, refreshToken } = tokens;
+    if (req.app.get('authModes').session) {
+        req.session.authorization = {
+            accessToken, refreshToken, username
+        }
+    }
+    res.json({ message: "Token refreshed", accessToken, refreshToken });
+}));
+
+/**
+ * User logout endpoint
+ * Revokes the current access token and the refresh token (with its whole
+ * rotation family), then clears the session. Succeeds even if the caller
+ * was not logged in, so clients can always call it safely.
+ * 
+ * @route POST /logout
+ * @param {string} [refreshToken] - Refresh token to revoke (from request body, defaults to the session's)
+ * @returns {Object} 200 - Logged out
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed refresh token
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie tokens without a valid X-CSRF-Token header
+ * 
+ * @example
+ * POST /logout
+ * Headers: Authorization: Bearer <token> (or session cookie)
+ * Body: { "refreshToken": "q3Zk..." }
+ * Response: { "message": "User successfully logged out" }
+ */
+regd_users.post("/logout", validate(logoutSchema), asyncHandler(async (req, res) => {
+    const sessionAuth = req.app.get('authModes').session ? req.session.authorization : undefined;
+    const credentials = getRequestCredentials(req, req.app.get('authModes'));
+    const accessToken = credentials && credentials.token;
+    const refreshToken = req.body.refreshToken || (sessionAuth && sessionAuth.refreshToken);
+
+    // Tokens taken from the session cookie need the CSRF header, as on /customer/auth/*
+    if ((credentials && credentials.scheme === 'session') || (!req.body.refreshToken && refreshToken)) {
+        verifyCsrfToken(req);
+    }
+
+    if (accessToken) {
+        // Only valid tokens need revoking; expired ones are dead already
+        const payload = await new Promise((resolve) => {
+            verifyAccessToken(accessToken, (err, decoded) => resolve(err ? null : decoded));
+        });
+        if (payload) {
+            await revokeAccessToken(payload);
         }
-        return res.status(200).json({ message: "User successfully logged in", accessToken });
-    } else {
-        // Return error if credentials don't match any registered user
-        return res.status(401).json({ message: "Invalid Login. Check username and password" });
     }
+    if (refreshToken) {
+        await revokeRefreshToken(refreshToken);
+    }
+
+    await destroySession(req);
+    res.clearCookie('connect.sid');
+    res.json({ message: "User successfully logged out" });
+}));
+
+/**
+ * CSRF token endpoint
+ * Returns the CSRF token of the caller's session, creating one if the
+ * session has none, for clients that lost the token from the login response.
+ *
+ * @route GET /auth/csrf-token
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @returns {Object} 200 - { csrfToken }
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ */
+regd_users.get("/auth/csrf-token", validate(csrfTokenSchema), (req, res) => {
+    res.json({ csrfToken: req.session.csrfToken || issueCsrfToken(req.session) });
 });
 
 // ============================================================================
 // REVIEW MANAGEMENT ROUTES
 // ============================================================================
 
+/**
+ * Get your own review of a book
+ * Returns the authenticated user's review with its moderation status, also
+ * while it is pending or rejected and hidden from everyone else.
+ *
+ * @route GET /auth/review/:isbn
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} isbn - Book ISBN from URL parameter (required)
+ * @returns {Object} 200 - The review and its status
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 404 - NOT_FOUND: book not found, or no review by this user
+ *
+ * @example
+ * GET /auth/review/0-385-47454-7
+ * Response: { "isbn": "9780385474542", "username": "john", "review": { "rating": 2, "text": "...", "createdAt": "...",
+ *             "updatedAt": "...", "editCount": 0, "status": "pending" } }
+ */
+regd_users.get("/auth/review/:isbn", validate(ownReviewSchema), asyncHandler(async (req, res) => {
+    const isbn = req.params.isbn;
+    const username = req.user.username;
+
+    const book = await db.books.get(isbn);
+    if (!book) {
+        throw notFound("Book not found");
+    }
+    if (!book.reviews[username]) {
+        throw notFound("Review not found for this user");
+    }
+    res.json({ isbn, username, review: toOwnReview(book.reviews[username]) });
+}));
+
 /**
  * Add or update a book review
  * Allows authenticated users to add new reviews or update existing ones.
- * If a review already exists for the user, it will be replaced.
+ * A new review needs a star rating; an update may change the rating, the
+ * text or both, bumps updatedAt and increments editCount.
+ * Text containing a banned word is held for moderation (status "pending"),
+ * and so is a new version of a rejected review (see lib/moderation.js).
  * 
  * @route PUT /auth/review/:isbn
- * @authenticated Required - User must be logged in
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
  * @param {string} isbn - Book ISBN from URL parameter (required)
- * @param {string} review - Review text from request body (required)
+ * @param {number} rating - Star rating 1-5 from request body (required for a new review)
+ * @param {string} [review] - Review text from request body (at most 5000 characters)
  * @returns {Object} 200 - Review added/updated successfully
- * @returns {Object} 400 - Missing ISBN parameter
- * @returns {Object} 404 - Book not found
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN, invalid rating or text, empty body,
+ *                    or no rating for a new review
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: book not found
  * 
  * @example
- * PUT /auth/review/978-0-13-110362-7
- * Headers: Authorization required (JWT token)
- * Body: { "review": "Great book! Highly recommended." }
- * Response: { "message": "Review added" }
+ * PUT /auth/review/978-0-385-47454-2
+ * Headers: Authorization: Bearer <token> (or session cookie and X-CSRF-Token)
+ * Body: { "rating": 5, "review": "Great book! Highly recommended." }
+ * Response: { "isbn": "9780385474542", "username": "john", "review": { "rating": 5, "text": "Great book! Highly recommended.",
+ *             "createdAt": "2024-05-01T10:00:00.000Z", "updatedAt": "2024-05-01T10:00:00.000Z", "editCount": 0,
+ *             "status": "approved" } }
  */
-regd_users.put("/auth/review/:isbn", (req, res) => {
+regd_users.put("/auth/review/:isbn", validate(reviewSchema), asyncHandler(async (req, res) => {
     const isbn = req.params.isbn;  // Get ISBN from URL parameters
+    const username = req.user.username;
+    // Fields were checked by reviewSchema; either may be absent on an update
+    const rating = req.body.rating;
+    const text = req.body.review;
 
-    if (!isbn) {
-        return res.status(400).json({ message: "ISBN is required" });
-    }
-
-    // Get the book by ISBN from the books database
-    const book = books[isbn];
-    const username = req.session.authorization.username;
-    const review = req.body.review;
+    // Add or update the review for the authenticated user in one atomic write
+    let missingRating = false;
+    const book = await db.books.update(isbn, (book) => {
+        if (!book) {
+            return undefined;
+        }
+        const existing = book.reviews[username];
+        if (!existing && rating === undefined) {
+            missingRating = true;
+            return undefined;
+        }
+        book.reviews[username] = screenReview(existing, writeReview(existing, { rating, text }));
+        return book;
+    });
 
-    if (book) {
-        // Add or update the review for the authenticated user
-        book.reviews[username] = review;
-        return res.status(200).json({
-            isbn: isbn,
-            review: review,
-            username: username
-        });
-    } else {
-        res.send("There are no reviews for the book with ISBN " + isbn);
+    if (!book) {
+        throw notFound("Book not found");
+    }
+    if (missingRating) {
+        throw validationError("A rating is required for a new review", { rating: "Field is required" });
     }
-});
+
+    res.json({
+        isbn: isbn,
+        username: username,
+        review: toOwnReview(book.reviews[username])
+    });
+}));
 
 /**
  * Delete a user's book review
  * Allows authenticated users to delete their own reviews for a specific book.
  * 
  * @route DELETE /auth/review/:isbn
- * @authenticated Required - User must be logged in
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
  * @param {string} isbn - Book ISBN from URL parameter (required)
  * @returns {Object} 200 - Review deleted successfully
- * @returns {Object} 400 - Missing ISBN parameter
- * @returns {Object} 401 - User not logged in
- * @returns {Object} 404 - Book not found or review not found for user
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: book not found or review not found for user
  * 
  * @example
- * DELETE /auth/review/978-0-13-110362-7
- * Headers: Authorization required (JWT token)
+ * DELETE /auth/review/978-0-385-47454-2
+ * Headers: Authorization: Bearer <token> (or session cookie and X-CSRF-Token)
  * Response: { "message": "Review deleted successfully" }
  */
-regd_users.delete("/auth/review/:isbn", (req, res) => {
+regd_users.delete("/auth/review/:isbn", validate(deleteReviewSchema), asyncHandler(async (req, res) => {
     const isbn = req.params.isbn;  // Get ISBN from URL parameters
+    const username = req.user?.username;
 
-    if (!isbn) {
-        return res.status(400).json({ message: "ISBN is required" });
+    if (!username) {
+        throw unauthorized("User not logged in");
     }
 
-    // Get the book by ISBN from the books database
-    const book = books[isbn];
+    // Remove the review inside a single atomic update of the book record
+    let removed = false;
+    const book = await db.books.update(isbn, (book) => {
+        if (book && book.reviews && book.reviews[username]) {
+            delete book.reviews[username];
+            removed = true;
+            return book;
+        }
+        return undefined;
+    });
 
     if (!book) {
-        return res.status(404).json({ message: "Book not found" });
+        throw notFound("Book not found");
     }
+    if (!removed) {
+        throw notFound("Review not found for this user");
+    }
+    res.json({ message: "Review deleted successfully for the book with ISBN " + isbn + " and the user " + username });
+}));
 
-    const username = req.session.authorization?.username;
+/**
+ * Report a review
+ * Flags another user's published review for the moderators. Reporting the
+ * same review again replaces your earlier reason. Once enough users have
+ * reported it, the review is hidden until a moderator decides.
+ *
+ * @route POST /auth/review/:isbn/:username/report
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} isbn - Book ISBN from URL parameter (required)
+ * @param {string} username - Author of the review from URL parameter (required)
+ * @param {string} reason - Why the review should be removed, from request body (required)
+ * @returns {Object} 200 - Review reported
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed parameters or reason;
+ *                    BAD_REQUEST: the review is your own
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: book not found, or no published review by this user
+ *
+ * @example
+ * POST /auth/review/9780385474542/john/report
+ * Body: { "reason": "Spoilers and insults" }
+ * Response: { "message": "Review reported. Thank you" }
+ */
+regd_users.post("/auth/review/:isbn/:username/report", validate(reportSchema), asyncHandler(async (req, res) => {
+    const { isbn, username } = req.params;
+    const reporter = req.user.username;
 
-    if (!username) {
-        return res.status(401).json({ message: "User not logged in" });
+    if (username === reporter) {
+        throw badRequest("You cannot report your own review");
     }
 
-    if (book.reviews && book.reviews[username]) {
-        delete book.reviews[username];
-        return res.status(200).json({ message: "Review deleted successfully for the book with ISBN " + isbn + " and the user " + username });
-    } else {
-        return res.status(404).json({ message: "Review not found for this user" });
+    // Only published reviews can be reported; hidden ones already await a moderator
+    let reported = false;
+    const book = await db.books.update(isbn, (book) => {
+        const review = book && book.reviews[username];
+        if (!review || reviewStatus(review) !== 'approved') {
+            return undefined;
+        }
+        book.reviews[username] = reportReview(review, reporter, req.body.reason.trim());
+        reported = true;
+        return book;
+    });
+
+    if (!book) {
+        throw notFound("Book not found");
     }
-});
+    if (!reported) {
+        throw notFound("Review not found for this user");
+    }
+    res.json({ message: "Review reported. Thank you" });
+}));
+
+// ============================================================================
+// REVIEW VOTING ROUTES
+// ============================================================================
+
+/**
+ * Applies a vote change to another user's published review.
+ *
+ * @param {string} isbn - Book ISBN
+ * @param {string} username - Author of the review
+ * @param {string} voter - Username of the voting user
+ * @param {string|null} vote - New vote, or null to withdraw it
+ * @returns {Promise<Object>} - The updated stored review
+ * @throws {HttpError} 400 for the voter's own review, 404 for a missing book,
+ *         review or (when withdrawing) vote
+ */
+const updateVote = async (isbn, username, voter, vote) => {
+    if (username === voter) {
+        throw badRequest("You cannot vote on your own review");
+    }
+
+    let found = false;
+    let hadVote = false;
+    const book = await db.books.update(isbn, (book) => {
+        const review = book && book.reviews[username];
+        if (!review || reviewStatus(review) !== 'approved') {
+            return undefined;
+        }
+        found = true;
+        hadVote = Boolean(review.votes && review.votes[voter]);
+        if (vote === null && !hadVote) {
+            return undefined;
+        }
+        book.reviews[username] = castVote(review, voter, vote);
+        return book;
+    });
+
+    if (!book) {
+        throw notFound("Book not found");
+    }
+    if (!found) {
+        throw notFound("Review not found for this user");
+    }
+    if (vote === null && !hadVote) {
+        throw notFound("You have not voted on this review");
+    }
+    return book.reviews[username];
+}
+
+/**
+ * Vote on a review
+ * Marks another user's published review as helpful or unhelpful. Each user
+ * has one vote per review; voting again replaces it.
+ *
+ * @route PUT /auth/review/:isbn/:username/vote
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} isbn - Book ISBN from URL parameter (required)
+ * @param {string} username - Author of the review from URL parameter (required)
+ * @param {string} vote - "helpful" or "unhelpful" from request body (required)
+ * @returns {Object} 200 - Your vote and the review's vote counts
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed parameters or vote;
+ *                    BAD_REQUEST: the review is your own
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: book not found, or no published review by this user
+ *
+ * @example
+ * PUT /auth/review/9780385474542/john/vote
+ * Body: { "vote": "helpful" }
+ * Response: { "isbn": "9780385474542", "username": "john", "vote": "helpful", "helpful": 4, "unhelpful": 1 }
+ */
+regd_users.put("/auth/review/:isbn/:username/vote", validate(voteSchema), asyncHandler(async (req, res) => {
+    const { isbn, username } = req.params;
+    const review = await updateVote(isbn, username, req.user.username, req.body.vote);
+    res.json({ isbn, username, vote: req.body.vote, ...countVotes(review) });
+}));
+
+/**
+ * Withdraw a vote
+ * Removes your helpful/unhelpful vote from a review.
+ *
+ * @route DELETE /auth/review/:isbn/:username/vote
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} isbn - Book ISBN from URL parameter (required)
+ * @param {string} username - Author of the review from URL parameter (required)
+ * @returns {Object} 200 - The review's vote counts
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed parameters; BAD_REQUEST: the review is your own
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: book not found, no published review by this user, or no vote by you
+ *
+ * @example
+ * DELETE /auth/review/9780385474542/john/vote
+ * Response: { "isbn": "9780385474542", "username": "john", "vote": null, "helpful": 3, "unhelpful": 1 }
+ */
+regd_users.delete("/auth/review/:isbn/:username/vote", validate(deleteVoteSchema), asyncHandler(async (req, res) => {
+    const { isbn, username } = req.params;
+    const review = await updateVote(isbn, username, req.user.username, null);
+    res.json({ isbn, username, vote: null, ...countVotes(review) });
+}));
 
 // ============================================================================
 // MODULE EXPORTS
@@ -217,5 +778,7 @@ module.exports.authenticated = regd_users;
 /** Export username validation function */
 module.exports.isValid = isValid;
 
-/** Export users array for access by other modules */
-module.exports.users = users;
+/** Export credential check, login lockout and session helper, shared with the profile routes */
+module.exports.authenticatedUser = authenticatedUser;
+module.exports.loginLockout = loginLockout;
+module.exports.destroySession = destroySession;
@@ -0,0 +1,77 @@
+/**
+ * Authors Seed Data Module
+ *
+ * Authors of the seed catalog (booksdb.js), keyed by author ID. Like the
+ * books, they are only read when a store is seeded (or migrated to author
+ * entities); later changes are written to the repository.
+ *
+ * Seed books credited to "Unknown" belong to the author "Anonymous", who
+ * has "Unknown" as an alias.
+ */
+
+/**
+ * Authors database object
+ *
+ * @typedef {Object} Author
+ * @property {string} name - Name the author is shown under
+ * @property {string[]} aliases - Other names and spellings the author is found by
+ * @property {string|null} bio - Short biography
+ *
+ * @type {Object<string, Author>}
+ *
+ * @example
+ * authors["jane-austen"].name; // "Jane Austen"
+ */
+let authors = {
+      "chinua-achebe": {
+            "name": "Chinua Achebe",
+            "aliases": ["Albert Chinụalụmọgụ Achebe"],
+            "bio": "Nigerian novelist, poet and critic (1930-2013), whose first novel Things Fall Apart became a cornerstone of modern African literature."
+      },
+
+      "hans-christian-andersen": {
+            "name": "Hans Christian Andersen",
+            "aliases": ["H. C. Andersen", "H.C. Andersen"],
+            "bio": "Danish writer (1805-1875) of plays, travelogues and poems, remembered above all for his fairy tales."
+      },
+
+      "dante-alighieri": {
+            "name": "Dante Alighieri",
+            "aliases": ["Dante"],
+            "bio": "Florentine poet and statesman (c. 1265-1321) whose Divine Comedy helped establish Tuscan as the literary language of Italy."
+      },
+
+      "anonymous": {
+            "name": "Anonymous",
+            "aliases": ["Unknown"],
+            "bio": "Works whose authors are not known: ancient epics, scripture, sagas and folk tales handed down and compiled over centuries."
+      },
+
+      "jane-austen": {
+            "name": "Jane Austen",
+            "aliases": [],
+            "bio": "English novelist (1775-1817) known for her wit and her portraits of the landed gentry."
+      },
+
+      "honore-de-balzac": {
+            "name": "Honoré de Balzac",
+            "aliases": ["Honore de Balzac", "Balzac"],
+            "bio": "French novelist and playwright (1799-1850), author of the sequence of novels La Comédie humaine."
+      },
+
+      "samuel-beckett": {
+            "name": "Samuel Beckett",
+            "aliases": [],
+            "bio": "Irish novelist, playwright and poet (1906-1989) who wrote in English and French; Nobel Prize in Literature 1969."
+      }
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/**
+ * Export authors seed data
+ * Consumed by the repository layer when seeding and migrating the store.
+ */
+module.exports = authors;
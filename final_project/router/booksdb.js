@@ -1,17 +1,27 @@
 /**
- * Books Database Module
+ * Books Seed Data Module
  * 
- * Contains a pre-populated database of classic books with metadata.
- * Each book entry includes author information, title, and a reviews object
- * for storing user reviews indexed by username.
+ * Contains the initial catalog of classic books with metadata. It is only
+ * read once, when the repository (../store) is opened for the first time,
+ * to seed the persistent books collection. Runtime changes such as reviews
+ * are written to the repository, never back to this object.
+ * 
+ * Each book entry includes author information, title, publication
+ * metadata, and a reviews object for storing user reviews indexed by
+ * username.
  * 
  * Data Structure:
- * - Key: ISBN (numeric identifier 1-10)
- * - Value: Book object with author, title, and reviews
+ * - Key: ISBN-13 without hyphens (see lib/isbn.js)
+ * - Value: Book object with author (name and author ID), title, metadata
+ *   (see lib/books.js) and reviews
+ *
+ * The catalog used the numeric IDs 1-10 before books had real ISBNs;
+ * legacyIds maps them to their ISBN-13 so they keep working as aliases.
  * 
  * Reviews are stored as key-value pairs where:
  * - Key: Username of the reviewer
- * - Value: Review text provided by the user
+ * - Value: Review object (rating, text, timestamps, edit count; see lib/reviews.js).
+ *   Bare review strings are still accepted here and migrated when seeded.
  */
 
 /**
@@ -19,135 +29,230 @@
  * 
  * Contains classic literature titles with the following properties:
  * @typedef {Object} Book
- * @property {string} author - Name of the book's author
+ * @property {string} author - Name of the book's author, as credited
+ * @property {string} authorId - ID of the author entity (see authorsdb.js and lib/authors.js)
  * @property {string} title - Title of the book
- * @property {Object} reviews - Object storing user reviews (username: review_text)
+ * @property {number} [year] - Year of first publication (negative for BCE; approximate for ancient works)
+ * @property {string[]} [genres] - Genres and subjects, lowercase
+ * @property {string} [language] - Language of the edition (BCP 47 tag, e.g. "en")
+ * @property {number} [pages] - Page count of the edition
+ * @property {string} [description] - Short summary
+ * @property {string} [coverUrl] - Cover image URL
+ * @property {Object} reviews - Object storing user reviews (username: Review)
  * 
- * @type {Object<number, Book>}
+ * @type {Object<string, Book>}
  * 
  * @example
  * // Accessing a book
- * const book = books[1];
+ * const book = books["9780385474542"];
  * console.log(book.title); // "Things Fall Apart"
  * console.log(book.author); // "Chinua Achebe"
+ * console.log(book.year); // 1958
  * 
  * @example
  * // Accessing a review
- * const userReview = books[1].reviews["john"];
+ * const userReview = books["9780385474542"].reviews["john"];
  * 
  * @example
- * // Adding a review
- * books[1].reviews["john"] = "Excellent novel!";
+ * // A review as stored after seeding
+ * books["9780385474542"].reviews["john"] = { rating: 5, text: "Excellent novel!", createdAt: null, updatedAt: null, editCount: 0 };
  */
 let books = {
       /**
-       * ISBN 1: Things Fall Apart
+       * ISBN 9780385474542 (legacy ID 1): Things Fall Apart
        * A seminal African novel by Chinua Achebe
        */
-      1: {
+      "9780385474542": {
             "author": "Chinua Achebe",
+            "authorId": "chinua-achebe",
             "title": "Things Fall Apart",
+            "year": 1958,
+            "genres": ["novel", "african literature", "historical fiction"],
+            "language": "en",
+            "pages": 209,
+            "description": "Okonkwo, a proud Igbo leader, sees his world unravel with the arrival of colonial rule and Christian missionaries.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780385474542-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 2: Fairy tales
+       * ISBN 9780670033775 (legacy ID 2): Fairy tales
        * Classic fairy tales by Hans Christian Andersen
        */
-      2: {
+      "9780670033775": {
             "author": "Hans Christian Andersen",
+            "authorId": "hans-christian-andersen",
             "title": "Fairy tales",
+            "year": 1835,
+            "genres": ["fairy tales", "children's literature"],
+            "language": "en",
+            "pages": 464,
+            "description": "Andersen's tales, from The Little Mermaid to The Snow Queen, in a new translation.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780670033775-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 3: The Divine Comedy
+       * ISBN 9780142437223 (legacy ID 3): The Divine Comedy
        * Epic poem by Dante Alighieri
        */
-      3: {
+      "9780142437223": {
             "author": "Dante Alighieri",
+            "authorId": "dante-alighieri",
             "title": "The Divine Comedy",
+            "year": 1320,
+            "genres": ["poetry", "epic", "italian literature"],
+            "language": "en",
+            "pages": 928,
+            "description": "Dante's journey through Hell, Purgatory and Paradise.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780142437223-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 4: The Epic Of Gilgamesh
+       * ISBN 9780140449198 (legacy ID 4): The Epic Of Gilgamesh
        * Ancient Mesopotamian epic poem, author unknown
        */
-      4: {
+      "9780140449198": {
             "author": "Unknown",
+            "authorId": "anonymous",
             "title": "The Epic Of Gilgamesh",
+            "year": -1200,
+            "genres": ["poetry", "epic", "mythology"],
+            "language": "en",
+            "pages": 228,
+            "description": "The Mesopotamian epic of Gilgamesh, king of Uruk, and his search for immortality.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780140449198-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 5: The Book Of Job
+       * ISBN 9780060969592 (legacy ID 5): The Book Of Job
        * Biblical text, author unknown
        */
-      5: {
+      "9780060969592": {
             "author": "Unknown",
+            "authorId": "anonymous",
             "title": "The Book Of Job",
+            "year": -500,
+            "genres": ["scripture", "poetry", "philosophy"],
+            "language": "en",
+            "pages": 129,
+            "description": "The biblical story of Job, whose faith is tested by the loss of everything he has.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780060969592-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 6: One Thousand and One Nights
+       * ISBN 9780140442892 (legacy ID 6): One Thousand and One Nights
        * Collection of Middle Eastern tales, author unknown
+       * (compiled over centuries, so it has no publication year)
        */
-      6: {
+      "9780140442892": {
             "author": "Unknown",
+            "authorId": "anonymous",
             "title": "One Thousand and One Nights",
+            "genres": ["folklore", "short stories"],
+            "language": "en",
+            "pages": 407,
+            "description": "Tales told by Shahrazad over a thousand and one nights to delay her execution.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780140442892-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 7: Njál's Saga
+       * ISBN 9780140447699 (legacy ID 7): Njál's Saga
        * Icelandic saga, author unknown
        */
-      7: {
+      "9780140447699": {
             "author": "Unknown",
+            "authorId": "anonymous",
             "title": "Njál's Saga",
+            "year": 1280,
+            "genres": ["saga", "icelandic literature"],
+            "language": "en",
+            "pages": 384,
+            "description": "A blood feud in medieval Iceland, from the friendship of Gunnar and Njál to the burning of Njál's farm.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780140447699-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 8: Pride and Prejudice
+       * ISBN 9780141439518 (legacy ID 8): Pride and Prejudice
        * Novel of manners by Jane Austen
        */
-      8: {
+      "9780141439518": {
             "author": "Jane Austen",
+            "authorId": "jane-austen",
             "title": "Pride and Prejudice",
+            "year": 1813,
+            "genres": ["novel", "romance", "classics"],
+            "language": "en",
+            "pages": 480,
+            "description": "Elizabeth Bennet and Mr Darcy overcome pride and prejudice in Regency England.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780141439518-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 9: Le Père Goriot
+       * ISBN 9782070409167 (legacy ID 9): Le Père Goriot
        * Novel by Honoré de Balzac
        */
-      9: {
+      "9782070409167": {
             "author": "Honoré de Balzac",
+            "authorId": "honore-de-balzac",
             "title": "Le Père Goriot",
+            "year": 1835,
+            "genres": ["novel", "french literature", "realism"],
+            "language": "fr",
+            "pages": 434,
+            "description": "Eugène de Rastignac, a young student in Paris, and the old Goriot who sacrificed everything for his daughters.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9782070409167-L.jpg",
             "reviews": {}
       },
 
       /**
-       * ISBN 10: Molloy, Malone Dies, The Unnamable, the trilogy
+       * ISBN 9780802144478 (legacy ID 10): Molloy, Malone Dies, The Unnamable, the trilogy
        * Trilogy of novels by Samuel Beckett
        */
-      10: {
+      "9780802144478": {
             "author": "Samuel Beckett",
+            "authorId": "samuel-beckett",
             "title": "Molloy, Malone Dies, The Unnamable, the trilogy",
+            "year": 1959,
+            "genres": ["novel", "modernism"],
+            "language": "en",
+            "pages": 407,
+            "description": "Samuel Beckett's three novels Molloy, Malone Dies and The Unnamable in one volume.",
+            "coverUrl": "https://covers.openlibrary.org/b/isbn/9780802144478-L.jpg",
             "reviews": {}
       }
 }
 
+/**
+ * Legacy numeric book IDs and the ISBN-13 each one stands for
+ * @type {Object<string, string>}
+ */
+const legacyIds = {
+      1: "9780385474542",
+      2: "9780670033775",
+      3: "9780142437223",
+      4: "9780140449198",
+      5: "9780060969592",
+      6: "9780140442892",
+      7: "9780140447699",
+      8: "9780141439518",
+      9: "9782070409167",
+      10: "9780802144478"
+}
+
 // ============================================================================
 // MODULE EXPORTS
 // ============================================================================
 
 /**
- * Export books database
- * Makes the books object available to other modules for reading and modifying
- * book data and user reviews.
+ * Export books seed data
+ * Consumed by the repository layer to seed the books collection and
+ * record the legacy ID aliases.
  */
-module.exports = books;
+module.exports = { books, legacyIds };
@@ -8,7 +8,13 @@
  * - User registration
  * - Browsing the complete book catalog
  * - Searching books by ISBN, author, or title
+ * - Author pages with their books and aggregate rating
+ * - Full-text search over titles, authors and reviews
  * - Viewing public reviews for any book
+ * - Viewing the shelves users have made public
+ *
+ * Catalog and review responses are cached and carry strong ETags, so
+ * clients can revalidate them with If-None-Match (see lib/cache.js).
  */
 
 // ============================================================================
@@ -16,10 +22,21 @@
 // ============================================================================
 
 const express = require('express');
-const axios = require('axios');
-let books = require("./booksdb.js");
-let isValid = require("./auth_users.js").isValid;
-let users = require("./auth_users.js").users;
+const db = require('../store');
+const { checkPasswordPolicy, hashPassword } = require('../lib/password.js');
+const { DEFAULT_ROLE } = require('../lib/roles.js');
+const { claimTokenVersion } = require('../lib/token_store.js');
+const { publishedReviews, summarizeRatings, sortReviews, withRatingSummary, REVIEW_SORTS, DEFAULT_REVIEW_LIMIT, MAX_REVIEW_LIMIT, MIN_RATING, MAX_RATING } = require('../lib/reviews.js');
+const { searchCatalog } = require('../lib/search.js');
+const { parseListQuery, listBooks } = require('../lib/listing.js');
+const { loadShelvesView } = require('../lib/shelves.js');
+const { cacheResponse } = require('../lib/cache.js');
+const { toIsbn10 } = require('../lib/isbn.js');
+const { AUTHORS, DEFAULT_AUTHOR_LIMIT, MAX_AUTHOR_LIMIT, nameKey, namesOf, findAuthorId, authorPage } = require('../lib/authors.js');
+const { isbnParam } = require('../lib/isbn_aliases.js');
+const { asyncHandler, validationError, conflict, notFound } = require('../lib/errors.js');
+const { validate } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
 
 // ============================================================================
 // ROUTER AND DATA STORAGE
@@ -28,6 +45,179 @@ let users = require("./auth_users.js").users;
 /** Express router for public routes */
 const public_users = express.Router();
 
+/** Every form of an ISBN, and legacy IDs, address the same book (lib/isbn_aliases.js) */
+public_users.param('isbn', isbnParam);
+
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+
+/** POST /register */
+const registerSchema = {
+    summary: "Register a new user",
+    tags: ['Users'],
+    body: {
+        type: 'object',
+        properties: { username: schemas.username, password: schemas.password },
+        required: ['username', 'password'],
+        additionalProperties: false
+    },
+    responses: {
+        201: { description: "User registered", schema: 'Message' },
+        400: "Missing or malformed credentials, or the password does not meet the password policy",
+        409: "Username already exists"
+    }
+};
+
+/** GET / */
+const listSchema = {
+    summary: "List the catalog",
+    tags: ['Books'],
+    query: schemas.listQuery,
+    cached: true,
+    responses: {
+        200: { description: "Page of books", schema: 'BookPage' },
+        400: "Invalid listing parameters"
+    }
+};
+
+/** GET /isbn/:isbn */
+const isbnSchema = {
+    summary: "Get book details by ISBN",
+    tags: ['Books'],
+    params: schemas.isbnParams,
+    cached: true,
+    responses: {
+        200: { description: "Book with its rating summary", schema: 'BookWithRating' },
+        404: "Book not found"
+    }
+};
+
+/** GET /author/:author */
+const authorSchema = {
+    summary: "List books by author",
+    description: "Books come from the configured catalog source (local store or remote catalog).",
+    tags: ['Books'],
+    params: {
+        type: 'object',
+        properties: { author: { type: 'string', maxLength: 200, description: "Author name or alias (case-insensitive)" } },
+        required: ['author']
+    },
+    query: schemas.listQuery,
+    responses: {
+        200: { description: "Page of books by the author", schema: 'BookPage' },
+        400: "Invalid listing parameters",
+        404: "No books by this author",
+        502: "Remote catalog unavailable or invalid (code UPSTREAM_UNAVAILABLE or UPSTREAM_BAD_RESPONSE)",
+        504: "Remote catalog timed out (code UPSTREAM_TIMEOUT)"
+    }
+};
+
+/** GET /title/:title */
+const titleSchema = {
+    summary: "List books by title",
+    tags: ['Books'],
+    params: {
+        type: 'object',
+        properties: { title: { type: 'string', maxLength: 300, description: "Exact book title" } },
+        required: ['title']
+    },
+    query: schemas.listQuery,
+    cached: true,
+    responses: {
+        200: { description: "Page of books with the title", schema: 'BookPage' },
+        400: "Invalid listing parameters",
+        404: "No books with this title"
+    }
+};
+
+/** GET /search */
+const searchSchema = {
+    summary: "Full-text search over titles, authors and reviews",
+    tags: ['Books'],
+    query: {
+        type: 'object',
+        properties: {
+            q: { ...schemas.nonBlankString(200, "Search text"), example: "pere goriot" },
+            author: { type: 'string', maxLength: 200, description: "Only books by this author" },
+            rating: { type: 'number', minimum: MIN_RATING, maximum: MAX_RATING, description: "Minimum average rating" },
+            limit: { type: 'integer', minimum: 1, maximum: 100, description: "Maximum number of results (default 20)" }
+        },
+        required: ['q'],
+        additionalProperties: false
+    },
+    cached: true,
+    responses: {
+        200: { description: "Ranked results with facets", schema: 'SearchResults' }
+    }
+};
+
+/** GET /review/:isbn */
+const reviewsSchema = {
+    summary: "Get the reviews of a book",
+    tags: ['Reviews'],
+    params: schemas.isbnParams,
+    query: {
+        type: 'object',
+        properties: {
+            sort: { type: 'string', enum: Object.keys(REVIEW_SORTS), description: "Order of the reviews (default helpful)" },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_REVIEW_LIMIT, description: "Page size (default " + DEFAULT_REVIEW_LIMIT + ")" },
+            offset: { type: 'integer', minimum: 0, description: "Number of reviews to skip (default 0)" }
+        },
+        additionalProperties: false
+    },
+    cached: true,
+    responses: {
+        200: { description: "Page of reviews and the rating summary", schema: 'ReviewList' },
+        404: "Book not found"
+    }
+};
+
+/** GET /authors */
+const authorsSchema = {
+    summary: "List authors",
+    tags: ['Authors'],
+    query: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: MAX_AUTHOR_LIMIT, description: "Page size (default " + DEFAULT_AUTHOR_LIMIT + ")" },
+            offset: { type: 'integer', minimum: 0, description: "Number of authors to skip (default 0)" }
+        },
+        additionalProperties: false
+    },
+    cached: true,
+    responses: {
+        200: { description: "Page of authors, by name", schema: 'AuthorPage' }
+    }
+};
+
+/** GET /authors/:id */
+const authorDetailsSchema = {
+    summary: "Get an author with their books and aggregate rating",
+    tags: ['Authors'],
+    params: schemas.authorParams,
+    cached: true,
+    responses: {
+        200: { description: "Author, their books and the rating summary of all their reviews", schema: 'AuthorDetails' },
+        404: "Author not found"
+    }
+};
+
+/** GET /shelves/:username */
+const publicShelvesSchema = {
+    summary: "View a user's public shelves",
+    tags: ['Shelves'],
+    params: {
+        type: 'object',
+        properties: { username: { type: 'string', minLength: 1, maxLength: 256, description: "Owner of the shelves" } },
+        required: ['username']
+    },
+    responses: {
+        200: { description: "The user's shelves and their books", schema: 'PublicShelves' },
+        404: "No such user, or their shelves are private"
+    }
+};
+
 // ============================================================================
 // REGISTRATION ROUTE
 // ============================================================================
@@ -35,39 +225,53 @@ const public_users = express.Router();
 /**
  * User registration endpoint
  * Allows new users to create an account with username and password.
- * Prevents duplicate usernames from being registered.
+ * Prevents duplicate usernames from being registered. The password must
+ * satisfy the password policy and is stored as a salted scrypt hash.
+ * New accounts get the "reader" role.
  * 
  * @route POST /register
- * @param {string} username - Username for the new account (required, from request body)
+ * @param {string} username - Username for the new account, 3-32 letters, digits, '.', '_' or '-' (required, from request body)
  * @param {string} password - Password for the new account (required, from request body)
- * @returns {Object} 200 - Registration successful
- * @returns {Object} 400 - Username already exists or missing credentials
+ * @returns {Object} 201 - Registration successful
+ * @returns {Object} 400 - VALIDATION_ERROR: missing or malformed credentials, or weak password
+ * @returns {Object} 409 - CONFLICT: username already exists
  * 
  * @example
  * POST /register
- * Body: { "username": "john", "password": "pass123" }
+ * Body: { "username": "john", "password": "Pass1234" }
  * Response: { "message": "User successfully registered. Now you can login" }
  */
-public_users.post("/register", (req, res) => {
-    // Extract username and password from request body
+public_users.post("/register", validate(registerSchema), asyncHandler(async (req, res) => {
+    // Extract username and password from the validated request body
     const username = req.body.username;
     const password = req.body.password;
 
-    // Check if both username and password are provided
-    if (username && password) {
-        // Verify the username is not already registered
-        if (!isValid(username)) {
-            // Add new user to the users array
-            users.push({ username: username, password: password });
-            return res.status(200).json({ message: "User successfully registered user " + username + ". Now you can login" });
-        } else {
-            // Return error if username already exists in the system
-            return res.status(400).json({ message: "User already exists!" });
+    // Enforce the password policy before doing any work
+    const problems = checkPasswordPolicy(password, { username });
+    if (problems.length > 0) {
+        throw validationError("Password does not meet the password policy", { password: problems });
+    }
+
+    // Check for an existing user and create the new one in a single
+    // transaction so two concurrent registrations cannot both claim the name
+    const passwordHash = await hashPassword(password);
+    const created = await db.transaction(async (tx) => {
+        const users = tx.collection('users');
+        if (await users.get(username)) {
+            return false;
         }
+        // Tokens of a deleted account with this name must not work for the new one
+        const tokenVersion = await claimTokenVersion(tx, username);
+        await users.put(username, { username: username, passwordHash: passwordHash, role: DEFAULT_ROLE, createdAt: new Date().toISOString(), tokenVersion });
+        return true;
+    });
+
+    if (!created) {
+        // Username already exists in the system
+        throw conflict("User already exists!");
     }
-    // Return error if username or password is missing
-    return res.status(400).json({ message: "Unable to register user." });
-});
+    res.status(201).json({ message: "User successfully registered user " + username + ". Now you can login" });
+}));
 
 // ============================================================================
 // BOOK DISCOVERY ROUTES
@@ -75,174 +279,366 @@ public_users.post("/register", (req, res) => {
 
 /**
  * Get all books in the catalog
- * Returns a complete list of all available books with full details.
+ * Returns one page of the catalog. Each book carries its ISBN, details,
+ * reviews, rating summary and review count.
+ * 
+ * Supports offset or cursor pagination, sorting and field selection; see
+ * lib/listing.js for the query parameters.
  * 
  * @route GET /
- * @returns {Array<Object>} Array of all books with author, title, and reviews
+ * @param {number} [limit=20] - Page size, 1-100 (from query string)
+ * @param {number} [offset=0] - Books to skip (from query string)
+ * @param {string} [cursor] - nextCursor/prevCursor of a previous page (from query string)
+ * @param {string} [sort=isbn] - isbn, title, author, year, rating or reviewCount (from query string)
+ * @param {string} [order] - asc or desc (from query string)
+ * @param {string} [fields] - Comma-separated fields to return, e.g. "title,author,rating" (from query string)
+ * @param {string} [genre] - Only books with this genre or subject (from query string)
+ * @param {string} [language] - Only books in this language, e.g. "fr" (from query string)
+ * @param {number} [yearFrom] - Only books published in or after this year (from query string)
+ * @param {number} [yearTo] - Only books published in or before this year (from query string)
+ * @returns {Object} 200 - Page of books with total count, cursors and next/prev links
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid listing parameters (one detail per parameter)
  * 
  * @example
- * GET /
- * Response: { "1": { "author": "Chinua Achebe", "title": "Things Fall Apart", "reviews": {...} }, ... }
+ * GET /?sort=rating&limit=2&fields=title,rating
+ * Response: { "total": 10, "count": 2, "limit": 2, "offset": 0,
+ *             "books": [{ "isbn": "9780142437223", "title": "The Divine Comedy", "rating": {...} }, ...],
+ *             "nextCursor": "eyJpc2Ju...", "prevCursor": null,
+ *             "links": { "self": "/?sort=rating&limit=2&fields=title,rating",
+ *                        "next": "/?sort=rating&limit=2&fields=title,rating&offset=2", "prev": null } }
+ *
+ * @example
+ * GET /?genre=epic&yearTo=1500&sort=year&fields=title,year
+ * Response: { "total": 2, "count": 2, ..., "books": [{ "isbn": "9780140449198", "title": "The Epic Of Gilgamesh", "year": -1200 },
+ *             { "isbn": "9780142437223", "title": "The Divine Comedy", "year": 1320 }], ... }
  */
-public_users.get('/', async function (req, res) {
-    try {
-        // Simulate fetching books asynchronously with a 1 second delay
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-
-        // Return all books if available
-        if (books) {
-            // Format response with proper JSON indentation for readability
-            res.send(JSON.stringify(books, null, 4));
-        } else {
-            res.status(404).send("Books not found");
-        }
-    } catch (error) {
-        // Handle any errors during fetch operation
-        res.status(404).send("Books not found");
+public_users.get('/', validate(listSchema), cacheResponse, asyncHandler(async function (req, res) {
+    // Validate pagination, sorting and field selection parameters
+    const { options, errors } = parseListQuery(req.query);
+    if (errors) {
+        throw validationError("Invalid listing parameters", errors);
     }
-});
+
+    // Load the catalog from the repository and return the requested page
+    const books = await db.books.all();
+    res.json(listBooks(books, options, req));
+}));
 
 /**
  * Get book details by ISBN
  * Retrieves a specific book's information using its ISBN identifier.
  * 
  * @route GET /isbn/:isbn
- * @param {number} isbn - Book ISBN (1-10, from URL parameter)
- * @returns {Object} 200 - Book object with author, title, and reviews
- * @returns {string} 404 - "Book not found" if ISBN doesn't exist
+ * @param {string} isbn - ISBN-10 or ISBN-13, with or without hyphens, or a
+ *        legacy numeric ID (from URL parameter)
+ * @returns {Object} 200 - Book object with its ISBN-13 and ISBN-10, author, title, metadata
+ *          (year, genres, language, pages, description, coverUrl; when known), reviews and rating summary
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN
+ * @returns {Object} 404 - NOT_FOUND if ISBN doesn't exist
  * 
  * @example
- * GET /isbn/1
- * Response: { "author": "Chinua Achebe", "title": "Things Fall Apart", "reviews": {...} }
+ * GET /isbn/0-385-47454-7
+ * Response: { "isbn": "9780385474542", "isbn10": "0385474547", "author": "Chinua Achebe", "title": "Things Fall Apart",
+ *             "year": 1958, "genres": ["novel", "african literature"], "language": "en", "pages": 209, ..., "reviews": {...},
+ *             "rating": { "average": 4.5, "count": 2, "distribution": { "1": 0, "2": 0, "3": 0, "4": 1, "5": 1 } } }
  */
-public_users.get('/isbn/:isbn', async function (req, res) {
-    try {
-        // Extract ISBN from URL parameters
-        const isbn = req.params.isbn;
-
-        // Simulate fetching book details asynchronously with a 500ms delay
-        await new Promise((resolve) => setTimeout(resolve, 500));
-
-        // Look up the book in the books database using ISBN as key
-        const book = books[isbn];
-        if (book) {
-            // Return the book details with formatted JSON
-            res.status(200).send(JSON.stringify(book, null, 4));
-        } else {
-            res.status(404).send("Book not found");
-        }
-    } catch (error) {
-        // Handle any errors during book lookup
-        res.status(404).send(error);
+public_users.get('/isbn/:isbn', validate(isbnSchema), cacheResponse, asyncHandler(async function (req, res) {
+    // Extract the book key the ISBN resolved to (see isbnParam)
+    const isbn = req.params.isbn;
+
+    // Look up the book in the repository using ISBN as key
+    const book = await db.books.get(isbn);
+    if (!book) {
+        throw notFound("Book not found");
     }
-});
+    // Return both ISBN forms, the book details and rating summary
+    res.json({ isbn, isbn10: toIsbn10(isbn), ...withRatingSummary(book) });
+}));
 
 /**
  * Search books by author
  * Finds all books written by the specified author.
- * Performs exact matching on the author name.
+ * The name is matched case-insensitively against the names and aliases of
+ * the authors in the repository, so "unknown" also finds the books
+ * credited to "Anonymous"; a name no author has is matched against the
+ * credited author names. Accepts the same pagination, sorting and field
+ * selection parameters as GET /.
+ * 
+ * Books come from the configured catalog source: the local store, or a
+ * remote HTTP catalog with timeouts, retries and optional local fallback.
  * 
  * @route GET /author/:author
- * @param {string} author - Author name to search for (from URL parameter)
- * @returns {Array<Object>} Array of books by the specified author
- * @returns {string} 404 - "Book not found" if no books match the author
+ * @param {string} author - Author name or alias to search for (from URL parameter)
+ * @returns {Object} 200 - Page of books by the specified author (same shape as GET /)
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid listing parameters
+ * @returns {Object} 404 - NOT_FOUND if no books match the author
+ * @returns {Object} 502 - UPSTREAM_UNAVAILABLE/UPSTREAM_BAD_RESPONSE: remote catalog failed (no fallback configured)
+ * @returns {Object} 504 - UPSTREAM_TIMEOUT: remote catalog timed out (no fallback configured)
  * 
  * @example
- * GET /author/Jane%20Austen
- * Response: [{ "author": "Jane Austen", "title": "Pride and Prejudice", "reviews": {...} }]
+ * GET /author/jane%20austen?fields=title
+ * Response: { "total": 1, "count": 1, "limit": 20, "offset": 0, "books": [{ "isbn": "9780141439518", "title": "Pride and Prejudice" }], ... }
  */
-public_users.get('/author/:author', async function (req, res) {
-    try {
-        // Extract author name from URL parameter
-        const author = req.params.author;
-
-        // Fetch books data asynchronously using Axios HTTP client
-        const response = await axios.get('http://localhost:3000/books');
-        const booksData = response.data;
-
-        // Filter books by matching the author name exactly
-        const bookList = Object.values(booksData).filter(book => book.author === author);
-
-        // Return matching books if found
-        if (bookList.length > 0) {
-            res.status(200).send(JSON.stringify(bookList, null, 4));
-        } else {
-            res.status(404).send("Book not found");
+public_users.get('/author/:author', validate(authorSchema), asyncHandler(async function (req, res) {
+    const { options, errors } = parseListQuery(req.query);
+    if (errors) {
+        throw validationError("Invalid listing parameters", errors);
+    }
+
+    // Extract author name from URL parameter
+    const author = req.params.author;
+
+    // Fetch books data from the app's catalog source (see createApp); upstream
+    // failures propagate as UpstreamError and keep their 502/504 status
+    const booksData = await req.app.get('catalogSource').fetchBooks();
+
+    // Resolve the name to an author, if one has it as name or alias
+    const authors = await db.collection(AUTHORS).all();
+    const authorId = findAuthorId(authors, author);
+    const names = new Set((authorId ? namesOf(authors[authorId]) : [author]).map(nameKey));
+
+    // Keep the books linked to the author or crediting one of their names,
+    // with their ISBN keys (entries from a remote catalog without a proper
+    // title or author are skipped)
+    const matches = {};
+    Object.entries(booksData).forEach(([isbn, book]) => {
+        if (!book || typeof book.title !== 'string' || typeof book.author !== 'string') {
+            return;
         }
-    } catch (error) {
-        // Handle any errors during Axios call or filtering
-        res.status(404).send(error.message);
+        if ((authorId && book.authorId === authorId) || names.has(nameKey(book.author))) {
+            matches[isbn] = book;
+        }
+    });
+
+    // Return the requested page of matching books if found
+    if (Object.keys(matches).length === 0) {
+        throw notFound("Book not found");
     }
-});
+    res.json(listBooks(matches, options, req));
+}));
 
 /**
  * Search books by title
  * Finds all books with the specified title.
- * Performs exact matching on the book title.
+ * Performs exact matching on the book title. Accepts the same pagination,
+ * sorting and field selection parameters as GET /.
  * 
  * @route GET /title/:title
  * @param {string} title - Book title to search for (from URL parameter)
- * @returns {Array<Object>} Array of books matching the specified title
- * @returns {string} 404 - "Book not found" if no books match the title
+ * @returns {Object} 200 - Page of books matching the specified title (same shape as GET /)
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid listing parameters
+ * @returns {Object} 404 - NOT_FOUND if no books match the title
  * 
  * @example
  * GET /title/Pride%20and%20Prejudice
- * Response: [{ "author": "Jane Austen", "title": "Pride and Prejudice", "reviews": {...} }]
+ * Response: { "total": 1, "count": 1, "limit": 20, "offset": 0,
+ *             "books": [{ "isbn": "9780141439518", "author": "Jane Austen", "title": "Pride and Prejudice", ... }], ... }
  */
-public_users.get('/title/:title', async function (req, res) {
-    try {
-        // Extract book title from URL parameter
-        const title = req.params.title;
-
-        // Simulate fetching book details asynchronously with a 500ms delay
-        await new Promise((resolve) => setTimeout(resolve, 500));
-
-        // Convert books object to array and filter by exact title match
-        const bookList = Object.values(books).filter(book => book.title === title);
-
-        // Return matching books if any found
-        if (bookList.length > 0) {
-            res.status(200).send(JSON.stringify(bookList, null, 4));
-        } else {
-            res.status(404).send("Book not found");
+public_users.get('/title/:title', validate(titleSchema), cacheResponse, asyncHandler(async function (req, res) {
+    const { options, errors } = parseListQuery(req.query);
+    if (errors) {
+        throw validationError("Invalid listing parameters", errors);
+    }
+
+    // Extract book title from URL parameter
+    const title = req.params.title;
+
+    // Filter books by exact title match, keeping their ISBN keys
+    const books = await db.books.all();
+    const matches = {};
+    Object.entries(books).forEach(([isbn, book]) => {
+        if (book.title === title) {
+            matches[isbn] = book;
         }
-    } catch (error) {
-        // Handle any errors during title search
-        res.status(404).send(error);
+    });
+
+    // Return the requested page of matching books if any found
+    if (Object.keys(matches).length === 0) {
+        throw notFound("Book not found");
     }
-});
+    res.json(listBooks(matches, options, req));
+}));
 
 /**
- * Get all reviews for a specific book
- * Retrieves the reviews object for a book, containing all user reviews.
- * Reviews are public and can be viewed without authentication.
+ * Full-text book search
+ * Searches titles, authors and review text. Matching ignores case and
+ * diacritics, accepts word prefixes and tolerates small typos. Results are
+ * ranked by relevance and come with facet counts for author and rating.
+ * 
+ * @route GET /search
+ * @param {string} q - Search text (required, from query string)
+ * @param {string} [author] - Only books by this author (facet value, from query string)
+ * @param {number} [rating] - Only books whose average rating is at least this (1-5, from query string)
+ * @param {number} [limit=20] - Maximum number of results (1-100, from query string)
+ * @returns {Object} 200 - Ranked results, total match count and facets
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: missing query or invalid parameters
+ * 
+ * @example
+ * GET /search?q=pere%20goriot
+ * Response: { "query": "pere goriot", "total": 1,
+ *             "results": [{ "isbn": "9782070409167", "score": 9.2, "author": "Honoré de Balzac", "title": "Le Père Goriot", "rating": {...} }],
+ *             "facets": { "author": [{ "value": "Honoré de Balzac", "count": 1 }], "rating": [{ "value": "unrated", "count": 1 }] } }
+ */
+public_users.get('/search', validate(searchSchema), cacheResponse, asyncHandler(async function (req, res) {
+    // Query parameters were validated and converted by searchSchema
+    const query = req.query.q;
+    const author = req.query.author;
+    const rating = req.query.rating;
+    const limit = req.query.limit === undefined ? 20 : req.query.limit;
+
+    const found = await searchCatalog(query, { author, minRating: rating });
+    res.json({
+        query,
+        total: found.total,
+        results: found.results.slice(0, limit),
+        facets: found.facets
+    });
+}));
+
+/**
+ * Get the reviews of a specific book
+ * Retrieves a page of the published user reviews of a book together with
+ * the book's rating summary. Reviews held for moderation or rejected are
+ * not listed. Reviews are public and can be viewed without authentication.
  * 
  * @route GET /review/:isbn
- * @param {number} isbn - Book ISBN (from URL parameter)
- * @returns {Object} Object with username keys and review text values
- * @returns {string} 404 - "Book not found" if ISBN doesn't exist
+ * @param {string} isbn - Book ISBN in any form, or a legacy ID (from URL parameter)
+ * @param {string} [sort=helpful] - "helpful" (net helpful votes), "newest" or "rating" (query parameter)
+ * @param {number} [limit=20] - Page size, 1-100 (query parameter)
+ * @param {number} [offset=0] - Number of reviews to skip (query parameter)
+ * @returns {Object} Page of reviews (username, rating, text, timestamps, editCount, vote counts),
+ *                   total number of reviews and rating summary
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN or listing parameters
+ * @returns {Object} 404 - NOT_FOUND if ISBN doesn't exist
  * 
  * @example
- * GET /review/1
- * Response: { "john": "Great book!", "jane": "Highly recommended" }
+ * GET /review/9780385474542?sort=newest&limit=1
+ * Response: { "sort": "newest", "total": 2, "limit": 1, "offset": 0,
+ *             "reviews": [{ "username": "john", "rating": 5, "text": "Great book!", "createdAt": "2024-05-01T10:00:00.000Z",
+ *                           "updatedAt": "2024-05-01T10:00:00.000Z", "editCount": 0, "helpful": 3, "unhelpful": 1 }],
+ *             "rating": { "average": 4.5, "count": 2, "distribution": { "1": 0, "2": 0, "3": 0, "4": 1, "5": 1 } } }
  */
-public_users.get('/review/:isbn', function (req, res) {
+public_users.get('/review/:isbn', validate(reviewsSchema), cacheResponse, asyncHandler(async function (req, res) {
+    const sort = req.query.sort || 'helpful';
+    const limit = req.query.limit === undefined ? DEFAULT_REVIEW_LIMIT : req.query.limit;
+    const offset = req.query.offset || 0;
+
     // Look up the book by ISBN from URL parameters
-    const book = books[req.params.isbn];
-    if (book) {
-        // Transform reviews object into an array of review objects
-        // This converts { username: review } to [{ username, review }]
-        const reviewsArray = Object.entries(book.reviews).map(([username, review]) => ({
-            username,
-            review
-        }));
-        // Return formatted reviews array wrapped in a reviews property
-        res.send(JSON.stringify({ reviews: reviewsArray }, null, 4));
-    } else {
-        // Return 404 if book with given ISBN doesn't exist
-        res.status(404).send("Book not found");
-    }
-});
+    const book = await db.books.get(req.params.isbn);
+    if (!book) {
+        // Book with given ISBN doesn't exist
+        throw notFound("Book not found");
+    }
+    // Order the published reviews and cut out the requested page
+    const published = publishedReviews(book.reviews);
+    const sorted = sortReviews(published, sort);
+    res.json({
+        sort,
+        total: sorted.length,
+        limit,
+        offset,
+        reviews: sorted.slice(offset, offset + limit),
+        rating: summarizeRatings(published)
+    });
+}));
+
+// ============================================================================
+// AUTHOR ROUTES
+// ============================================================================
+
+/**
+ * List authors
+ * Retrieves a page of the authors in the repository, sorted by name.
+ *
+ * @route GET /authors
+ * @param {number} [limit=20] - Page size, 1-100 (query parameter)
+ * @param {number} [offset=0] - Number of authors to skip (query parameter)
+ * @returns {Object} 200 - Page of authors with their aliases and number of books
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid listing parameters
+ *
+ * @example
+ * GET /authors?limit=1
+ * Response: { "total": 7, "limit": 1, "offset": 0,
+ *             "authors": [{ "id": "anonymous", "name": "Anonymous", "aliases": ["Unknown"], "bookCount": 4 }] }
+ */
+public_users.get('/authors', validate(authorsSchema), cacheResponse, asyncHandler(async function (req, res) {
+    const limit = req.query.limit === undefined ? DEFAULT_AUTHOR_LIMIT : req.query.limit;
+    const offset = req.query.offset || 0;
+
+    // Count the books linked to each author
+    const [authors, books] = await Promise.all([db.collection(AUTHORS).all(), db.books.all()]);
+    const bookCounts = {};
+    Object.values(books).forEach((book) => {
+        bookCounts[book.authorId] = (bookCounts[book.authorId] || 0) + 1;
+    });
+
+    const sorted = Object.entries(authors)
+        .map(([id, author]) => ({ id, name: author.name, aliases: author.aliases || [], bookCount: bookCounts[id] || 0 }))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+    res.json({ total: sorted.length, limit, offset, authors: sorted.slice(offset, offset + limit) });
+}));
+
+/**
+ * Get an author
+ * Retrieves an author with their bio, their books (oldest first) and the
+ * rating summary of all published reviews of those books.
+ *
+ * @route GET /authors/:id
+ * @param {string} id - Author ID (from URL parameter)
+ * @returns {Object} 200 - Author with their books and aggregate rating
+ * @returns {void} 304 - Not modified: If-None-Match matches the current ETag
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed author ID
+ * @returns {Object} 404 - NOT_FOUND if the author doesn't exist
+ *
+ * @example
+ * GET /authors/jane-austen
+ * Response: { "id": "jane-austen", "name": "Jane Austen", "aliases": [], "bio": "...", "bookCount": 1,
+ *             "rating": { "average": null, "count": 0, ... },
+ *             "books": [{ "isbn": "9780141439518", "title": "Pride and Prejudice", "year": 1813, "rating": {...} }] }
+ */
+public_users.get('/authors/:id', validate(authorDetailsSchema), cacheResponse, asyncHandler(async function (req, res) {
+    const id = req.params.id;
+
+    const author = await db.collection(AUTHORS).get(id);
+    if (!author) {
+        throw notFound("Author not found");
+    }
+    res.json(authorPage(id, author, await db.books.all()));
+}));
+
+// ============================================================================
+// SHELF ROUTES
+// ============================================================================
+
+/**
+ * View a user's public shelves
+ * Read-only view of the reading lists of a user who made them public
+ * (PATCH /customer/auth/shelves). Private shelves and unknown users both
+ * answer 404, so private accounts cannot be told apart from missing ones.
+ *
+ * @route GET /shelves/:username
+ * @param {string} username - Owner of the shelves (from URL parameter)
+ * @returns {Object} 200 - Every shelf of the user with its books
+ * @returns {Object} 404 - NOT_FOUND: no such user, or private shelves
+ *
+ * @example
+ * GET /shelves/john
+ * Response: { "username": "john", "shelves": [{ "name": "want-to-read", "custom": false, "count": 0, "books": [] }, ...] }
+ */
+public_users.get('/shelves/:username', validate(publicShelvesSchema), asyncHandler(async (req, res) => {
+    const username = req.params.username;
+    const view = await db.users.get(username) ? await loadShelvesView(username) : null;
+    if (!view || !view.public) {
+        throw notFound("No public shelves for this user");
+    }
+    res.json({ username, shelves: view.shelves });
+}));
 
 // ============================================================================
 // MODULE EXPORTS
@@ -0,0 +1,142 @@
+/**
+ * Moderation Router Module
+ *
+ * Review moderation queue (see lib/moderation.js). Mounted under
+ * /moderation behind the auth and authorize("moderator") middleware in
+ * app.js, so every handler can assume an authenticated moderator or admin.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const db = require('../store');
+const { REVIEW_STATUSES } = require('../lib/reviews.js');
+const { decideReview, moderationQueue, toModerationItem } = require('../lib/moderation.js');
+const { isbnParam } = require('../lib/isbn_aliases.js');
+const { asyncHandler, notFound } = require('../lib/errors.js');
+const { validate } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/** Express router for moderator routes */
+const moderation_routes = express.Router();
+
+moderation_routes.param('isbn', isbnParam);
+
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+
+/** GET /moderation/reviews */
+const queueSchema = {
+    summary: "List reviews by moderation status",
+    tags: ['Moderation'],
+    query: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: REVIEW_STATUSES, description: "Moderation status (default pending)" }
+        },
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Reviews with the status, most reported first", schema: 'ModerationQueue' }
+    }
+};
+
+/** PUT /moderation/reviews/:isbn/:username */
+const decisionSchema = {
+    summary: "Approve or reject a review",
+    tags: ['Moderation'],
+    params: schemas.reviewParams,
+    body: {
+        type: 'object',
+        properties: { status: { type: 'string', enum: ['approved', 'rejected'], description: "Decision" } },
+        required: ['status'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Decision recorded", schema: 'ModerationItem' },
+        404: "Book not found, or no review by this user"
+    }
+};
+
+// ============================================================================
+// MODERATION ROUTES
+// ============================================================================
+
+/**
+ * List the moderation queue
+ * Returns every review with the given status together with its open
+ * reports and the banned words found in it.
+ *
+ * @route GET /moderation/reviews
+ * @authenticated Required - Moderator or administrator
+ * @param {string} [status=pending] - "pending", "approved" or "rejected" (query parameter)
+ * @returns {Object} 200 - Reviews with the status, most reported first, then the longest waiting
+ * @returns {Object} 400 - VALIDATION_ERROR: unknown status
+ *
+ * @example
+ * GET /moderation/reviews
+ * Response: { "status": "pending", "total": 1, "reviews": [{ "isbn": "9780385474542", "title": "Things Fall Apart",
+ *             "username": "john", "review": { ..., "status": "pending" }, "flaggedWords": [],
+ *             "reports": [{ "reporter": "kate", "reason": "Spoilers", "createdAt": "..." }], "moderation": null }] }
+ */
+moderation_routes.get("/reviews", validate(queueSchema), asyncHandler(async (req, res) => {
+    const status = req.query.status || 'pending';
+    const reviews = moderationQueue(await db.books.all(), status);
+    res.json({ status, total: reviews.length, reviews });
+}));
+
+/**
+ * Decide on a review
+ * Approving publishes the review, rejecting hides it until its author
+ * edits it. Either way its open reports are closed.
+ *
+ * @route PUT /moderation/reviews/:isbn/:username
+ * @authenticated Required - Moderator or administrator
+ * @param {string} isbn - Book ISBN (from URL parameter)
+ * @param {string} username - Author of the review (from URL parameter)
+ * @param {string} status - "approved" or "rejected" (from request body)
+ * @returns {Object} 200 - The moderated review
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed parameters or unknown status
+ * @returns {Object} 404 - NOT_FOUND: book not found, or no review by this user
+ *
+ * @example
+ * PUT /moderation/reviews/1/john
+ * Body: { "status": "rejected" }
+ * Response: { "isbn": "9780385474542", "title": "Things Fall Apart", "username": "john", "review": { ..., "status": "rejected" },
+ *             "flaggedWords": [], "reports": [], "moderation": { "by": "mod", "at": "2024-05-02T09:00:00.000Z" } }
+ */
+moderation_routes.put("/reviews/:isbn/:username", validate(decisionSchema), asyncHandler(async (req, res) => {
+    const { isbn, username } = req.params;
+
+    let decided = false;
+    const book = await db.books.update(isbn, (book) => {
+        if (!book || !book.reviews[username]) {
+            return undefined;
+        }
+        book.reviews[username] = decideReview(book.reviews[username], req.body.status, req.user.username);
+        decided = true;
+        return book;
+    });
+
+    if (!book) {
+        throw notFound("Book not found");
+    }
+    if (!decided) {
+        throw notFound("Review not found for this user");
+    }
+    res.json(toModerationItem(isbn, book, username));
+}));
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/** Export moderator routes router */
+module.exports.moderation = moderation_routes;
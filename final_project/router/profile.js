@@ -0,0 +1,396 @@
+/**
+ * Profile Router Module
+ *
+ * Lets authenticated users view and manage their own account: profile
+ * fields, password, account deletion and the history of their reviews.
+ * Mounted under /customer next to the authenticated user routes, so every
+ * /auth/* handler runs behind the auth and CSRF middleware in app.js.
+ *
+ * Besides the credentials and role, a user record carries:
+ * - displayName: Name shown instead of the username (null when unset)
+ * - bio: Short text about the user (null when unset)
+ * - createdAt: ISO timestamp of the registration (null for older accounts)
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const crypto = require('crypto');
+const express = require('express');
+const db = require('../store');
+const { authenticatedUser, loginLockout, destroySession } = require('./auth_users.js');
+const { checkPasswordPolicy, hashPassword } = require('../lib/password.js');
+const { revokeAllForUser, revokeAccessToken, retireTokenVersion } = require('../lib/token_store.js');
+const { CSRF_HEADER } = require('../lib/csrf.js');
+const { roleOf } = require('../lib/roles.js');
+const { normalizeReview } = require('../lib/reviews.js');
+const { toOwnReview } = require('../lib/moderation.js');
+const { SHELVES } = require('../lib/shelves.js');
+const { asyncHandler, validationError, notFound, tooManyRequests } = require('../lib/errors.js');
+const { validate } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/** Express router for the profile routes */
+const profile_routes = express.Router();
+
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+
+/** Profile fields a user may set; null clears a field */
+const profileFields = {
+    displayName: { ...schemas.nonBlankString(64, "Name shown instead of the username"), nullable: true, example: "John Doe" },
+    bio: { type: 'string', maxLength: 1000, nullable: true, description: "Short text about you", example: "Reads mostly classics." }
+};
+
+/** GET /auth/me */
+const profileSchema = {
+    summary: "Get your profile",
+    tags: ['Profile'],
+    responses: {
+        200: { description: "Your profile", schema: 'Profile' },
+        404: "The account no longer exists"
+    }
+};
+
+/** Answer while wrong passwords have locked out the username or client IP */
+const passwordLockedOut = {
+    description: "Too many wrong passwords for this username or IP, counted with failed logins (code TOO_MANY_REQUESTS)",
+    headers: { 'Retry-After': { description: "Seconds until the next attempt is allowed", schema: { type: 'integer' } } }
+};
+
+/** PATCH /auth/me */
+const updateProfileSchema = {
+    summary: "Update your profile or change your password",
+    description: "Changing the password requires the current one and signs you out everywhere: log in again with the new password.",
+    tags: ['Profile'],
+    body: {
+        type: 'object',
+        properties: {
+            ...profileFields,
+            currentPassword: { ...schemas.password, description: "Your current password (required with newPassword)" },
+            newPassword: { ...schemas.password, description: "New password, checked against the password policy" }
+        },
+        minProperties: 1,
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Profile updated", schema: 'Profile' },
+        400: "Invalid fields, a wrong current password or a new password that breaks the password policy",
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        429: passwordLockedOut,
+        404: "The account no longer exists"
+    }
+};
+
+/** DELETE /auth/me */
+const deleteAccountSchema = {
+    summary: "Delete your account",
+    tags: ['Profile'],
+    body: {
+        type: 'object',
+        properties: {
+            password: { ...schemas.password, description: "Your current password, to confirm" },
+            reviews: { type: 'string', enum: ['delete', 'anonymize'], description: "Delete your reviews, or keep them without your name" }
+        },
+        required: ['password', 'reviews'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Account deleted", schema: 'Message' },
+        400: "Invalid fields or a wrong password",
+        403: "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)",
+        429: passwordLockedOut,
+        404: "The account no longer exists"
+    }
+};
+
+/** GET /auth/me/reviews */
+const myReviewsSchema = {
+    summary: "List every review you have written",
+    tags: ['Profile'],
+    responses: {
+        200: { description: "Your reviews, newest first, including hidden ones", schema: 'MyReviews' }
+    }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Builds the profile shown to the user.
+ *
+ * @param {string} username - The user
+ * @param {Object} user - Stored user record
+ * @param {number} reviewCount - Number of reviews the user has written
+ * @returns {Object}
+ */
+const toProfile = (username, user, reviewCount) => ({
+    username,
+    role: roleOf(user),
+    displayName: user.displayName || null,
+    bio: user.bio || null,
+    createdAt: user.createdAt || null,
+    reviewCount
+});
+
+/**
+ * Collects a user's reviews across all books, newest first.
+ *
+ * @param {string} username - Author of the reviews
+ * @returns {Promise<Array<{isbn: string, title: string, review: Object}>>}
+ */
+const findUserReviews = async (username) => {
+    const books = await db.books.all();
+    return Object.entries(books)
+        .filter(([, book]) => book.reviews && book.reviews[username])
+        .map(([isbn, book]) => ({ isbn, title: book.title, review: toOwnReview(book.reviews[username]) }))
+        .sort((a, b) => String(b.review.updatedAt || '').localeCompare(String(a.review.updatedAt || '')));
+}
+
+/**
+ * Checks the current password of the requesting user. Wrong passwords
+ * count toward the login lockout, so a stolen token cannot be used to
+ * guess the password.
+ *
+ * @param {Object} req - Express request (for the client IP and the Retry-After header)
+ * @param {string} password - Password presented by the client
+ * @param {string} field - Request field the password came from, for the error details
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 VALIDATION_ERROR when the password is wrong
+ * @throws {HttpError} 429 TOO_MANY_REQUESTS while the username or client IP is locked out
+ */
+const confirmPassword = async (req, password, field) => {
+    const username = req.user.username;
+    const lockedMs = Math.max(loginLockout.byUser.check(username), loginLockout.byIp.check(req.ip));
+    if (lockedMs > 0) {
+        req.res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+        throw tooManyRequests("Too many failed password attempts. Try again later");
+    }
+    if (!await authenticatedUser(username, password)) {
+        loginLockout.byUser.fail(username);
+        loginLockout.byIp.fail(req.ip);
+        throw validationError("Password is incorrect", { [field]: "Does not match your current password" });
+    }
+    loginLockout.byUser.reset(username);
+}
+
+/**
+ * Removes a deleted user from every book: their reviews are deleted or
+ * moved to an anonymous key, and their votes and open reports are
+ * withdrawn.
+ *
+ * @param {Object} tx - Repository transaction
+ * @param {string} username - Deleted user
+ * @param {string} mode - "delete" or "anonymize"
+ * @returns {Promise<number>} - Number of reviews deleted or anonymized
+ */
+const removeUserFromBooks = async (tx, username, mode) => {
+    const books = tx.collection('books');
+    // One pseudonym for all of the user's reviews; "~" can't appear in usernames
+    const pseudonym = '~deleted-' + crypto.randomBytes(6).toString('hex');
+    let affected = 0;
+
+    for (const [isbn, book] of Object.entries(await books.all())) {
+        let changed = false;
+        Object.keys(book.reviews || {}).forEach((author) => {
+            const review = normalizeReview(book.reviews[author]);
+            if (author === username) {
+                delete book.reviews[author];
+                if (mode === 'anonymize') {
+                    book.reviews[pseudonym] = review;
+                }
+                affected++;
+                changed = true;
+            } else if ((review.votes && review.votes[username]) || (review.reports && review.reports[username])) {
+                const votes = { ...review.votes };
+                const reports = { ...review.reports };
+                delete votes[username];
+                delete reports[username];
+                book.reviews[author] = { ...review, votes, reports };
+                changed = true;
+            }
+        });
+        if (changed) {
+            await books.put(isbn, book);
+        }
+    }
+    return affected;
+}
+
+// ============================================================================
+// PROFILE ROUTES
+// ============================================================================
+
+/**
+ * Get your profile
+ *
+ * @route GET /customer/auth/me
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @returns {Object} 200 - Username, role, display name, bio, registration time and review count
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ *
+ * @example
+ * GET /customer/auth/me
+ * Response: { "username": "john", "role": "reader", "displayName": "John Doe", "bio": null,
+ *             "createdAt": "2024-05-01T10:00:00.000Z", "reviewCount": 2 }
+ */
+profile_routes.get("/auth/me", validate(profileSchema), asyncHandler(async (req, res) => {
+    const user = await db.users.get(req.user.username);
+    if (!user) {
+        throw notFound("User not found");
+    }
+    res.json(toProfile(req.user.username, user, (await findUserReviews(req.user.username)).length));
+}));
+
+/**
+ * Update your profile
+ * Sets or clears (null) the display name and bio, and changes the password
+ * when currentPassword and newPassword are given. A password change revokes
+ * every token and session of the user, including the current one.
+ *
+ * @route PATCH /customer/auth/me
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string|null} [displayName] - Display name, at most 64 characters (from request body)
+ * @param {string|null} [bio] - Bio, at most 1000 characters (from request body)
+ * @param {string} [currentPassword] - Current password (from request body, required with newPassword)
+ * @param {string} [newPassword] - New password (from request body)
+ * @returns {Object} 200 - Updated profile
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid fields, wrong current password or password policy violation
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 429 - TOO_MANY_REQUESTS: too many wrong passwords or failed logins for this username or IP (see Retry-After)
+ *
+ * @example
+ * PATCH /customer/auth/me
+ * Body: { "displayName": "John Doe", "bio": null }
+ * Response: { "username": "john", "role": "reader", "displayName": "John Doe", "bio": null, ... }
+ */
+profile_routes.patch("/auth/me", validate(updateProfileSchema), asyncHandler(async (req, res) => {
+    const username = req.user.username;
+    const { currentPassword, newPassword } = req.body;
+
+    // Check the password change before writing anything
+    let passwordHash = null;
+    if (currentPassword !== undefined || newPassword !== undefined) {
+        if (currentPassword === undefined || newPassword === undefined) {
+            const missing = currentPassword === undefined ? 'currentPassword' : 'newPassword';
+            throw validationError("currentPassword and newPassword must be given together", { [missing]: "Field is required" });
+        }
+        await confirmPassword(req, currentPassword, 'currentPassword');
+        const problems = checkPasswordPolicy(newPassword, { username });
+        if (problems.length > 0) {
+            throw validationError("Password does not meet the password policy", { newPassword: problems });
+        }
+        passwordHash = await hashPassword(newPassword);
+    }
+
+    const user = await db.users.update(username, (user) => {
+        if (!user) {
+            return undefined;
+        }
+        Object.keys(profileFields).forEach((field) => {
+            if (req.body[field] !== undefined) {
+                user[field] = req.body[field] === null ? null : req.body[field].trim();
+            }
+        });
+        if (passwordHash) {
+            delete user.password;
+            user.passwordHash = passwordHash;
+        }
+        return user;
+    });
+    if (!user) {
+        throw notFound("User not found");
+    }
+
+    if (passwordHash) {
+        // Sessions opened with the old password must not outlive it
+        await revokeAllForUser(username);
+        if (req.authScheme === 'session') {
+            await destroySession(req);
+        }
+    }
+    res.json(toProfile(username, user, (await findUserReviews(username)).length));
+}));
+
+/**
+ * Delete your account
+ * Removes the account and its shelves after checking the password, revokes
+ * all of its tokens and sessions, and either deletes the user's reviews or
+ * keeps them under an anonymous name. The user's votes and reports are withdrawn.
+ *
+ * @route DELETE /customer/auth/me
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} password - Current password (from request body)
+ * @param {string} reviews - "delete" or "anonymize" (from request body)
+ * @returns {Object} 200 - Account deleted
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid fields or wrong password
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 429 - TOO_MANY_REQUESTS: too many wrong passwords or failed logins for this username or IP (see Retry-After)
+ *
+ * @example
+ * DELETE /customer/auth/me
+ * Body: { "password": "Pass1234", "reviews": "anonymize" }
+ * Response: { "message": "Account john deleted; 2 reviews anonymized" }
+ */
+profile_routes.delete("/auth/me", validate(deleteAccountSchema), asyncHandler(async (req, res) => {
+    const username = req.user.username;
+    const mode = req.body.reviews;
+    await confirmPassword(req, req.body.password, 'password');
+
+    // Refresh tokens go first; access tokens die with the user record, and
+    // the retired token version keeps them dead if the name is registered again
+    const revoked = await revokeAllForUser(username);
+    if (!revoked) {
+        throw notFound("User not found");
+    }
+    await revokeAccessToken(req.user);
+    const affected = await db.transaction(async (tx) => {
+        const count = await removeUserFromBooks(tx, username, mode);
+        await tx.collection(SHELVES).remove(username);
+        await retireTokenVersion(tx, username);
+        await tx.collection('users').remove(username);
+        return count;
+    });
+
+    if (req.authScheme === 'session') {
+        await destroySession(req);
+        res.clearCookie('connect.sid');
+    }
+    res.json({ message: "Account " + username + " deleted; " + affected + " reviews " + (mode === 'delete' ? 'deleted' : 'anonymized') });
+}));
+
+/**
+ * List your reviews
+ * Every review the user has written, across all books, with its moderation
+ * status, newest first.
+ *
+ * @route GET /customer/auth/me/reviews
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @returns {Object} 200 - Reviews with the ISBN and title of their book
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ *
+ * @example
+ * GET /customer/auth/me/reviews
+ * Response: { "total": 1, "reviews": [{ "isbn": "9780385474542", "title": "Things Fall Apart",
+ *             "review": { "rating": 5, "text": "Great book!", ..., "status": "approved" } }] }
+ */
+profile_routes.get("/auth/me/reviews", validate(myReviewsSchema), asyncHandler(async (req, res) => {
+    const reviews = await findUserReviews(req.user.username);
+    res.json({ total: reviews.length, reviews });
+}));
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/** Export profile routes router */
+module.exports.profile = profile_routes;
@@ -0,0 +1,371 @@
+/**
+ * Shelves Router Module
+ *
+ * Lets authenticated users keep reading lists (see lib/shelves.js): put
+ * books on the built-in or custom shelves, move and remove them, manage
+ * custom shelves and choose whether others may see their shelves.
+ * Mounted under /customer next to the authenticated user routes, so every
+ * /auth/* handler runs behind the auth and CSRF middleware in app.js. The
+ * public read-only view lives in router/general.js.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const express = require('express');
+const db = require('../store');
+const { CSRF_HEADER } = require('../lib/csrf.js');
+const {
+    SHELVES, BUILTIN_SHELVES, SHELF_NAME_PATTERN, MAX_SHELF_NAME_LENGTH, MAX_CUSTOM_SHELVES,
+    normalizeShelves, shelfNames, placeBook, loadShelvesView
+} = require('../lib/shelves.js');
+const { isbnParam } = require('../lib/isbn_aliases.js');
+const { asyncHandler, validationError, badRequest, conflict, notFound } = require('../lib/errors.js');
+const { validate } = require('../lib/validation.js');
+const schemas = require('../lib/schemas.js');
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/** Express router for the shelf routes */
+const shelf_routes = express.Router();
+
+/** Books are shelved under their canonical key, whatever ISBN form the URL uses */
+shelf_routes.param('isbn', isbnParam);
+
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+
+/** Name of a shelf */
+const shelfName = {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_SHELF_NAME_LENGTH,
+    pattern: SHELF_NAME_PATTERN,
+    patternMessage: "Must be lowercase letters and digits, words joined by '-'",
+    description: "Shelf name: " + BUILTIN_SHELVES.join(', ') + " or a custom shelf",
+    example: "reading"
+};
+
+/** Error response of routes changed with the session cookie */
+const csrfResponse = "Session cookie used without a valid " + CSRF_HEADER + " header (code CSRF_TOKEN_INVALID)";
+
+/** GET /auth/shelves */
+const listSchema = {
+    summary: "List your shelves and their books",
+    tags: ['Shelves'],
+    responses: {
+        200: { description: "Your shelves, built-in shelves first", schema: 'ShelfList' }
+    }
+};
+
+/** PATCH /auth/shelves */
+const visibilitySchema = {
+    summary: "Make your shelves public or private",
+    tags: ['Shelves'],
+    body: {
+        type: 'object',
+        properties: { public: { type: 'boolean', description: "Whether anyone may view your shelves at GET /shelves/{username}" } },
+        required: ['public'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Visibility changed", schema: 'ShelfList' },
+        403: csrfResponse
+    }
+};
+
+/** POST /auth/shelves */
+const createShelfSchema = {
+    summary: "Create a custom shelf",
+    tags: ['Shelves'],
+    body: {
+        type: 'object',
+        properties: { name: { ...shelfName, example: "favourites" } },
+        required: ['name'],
+        additionalProperties: false
+    },
+    responses: {
+        201: { description: "Shelf created", schema: 'ShelfList' },
+        400: "Invalid name, or too many custom shelves",
+        403: csrfResponse,
+        409: "A shelf with this name already exists"
+    }
+};
+
+/** DELETE /auth/shelves/:shelf */
+const deleteShelfSchema = {
+    summary: "Delete a custom shelf and take its books off your shelves",
+    tags: ['Shelves'],
+    params: {
+        type: 'object',
+        properties: { shelf: shelfName },
+        required: ['shelf']
+    },
+    responses: {
+        200: { description: "Shelf deleted", schema: 'Message' },
+        400: "Built-in shelves cannot be deleted",
+        403: csrfResponse,
+        404: "Shelf not found"
+    }
+};
+
+/** PUT /auth/shelves/books/:isbn */
+const placeBookSchema = {
+    summary: "Put a book on a shelf, or move it to another shelf",
+    tags: ['Shelves'],
+    params: schemas.isbnParams,
+    body: {
+        type: 'object',
+        properties: { shelf: shelfName },
+        required: ['shelf'],
+        additionalProperties: false
+    },
+    responses: {
+        200: { description: "Book shelved", schema: 'ShelfEntry' },
+        400: "Invalid or unknown shelf",
+        403: csrfResponse,
+        404: "Book not found"
+    }
+};
+
+/** DELETE /auth/shelves/books/:isbn */
+const removeBookSchema = {
+    summary: "Take a book off your shelves",
+    tags: ['Shelves'],
+    params: schemas.isbnParams,
+    responses: {
+        200: { description: "Book removed", schema: 'Message' },
+        403: csrfResponse,
+        404: "The book is not on your shelves"
+    }
+};
+
+// ============================================================================
+// SHELF ROUTES
+// ============================================================================
+
+/**
+ * List your shelves
+ *
+ * @route GET /customer/auth/shelves
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @returns {Object} 200 - Visibility and every shelf with its books, most recently moved first
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ *
+ * @example
+ * GET /customer/auth/shelves
+ * Response: { "public": false, "shelves": [{ "name": "want-to-read", "custom": false, "count": 1,
+ *             "books": [{ "isbn": "9780385474542", "title": "Things Fall Apart", "author": "Chinua Achebe",
+ *                         "addedAt": "...", "movedAt": "...", "startedAt": null, "finishedAt": null }] }, ...] }
+ */
+shelf_routes.get("/auth/shelves", validate(listSchema), asyncHandler(async (req, res) => {
+    res.json(await loadShelvesView(req.user.username));
+}));
+
+/**
+ * Change the visibility of your shelves
+ * Public shelves can be viewed by anyone at GET /shelves/:username.
+ * Shelves are private until made public.
+ *
+ * @route PATCH /customer/auth/shelves
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {boolean} public - New visibility (from request body)
+ * @returns {Object} 200 - Your shelves
+ * @returns {Object} 400 - VALIDATION_ERROR: missing or invalid field
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ *
+ * @example
+ * PATCH /customer/auth/shelves
+ * Body: { "public": true }
+ */
+shelf_routes.patch("/auth/shelves", validate(visibilitySchema), asyncHandler(async (req, res) => {
+    const username = req.user.username;
+    await db.collection(SHELVES).update(username, (stored) => {
+        const record = normalizeShelves(stored);
+        record.public = req.body.public;
+        return record;
+    });
+    res.json(await loadShelvesView(username));
+}));
+
+/**
+ * Create a custom shelf
+ *
+ * @route POST /customer/auth/shelves
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} name - Shelf name, lowercase words joined by '-' (from request body)
+ * @returns {Object} 201 - Your shelves, including the new one
+ * @returns {Object} 400 - VALIDATION_ERROR: invalid name; BAD_REQUEST: too many custom shelves
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 409 - CONFLICT: a shelf with this name already exists
+ *
+ * @example
+ * POST /customer/auth/shelves
+ * Body: { "name": "favourites" }
+ */
+shelf_routes.post("/auth/shelves", validate(createShelfSchema), asyncHandler(async (req, res) => {
+    const username = req.user.username;
+    const name = req.body.name;
+
+    let problem = null;
+    await db.collection(SHELVES).update(username, (stored) => {
+        const record = normalizeShelves(stored);
+        if (shelfNames(record).includes(name)) {
+            problem = conflict("Shelf " + name + " already exists");
+            return undefined;
+        }
+        if (record.custom.length >= MAX_CUSTOM_SHELVES) {
+            problem = badRequest("You can have at most " + MAX_CUSTOM_SHELVES + " custom shelves");
+            return undefined;
+        }
+        record.custom.push(name);
+        return record;
+    });
+
+    if (problem) {
+        throw problem;
+    }
+    res.status(201).json(await loadShelvesView(username));
+}));
+
+/**
+ * Delete a custom shelf
+ * The books on the shelf are taken off your shelves.
+ *
+ * @route DELETE /customer/auth/shelves/:shelf
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} shelf - Custom shelf name (from URL parameter)
+ * @returns {Object} 200 - Shelf deleted
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed name; BAD_REQUEST: built-in shelf
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: no such shelf
+ *
+ * @example
+ * DELETE /customer/auth/shelves/favourites
+ * Response: { "message": "Shelf favourites deleted with 2 books" }
+ */
+shelf_routes.delete("/auth/shelves/:shelf", validate(deleteShelfSchema), asyncHandler(async (req, res) => {
+    const shelf = req.params.shelf;
+    if (BUILTIN_SHELVES.includes(shelf)) {
+        throw badRequest("Built-in shelves cannot be deleted");
+    }
+
+    let removedBooks = null;
+    await db.collection(SHELVES).update(req.user.username, (stored) => {
+        const record = normalizeShelves(stored);
+        if (!record.custom.includes(shelf)) {
+            return undefined;
+        }
+        record.custom = record.custom.filter((name) => name !== shelf);
+        removedBooks = 0;
+        Object.keys(record.books).forEach((isbn) => {
+            if (record.books[isbn].shelf === shelf) {
+                delete record.books[isbn];
+                removedBooks++;
+            }
+        });
+        return record;
+    });
+
+    if (removedBooks === null) {
+        throw notFound("Shelf not found");
+    }
+    res.json({ message: "Shelf " + shelf + " deleted with " + removedBooks + " books" });
+}));
+
+// ============================================================================
+// SHELVED BOOK ROUTES
+// ============================================================================
+
+/**
+ * Shelve a book
+ * Puts a catalog book on one of your shelves. A book already on another
+ * shelf is moved; moving it to "reading" or "finished" records the date.
+ *
+ * @route PUT /customer/auth/shelves/books/:isbn
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} isbn - Book ISBN (from URL parameter)
+ * @param {string} shelf - Destination shelf (from request body)
+ * @returns {Object} 200 - The book's shelf entry
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN, invalid or unknown shelf
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: book not found
+ *
+ * @example
+ * PUT /customer/auth/shelves/books/0385474547
+ * Body: { "shelf": "reading" }
+ * Response: { "isbn": "9780385474542", "shelf": "reading", "addedAt": "2024-05-01T10:00:00.000Z",
+ *             "movedAt": "2024-05-03T18:30:00.000Z", "startedAt": "2024-05-03T18:30:00.000Z", "finishedAt": null }
+ */
+shelf_routes.put("/auth/shelves/books/:isbn", validate(placeBookSchema), asyncHandler(async (req, res) => {
+    const isbn = req.params.isbn;
+    const shelf = req.body.shelf;
+
+    // Check the book and shelve it in one transaction, so a book removed in
+    // between cannot end up on a shelf
+    const entry = await db.transaction(async (tx) => {
+        if (!await tx.collection('books').get(isbn)) {
+            throw notFound("Book not found");
+        }
+        const shelves = tx.collection(SHELVES);
+        const record = normalizeShelves(await shelves.get(req.user.username));
+        if (!shelfNames(record).includes(shelf)) {
+            throw validationError("Unknown shelf", { shelf: "Must be one of your shelves" });
+        }
+        const placed = placeBook(record, isbn, shelf);
+        await shelves.put(req.user.username, record);
+        return placed;
+    });
+    res.json({ isbn, ...entry });
+}));
+
+/**
+ * Take a book off your shelves
+ *
+ * @route DELETE /customer/auth/shelves/books/:isbn
+ * @authenticated Required - Session cookie or Authorization: Bearer <token>
+ * @param {string} isbn - Book ISBN (from URL parameter)
+ * @returns {Object} 200 - Book removed
+ * @returns {Object} 400 - VALIDATION_ERROR: malformed ISBN
+ * @returns {Object} 401 - UNAUTHENTICATED: not logged in
+ * @returns {Object} 403 - CSRF_TOKEN_INVALID: session cookie without a valid X-CSRF-Token header
+ * @returns {Object} 404 - NOT_FOUND: the book is not on your shelves
+ *
+ * @example
+ * DELETE /customer/auth/shelves/books/0385474547
+ * Response: { "message": "Book 9780385474542 removed from shelf reading" }
+ */
+shelf_routes.delete("/auth/shelves/books/:isbn", validate(removeBookSchema), asyncHandler(async (req, res) => {
+    const isbn = req.params.isbn;
+
+    let removed = null;
+    await db.collection(SHELVES).update(req.user.username, (stored) => {
+        const record = normalizeShelves(stored);
+        if (!record.books[isbn]) {
+            return undefined;
+        }
+        removed = record.books[isbn];
+        delete record.books[isbn];
+        return record;
+    });
+
+    if (!removed) {
+        throw notFound("The book is not on your shelves");
+    }
+    res.json({ message: "Book " + isbn + " removed from shelf " + removed.shelf });
+}));
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/** Export shelf routes router */
+module.exports.shelves = shelf_routes;
@@ -0,0 +1,212 @@
+/**
+ * Repository Layer
+ *
+ * Single entry point to persistent storage for the routers. The backing
+ * driver is chosen when the store is opened:
+ * - json:   one JSON document on disk (default)
+ * - sqlite: an embedded SQLite database file
+ *
+ * On first open the books and authors collections are seeded from
+ * booksdb.js and authorsdb.js; after that they are never read again, so
+ * registrations and reviews survive restarts. Pending data migrations
+ * (./migrations.js) run on every open.
+ *
+ * @example
+ * const db = require('./store');
+ * await db.open({ driver: 'sqlite', path: 'data/bookshop.sqlite' });
+ * const book = await db.books.get('9780385474542');
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const path = require('path');
+const { createStore } = require('./store.js');
+const { createJsonDriver } = require('./json_store.js');
+const { createSqliteDriver } = require('./sqlite_store.js');
+const { runMigrations } = require('./migrations.js');
+const { books: seedBooks } = require('../router/booksdb.js');
+const seedAuthors = require('../router/authorsdb.js');
+const { config } = require('../lib/config.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Available storage drivers keyed by name */
+const DRIVERS = {
+    json: createJsonDriver,
+    sqlite: createSqliteDriver
+};
+
+/** Default data file for each driver, relative to the project root */
+const DEFAULT_PATHS = {
+    json: path.join(__dirname, '..', 'data', 'bookshop.json'),
+    sqlite: path.join(__dirname, '..', 'data', 'bookshop.sqlite')
+};
+
+/** store.path value that keeps the data in memory only */
+const MEMORY_PATH = ':memory:';
+
+/**
+ * Returns the data file configured for a driver.
+ *
+ * @param {string} driverName - "json" or "sqlite"
+ * @returns {string|null} - File path, or null for memory only
+ */
+const configuredPath = (driverName) => {
+    if (config.store.path === MEMORY_PATH) {
+        return null;
+    }
+    return config.store.path || DEFAULT_PATHS[driverName];
+}
+
+/** Currently open repository */
+let current = null;
+
+/** Change listeners registered through subscribe() */
+const listeners = new Set();
+
+/**
+ * Delivers a store event to every listener. A failing listener must not
+ * break the write that triggered it.
+ *
+ * @param {{type: string, changes?: Array<{collection: string, id: string}>}} event
+ * @returns {void}
+ */
+const emit = (event) => {
+    listeners.forEach((listener) => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error("Store listener failed:", error);
+        }
+    });
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Seeds the books and authors collections from booksdb.js and authorsdb.js
+ * the first time a store is opened. A marker in the meta collection
+ * prevents re-seeding once the catalog has been initialized, even if every
+ * book is later removed.
+ *
+ * @param {Object} store - Open repository
+ * @returns {Promise<void>}
+ */
+const seed = (store) => store.transaction(async (tx) => {
+    const meta = tx.collection('meta');
+    if (await meta.get('seed')) {
+        return;
+    }
+    const books = tx.collection('books');
+    for (const [isbn, book] of Object.entries(seedBooks)) {
+        await books.put(isbn, book);
+    }
+    const authors = tx.collection('authors');
+    for (const [id, author] of Object.entries(seedAuthors)) {
+        await authors.put(id, author);
+    }
+    await meta.put('seed', { seededAt: new Date().toISOString() });
+});
+
+/**
+ * Opens (or re-opens) the repository.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.driver] - "json" or "sqlite" (default: store.driver setting)
+ * @param {string|null} [options.path] - Data file; null for memory only (default: store.path
+ *        setting, where ":memory:" means memory only, or data/bookshop.<ext>)
+ * @param {boolean} [options.seed=true] - Seed books and authors on first open
+ * @returns {Promise<Object>} - The open repository
+ */
+const open = async (options = {}) => {
+    const driverName = options.driver || config.store.driver;
+    const createDriver = DRIVERS[driverName];
+    if (!createDriver) {
+        throw new Error('Unknown store driver "' + driverName + '"');
+    }
+    const filePath = options.path !== undefined ? options.path : configuredPath(driverName);
+
+    await close();
+    const store = createStore(createDriver({ path: filePath }), {
+        onCommit: (changes) => emit({ type: 'commit', changes })
+    });
+    await store.init();
+    if (options.seed !== false) {
+        await seed(store);
+    }
+    await runMigrations(store);
+    current = store;
+    // Everything cached from a previous store is now stale
+    emit({ type: 'open' });
+    return store;
+}
+
+/**
+ * Closes the repository if one is open.
+ *
+ * @returns {Promise<void>}
+ */
+const close = async () => {
+    if (current) {
+        const store = current;
+        current = null;
+        await store.close();
+    }
+}
+
+/**
+ * Returns the open repository or throws if open() has not been awaited yet.
+ *
+ * @returns {Object}
+ */
+const getStore = () => {
+    if (!current) {
+        throw new Error('Store is not open. Call open() first.');
+    }
+    return current;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+/**
+ * Registers a listener for store events:
+ * - { type: 'open' } after a store was (re)opened
+ * - { type: 'commit', changes: [{ collection, id }] } after every committed write
+ *
+ * @param {Function} listener
+ * @returns {Function} - Call to unsubscribe
+ */
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+module.exports = {
+    open,
+    close,
+    subscribe,
+
+    /** Runs several operations atomically: db.transaction(async (tx) => { ... }) */
+    transaction: (fn) => getStore().transaction(fn),
+
+    /** Handle for an arbitrary collection */
+    collection: (name) => getStore().collection(name),
+
+    /** Book catalog keyed by ISBN; each book embeds its reviews */
+    get books() {
+        return getStore().collection('books');
+    },
+
+    /** Registered users keyed by username */
+    get users() {
+        return getStore().collection('users');
+    }
+};
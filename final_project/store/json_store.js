@@ -0,0 +1,102 @@
+/**
+ * JSON File Storage Driver
+ *
+ * Keeps all collections in memory and writes them to a single JSON file
+ * after every committed transaction. When no file path is given the data
+ * only lives in memory, which is handy for tests and throwaway instances.
+ *
+ * File layout: { "<collection>": { "<id>": <record>, ... }, ... }
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./store.js');
+
+// ============================================================================
+// DRIVER FACTORY
+// ============================================================================
+
+/**
+ * Creates a JSON file storage driver.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.path] - File to persist to (null keeps data in memory only)
+ * @returns {Object} - Storage driver for createStore()
+ */
+const createJsonDriver = (options = {}) => {
+    const filePath = options.path || null;
+    let data = {};
+    let snapshot = null;
+
+    return {
+        async load() {
+            if (!filePath) {
+                return;
+            }
+            try {
+                data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                // A missing file simply means an empty store
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                data = {};
+            }
+        },
+
+        read(collection, id) {
+            return data[collection] ? data[collection][id] : undefined;
+        },
+
+        readAll(collection) {
+            return data[collection] || {};
+        },
+
+        write(collection, id, value) {
+            if (!data[collection]) {
+                data[collection] = {};
+            }
+            data[collection][id] = value;
+        },
+
+        delete(collection, id) {
+            if (!data[collection] || !(id in data[collection])) {
+                return false;
+            }
+            delete data[collection][id];
+            return true;
+        },
+
+        begin() {
+            // Remember the committed state so a failed transaction can be undone
+            snapshot = JSON.stringify(data);
+        },
+
+        rollback() {
+            data = JSON.parse(snapshot);
+            snapshot = null;
+        },
+
+        async commit() {
+            // Skip the disk write when the transaction only read data. The
+            // snapshot is kept until the file is written, so a failed write
+            // can still be rolled back.
+            const changed = JSON.stringify(data) !== snapshot;
+            if (filePath && changed) {
+                await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+            }
+            snapshot = null;
+        },
+
+        async close() {}
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createJsonDriver };
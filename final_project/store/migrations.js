@@ -0,0 +1,167 @@
+/**
+ * Data Migrations
+ *
+ * Ordered list of one-off data migrations, run when the repository is
+ * opened. Each migration runs once per store: applied ids are recorded in
+ * meta/migrations. Append new migrations at the end; never reorder or
+ * rename existing ones.
+ *
+ * A migration is { id: string, up: async (tx) => void } and runs inside a
+ * transaction, so it either applies completely or not at all.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const { migrateBookReviews } = require('../lib/reviews.js');
+const { ISBN_ALIASES, normalizeIsbn } = require('../lib/isbn.js');
+const { BOOK_METADATA } = require('../lib/books.js');
+const { AUTHORS, linkAuthor } = require('../lib/authors.js');
+const seedAuthors = require('../router/authorsdb.js');
+const { books: seedBooks, legacyIds } = require('../router/booksdb.js');
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+const migrations = [
+    {
+        /** Convert bare-string reviews into structured review objects */
+        id: '001-structured-reviews',
+        up: async (tx) => {
+            const books = tx.collection('books');
+            const all = await books.all();
+            for (const [isbn, book] of Object.entries(all)) {
+                if (migrateBookReviews(book)) {
+                    await books.put(isbn, book);
+                }
+            }
+        }
+    },
+    {
+        /**
+         * Key books by their ISBN-13: rename the legacy numeric IDs and ISBNs
+         * stored in another form, move shelved books along, and keep the
+         * legacy IDs as aliases. Keys that are not an ISBN are left alone.
+         */
+        id: '002-isbn-keys',
+        up: async (tx) => {
+            const books = tx.collection('books');
+            const all = await books.all();
+            const renames = {};
+            for (const [key, book] of Object.entries(all)) {
+                const isbn = legacyIds[key] || normalizeIsbn(key);
+                if (isbn && isbn !== key && !all[isbn] && !Object.values(renames).includes(isbn)) {
+                    renames[key] = isbn;
+                    await books.put(isbn, book);
+                    await books.remove(key);
+                }
+            }
+
+            if (Object.keys(renames).length > 0) {
+                const shelves = tx.collection('shelves');
+                for (const [username, record] of Object.entries(await shelves.all())) {
+                    const moved = Object.keys(record.books || {}).filter((key) => renames[key]);
+                    for (const key of moved) {
+                        record.books[renames[key]] = record.books[key];
+                        delete record.books[key];
+                    }
+                    if (moved.length > 0) {
+                        await shelves.put(username, record);
+                    }
+                }
+            }
+
+            const aliases = tx.collection(ISBN_ALIASES);
+            for (const [id, isbn] of Object.entries(legacyIds)) {
+                if (await books.get(isbn) && !(await books.get(id))) {
+                    await aliases.put(id, { isbn });
+                }
+            }
+        }
+    },
+    {
+        /**
+         * Backfill the metadata of the seed books (year, genres, ...) in
+         * stores seeded before books had it. Fields already set are kept.
+         */
+        id: '003-book-metadata',
+        up: async (tx) => {
+            const books = tx.collection('books');
+            for (const [isbn, seed] of Object.entries(seedBooks)) {
+                await books.update(isbn, (book) => {
+                    const missing = BOOK_METADATA.filter((field) => seed[field] !== undefined && book && book[field] === undefined);
+                    if (missing.length === 0) {
+                        return undefined;
+                    }
+                    missing.forEach((field) => {
+                        book[field] = seed[field];
+                    });
+                    return book;
+                });
+            }
+        }
+    },
+    {
+        /**
+         * Introduce author entities: add the seed authors to stores seeded
+         * before they existed, then link every book to its author by name,
+         * creating authors for names nobody has.
+         */
+        id: '004-authors',
+        up: async (tx) => {
+            const authors = tx.collection(AUTHORS);
+            if (await tx.collection('meta').get('seed')) {
+                for (const [id, author] of Object.entries(seedAuthors)) {
+                    if (!(await authors.get(id))) {
+                        await authors.put(id, author);
+                    }
+                }
+            }
+            const books = tx.collection('books');
+            for (const [isbn, book] of Object.entries(await books.all())) {
+                if (!book.authorId) {
+                    await books.put(isbn, await linkAuthor(authors, book));
+                }
+            }
+        }
+    }
+];
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Applies every migration that has not run on this store yet.
+ *
+ * @param {Object} store - Open repository
+ * @returns {Promise<string[]>} - Ids of the migrations applied now
+ */
+const runMigrations = async (store) => {
+    const applied = [];
+    for (const migration of migrations) {
+        const ran = await store.transaction(async (tx) => {
+            const meta = tx.collection('meta');
+            const state = (await meta.get('migrations')) || { applied: [] };
+            if (state.applied.includes(migration.id)) {
+                return false;
+            }
+            await migration.up(tx);
+            state.applied.push(migration.id);
+            await meta.put('migrations', state);
+            return true;
+        });
+        if (ran) {
+            applied.push(migration.id);
+        }
+    }
+    return applied;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,158 @@
+/**
+ * SQLite Storage Driver
+ *
+ * Stores every collection in a single `records` table of an embedded
+ * SQLite database (sql.js, compiled to WebAssembly so no native build is
+ * needed). The database image is written back to disk after every
+ * committed transaction.
+ *
+ * Schema: records(collection TEXT, id TEXT, data TEXT, PRIMARY KEY(collection, id))
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { writeFileAtomic } = require('./store.js');
+
+// ============================================================================
+// DRIVER FACTORY
+// ============================================================================
+
+/**
+ * Creates a SQLite storage driver.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.path] - Database file (null keeps the database in memory only)
+ * @returns {Object} - Storage driver for createStore()
+ */
+const createSqliteDriver = (options = {}) => {
+    const filePath = options.path || null;
+    let db = null;
+    let dirty = false;
+    let inTransaction = false;
+
+    /** Runs a query and returns every row as an object */
+    const select = (sql, params) => {
+        const stmt = db.prepare(sql);
+        const rows = [];
+        try {
+            stmt.bind(params);
+            while (stmt.step()) {
+                rows.push(stmt.getAsObject());
+            }
+        } finally {
+            stmt.free();
+        }
+        return rows;
+    };
+
+    /** Opens the database from the file on disk, or a fresh one */
+    const openDatabase = async () => {
+        const SQL = await initSqlJs();
+        let contents = null;
+        if (filePath) {
+            try {
+                contents = await fs.promises.readFile(filePath);
+            } catch (error) {
+                // A missing file simply means a fresh database
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        db = contents ? new SQL.Database(contents) : new SQL.Database();
+        db.run(`CREATE TABLE IF NOT EXISTS records (
+            collection TEXT NOT NULL,
+            id TEXT NOT NULL,
+            data TEXT NOT NULL,
+            PRIMARY KEY (collection, id)
+        )`);
+    };
+
+    return {
+        async load() {
+            await openDatabase();
+        },
+
+        read(collection, id) {
+            const rows = select('SELECT data FROM records WHERE collection = ? AND id = ?', [collection, id]);
+            return rows.length > 0 ? JSON.parse(rows[0].data) : undefined;
+        },
+
+        readAll(collection) {
+            const rows = select('SELECT id, data FROM records WHERE collection = ? ORDER BY rowid', [collection]);
+            const result = {};
+            rows.forEach((row) => {
+                result[row.id] = JSON.parse(row.data);
+            });
+            return result;
+        },
+
+        write(collection, id, value) {
+            // Update in place first so existing rows keep their insertion order
+            db.run('UPDATE records SET data = ? WHERE collection = ? AND id = ?', [JSON.stringify(value), collection, id]);
+            if (db.getRowsModified() === 0) {
+                db.run('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)', [collection, id, JSON.stringify(value)]);
+            }
+            dirty = true;
+        },
+
+        delete(collection, id) {
+            db.run('DELETE FROM records WHERE collection = ? AND id = ?', [collection, id]);
+            const removed = db.getRowsModified() > 0;
+            dirty = dirty || removed;
+            return removed;
+        },
+
+        begin() {
+            db.run('BEGIN');
+            inTransaction = true;
+            dirty = false;
+        },
+
+        rollback() {
+            // Nothing to undo when the transaction already ended in commit()
+            if (inTransaction) {
+                db.run('ROLLBACK');
+                inTransaction = false;
+            }
+            dirty = false;
+        },
+
+        async commit() {
+            // sql.js cannot export the image of an open transaction, so the
+            // file is written after COMMIT. If that write fails, the
+            // database is reopened from the file, which still holds the
+            // last committed state, and the write error is rethrown.
+            db.run('COMMIT');
+            inTransaction = false;
+            if (filePath && dirty) {
+                try {
+                    await writeFileAtomic(filePath, Buffer.from(db.export()));
+                } catch (error) {
+                    db.close();
+                    await openDatabase().catch(() => {});
+                    throw error;
+                } finally {
+                    dirty = false;
+                }
+            }
+        },
+
+        async close() {
+            if (db) {
+                db.close();
+                db = null;
+            }
+        }
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,204 @@
+/**
+ * Repository Core Module
+ *
+ * Wraps a storage driver (JSON file or SQLite) with the repository API used
+ * by the routers. Every operation is queued on a single lock so that
+ * read-modify-write sequences from concurrent requests never interleave,
+ * and every committed change is persisted before the promise resolves.
+ *
+ * Records are plain JSON documents grouped into named collections
+ * (books, users, ...) and addressed by a string id.
+ *
+ * After each committed transaction that wrote data, the optional onCommit
+ * callback receives the list of changed records, so caches and indexes can
+ * stay in sync with the store.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Returns a deep copy of a JSON document so callers can never mutate
+ * the driver's internal state by accident.
+ *
+ * @param {*} value - JSON-serializable value
+ * @returns {*} - Independent copy of the value (undefined stays undefined)
+ */
+const clone = (value) => {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Writes a file atomically by writing a temporary sibling first and then
+ * renaming it over the target, so a crash never leaves a half-written file.
+ *
+ * @param {string} filePath - Destination file path
+ * @param {string|Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+const writeFileAtomic = async (filePath, data) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = filePath + '.' + process.pid + '.tmp';
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Creates a simple promise-based mutex. Tasks passed to `run` execute one
+ * at a time in submission order.
+ *
+ * @returns {{run: function(Function): Promise<*>}}
+ */
+const createLock = () => {
+    let tail = Promise.resolve();
+    return {
+        run(task) {
+            const result = tail.then(() => task());
+            // Keep the chain alive even when a task rejects
+            tail = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+// ============================================================================
+// REPOSITORY FACTORY
+// ============================================================================
+
+/**
+ * Builds collection handles bound to a set of primitive operations.
+ *
+ * @param {Object} ops - Primitive operations (get, all, put, remove, update)
+ * @param {string} name - Collection name
+ * @returns {Object} - Collection handle
+ */
+const bindCollection = (ops, name) => ({
+    /** @returns {Promise<Object|undefined>} Record with the given id */
+    get: (id) => ops.get(name, String(id)),
+    /** @returns {Promise<Object<string, Object>>} All records keyed by id */
+    all: () => ops.all(name),
+    /** @returns {Promise<Object>} The stored record */
+    put: (id, value) => ops.put(name, String(id), value),
+    /** @returns {Promise<boolean>} True if a record was removed */
+    remove: (id) => ops.remove(name, String(id)),
+    /** @returns {Promise<Object|undefined>} The record after the update */
+    update: (id, fn) => ops.update(name, String(id), fn)
+});
+
+/**
+ * Creates a repository on top of a storage driver.
+ *
+ * A driver is a plain object implementing:
+ * - load(): Promise<void>          - open/read the underlying storage
+ * - read(collection, id)           - return a record or undefined
+ * - readAll(collection)            - return { id: record } for a collection
+ * - write(collection, id, value)   - insert or replace a record
+ * - delete(collection, id)         - remove a record, returning true if it existed
+ * - begin() / rollback()           - start or undo a batch of writes
+ * - commit(): Promise<void>        - persist the batch to durable storage
+ * - close(): Promise<void>         - release resources
+ *
+ * @param {Object} driver - Storage driver
+ * @param {Object} [options]
+ * @param {function(Array<{collection: string, id: string}>)} [options.onCommit] - Called with the
+ *        records written by each committed transaction
+ * @returns {Object} - Repository with collection handles and transaction()
+ */
+const createStore = (driver, options = {}) => {
+    const lock = createLock();
+
+    /** Records written by the running transaction */
+    let changes = [];
+
+    /**
+     * Runs a function inside a locked transaction. Writes made through the
+     * transaction handle are committed together, or rolled back if the
+     * function throws.
+     */
+    const transaction = (fn) => lock.run(async () => {
+        driver.begin();
+        changes = [];
+        let result;
+        try {
+            result = await fn(tx);
+            await driver.commit();
+        } catch (error) {
+            driver.rollback();
+            changes = [];
+            throw error;
+        }
+        const committed = changes;
+        changes = [];
+        if (committed.length > 0 && options.onCommit) {
+            options.onCommit(committed);
+        }
+        return result;
+    });
+
+    /** Remembers a written record for the onCommit notification */
+    const track = (collection, id) => {
+        changes.push({ collection, id });
+    };
+
+    /** Unlocked operations, only valid inside a transaction */
+    const txOps = {
+        get: async (c, id) => clone(driver.read(c, id)),
+        all: async (c) => clone(driver.readAll(c)),
+        put: async (c, id, value) => {
+            driver.write(c, id, clone(value));
+            track(c, id);
+            return clone(value);
+        },
+        remove: async (c, id) => {
+            const removed = driver.delete(c, id);
+            if (removed) {
+                track(c, id);
+            }
+            return removed;
+        },
+        update: async (c, id, fn) => {
+            const next = await fn(clone(driver.read(c, id)));
+            if (next === undefined) {
+                return clone(driver.read(c, id));
+            }
+            driver.write(c, id, clone(next));
+            track(c, id);
+            return clone(next);
+        }
+    };
+
+    /** Locked operations, each one its own transaction */
+    const ops = {
+        get: (c, id) => lock.run(() => txOps.get(c, id)),
+        all: (c) => lock.run(() => txOps.all(c)),
+        put: (c, id, value) => transaction(() => txOps.put(c, id, value)),
+        remove: (c, id) => transaction(() => txOps.remove(c, id)),
+        update: (c, id, fn) => transaction(() => txOps.update(c, id, fn))
+    };
+
+    const tx = { collection: (name) => bindCollection(txOps, name) };
+
+    return {
+        /** Opens the underlying storage */
+        init: () => lock.run(() => driver.load()),
+        /** Returns a handle for the named collection */
+        collection: (name) => bindCollection(ops, name),
+        transaction,
+        /** Flushes pending work and releases the driver */
+        close: () => lock.run(() => driver.close())
+    };
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+module.exports = { createStore, writeFileAtomic, clone };
@@ -0,0 +1,190 @@
+/**
+ * Registration, login and the auth middleware
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { hashPassword, verifyPassword } = require('../lib/password.js');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('registration', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+    });
+    after(() => server.close());
+
+    it('creates a reader with a hashed password', async () => {
+        const response = await request('POST', '/register', { body: { username: 'alice', password: 'Passw0rd!' } });
+        assert.strictEqual(response.status, 201);
+        const user = await db.users.get('alice');
+        assert.strictEqual(user.role, 'reader');
+        assert.match(user.passwordHash, /^scrypt\$/);
+        assert.strictEqual(user.password, undefined);
+    });
+
+    it('rejects a taken username', async () => {
+        const response = await request('POST', '/register', { body: { username: 'alice', password: 'Passw0rd!' } });
+        assert.strictEqual(response.status, 409);
+        assert.strictEqual(response.body.error.code, 'CONFLICT');
+    });
+
+    it('rejects missing and malformed fields', async () => {
+        const response = await request('POST', '/register', { body: { username: 'a b', extra: true } });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.error.code, 'VALIDATION_ERROR');
+        const fields = response.body.error.details.map((detail) => detail.field).sort();
+        assert.deepStrictEqual(fields, ['extra', 'password', 'username']);
+    });
+
+    it('enforces the password policy', async () => {
+        const response = await request('POST', '/register', { body: { username: 'bob', password: 'short' } });
+        assert.strictEqual(response.status, 400);
+        assert.ok(response.body.error.details.every((detail) => detail.field === 'password'));
+        assert.strictEqual(await db.users.get('bob'), undefined);
+    });
+});
+
+describe('password hashes', () => {
+    it('never match when malformed or corrupt', async () => {
+        const hash = await hashPassword('Passw0rd!');
+        assert.strictEqual(await verifyPassword('Passw0rd!', hash), true);
+        const [, N, r, p, salt, key] = hash.split('$');
+        const corrupt = [
+            ['scrypt', 1000, r, p, salt, key],
+            ['scrypt', N, r, p, salt, ''],
+            ['scrypt', 'x', r, p, salt, key],
+            ['bcrypt', N, r, p, salt, key]
+        ].map((parts) => parts.join('$'));
+        for (const encoded of [...corrupt, 'scrypt', null]) {
+            assert.strictEqual(await verifyPassword('Passw0rd!', encoded), false, String(encoded));
+        }
+    });
+});
+
+describe('login', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        await request('POST', '/register', { body: { username: 'carol', password: 'Passw0rd!' } });
+    });
+    after(() => server.close());
+
+    it('returns an access token and a refresh token', async () => {
+        const response = await request('POST', '/customer/login', { body: { username: 'carol', password: 'Passw0rd!' } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(typeof response.body.accessToken, 'string');
+        assert.strictEqual(typeof response.body.refreshToken, 'string');
+        assert.ok(response.headers.get('set-cookie'));
+    });
+
+    it('rejects wrong credentials with 401', async () => {
+        const wrongPassword = await request('POST', '/customer/login', { body: { username: 'carol', password: 'nope' } });
+        assert.strictEqual(wrongPassword.status, 401);
+        const unknownUser = await request('POST', '/customer/login', { body: { username: 'nobody', password: 'nope' } });
+        assert.strictEqual(unknownUser.status, 401);
+        assert.strictEqual(unknownUser.body.error.message, wrongPassword.body.error.message);
+    });
+
+    it('requires username and password', async () => {
+        const response = await request('POST', '/customer/login', { body: { username: 'carol' } });
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body.error.details, [{ field: 'password', message: "Field is required" }]);
+    });
+
+    it('locks a username out after repeated failures', async () => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await request('POST', '/customer/login', { body: { username: 'mallory', password: 'guess' + attempt } });
+        }
+        const response = await request('POST', '/customer/login', { body: { username: 'mallory', password: 'guess' } });
+        assert.strictEqual(response.status, 429);
+        assert.strictEqual(response.body.error.code, 'TOO_MANY_REQUESTS');
+        assert.ok(Number(response.headers.get('retry-after')) > 0);
+    });
+});
+
+describe('auth middleware', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+    });
+    after(() => server.close());
+
+    it('rejects requests without credentials', async () => {
+        const response = await createClient(server.baseUrl)('PUT', '/customer/auth/review/1', { body: { rating: 5 } });
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.error.code, 'UNAUTHENTICATED');
+    });
+
+    it('accepts a bearer token', async () => {
+        const { accessToken } = await registerAndLogin(createClient(server.baseUrl), 'dave');
+        const response = await createClient(server.baseUrl)('PUT', '/customer/auth/review/1', { token: accessToken, body: { rating: 5 } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.username, 'dave');
+    });
+
+    it('accepts the session cookie set at login, with its CSRF token', async () => {
+        const { csrfToken } = await registerAndLogin(request, 'erin');
+        const response = await request('PUT', '/customer/auth/review/2', { body: { rating: 4 }, headers: { 'X-CSRF-Token': csrfToken } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.username, 'erin');
+    });
+
+    it('rejects session cookie changes without the CSRF token', async () => {
+        const missing = await request('PUT', '/customer/auth/review/2', { body: { rating: 1 } });
+        assert.strictEqual(missing.status, 403);
+        assert.strictEqual(missing.body.error.code, 'CSRF_TOKEN_INVALID');
+        const wrong = await request('DELETE', '/customer/auth/review/2', { headers: { 'X-CSRF-Token': 'forged' } });
+        assert.strictEqual(wrong.status, 403);
+        // Reads need no token
+        assert.strictEqual((await request('GET', '/customer/auth/csrf-token')).status, 200);
+    });
+
+    it('prefers a bearer token over the session', async () => {
+        const response = await request('PUT', '/customer/auth/review/2', { token: 'not-a-jwt', body: { rating: 4 } });
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects tokens revoked by logout', async () => {
+        const client = createClient(server.baseUrl);
+        const { accessToken, refreshToken } = await registerAndLogin(client, 'frank');
+        assert.strictEqual((await client('POST', '/customer/logout', { token: accessToken, body: { refreshToken } })).status, 200);
+        const response = await createClient(server.baseUrl)('PUT', '/customer/auth/review/1', { token: accessToken, body: { rating: 3 } });
+        assert.strictEqual(response.status, 401);
+        const refreshed = await createClient(server.baseUrl)('POST', '/customer/token/refresh', { body: { refreshToken } });
+        assert.strictEqual(refreshed.status, 401);
+    });
+
+    it('rotates refresh tokens and revokes the family on reuse', async () => {
+        const { refreshToken } = await registerAndLogin(createClient(server.baseUrl), 'grace');
+        const first = await createClient(server.baseUrl)('POST', '/customer/token/refresh', { body: { refreshToken } });
+        assert.strictEqual(first.status, 200);
+        assert.notStrictEqual(first.body.refreshToken, refreshToken);
+
+        const reused = await createClient(server.baseUrl)('POST', '/customer/token/refresh', { body: { refreshToken } });
+        assert.strictEqual(reused.status, 401);
+        const descendant = await createClient(server.baseUrl)('POST', '/customer/token/refresh', { body: { refreshToken: first.body.refreshToken } });
+        assert.strictEqual(descendant.status, 401);
+    });
+
+    it('requires the admin role for /admin', async () => {
+        const { accessToken } = await registerAndLogin(createClient(server.baseUrl), 'heidi');
+        const forbidden = await createClient(server.baseUrl)('DELETE', '/admin/books/1', { token: accessToken });
+        assert.strictEqual(forbidden.status, 403);
+        assert.strictEqual(forbidden.body.error.code, 'FORBIDDEN');
+
+        await db.users.update('heidi', (user) => ({ ...user, role: 'admin' }));
+        const allowed = await createClient(server.baseUrl)('DELETE', '/admin/books/1', { token: accessToken });
+        assert.strictEqual(allowed.status, 200);
+    });
+});
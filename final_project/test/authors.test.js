@@ -0,0 +1,108 @@
+/**
+ * Authors: entities linked to books, author pages, lookups by name or alias and the linking migration
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { migrations } = require('../store/migrations.js');
+const { nameKey, slugify } = require('../lib/authors.js');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('author names', () => {
+    it('compares names case-insensitively and makes IDs without accents', () => {
+        assert.strictEqual(nameKey("  Honoré DE   Balzac "), nameKey("honoré de balzac"));
+        assert.strictEqual(slugify("Sîn-lēqi-unninni"), 'sin-leqi-unninni');
+        assert.strictEqual(slugify("!!!"), 'author');
+    });
+});
+
+describe('authors', () => {
+    let server;
+    let request;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        ({ accessToken: token } = await registerAndLogin(request, 'ada'));
+        await db.users.update('ada', (user) => ({ ...user, role: 'admin' }));
+    });
+    after(() => server.close());
+
+    it('lists authors by name with their number of books', async () => {
+        const { status, body } = await request('GET', '/authors?limit=2&offset=1');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.total, 7);
+        assert.deepStrictEqual(body.authors, [
+            { id: 'chinua-achebe', name: "Chinua Achebe", aliases: ["Albert Chinụalụmọgụ Achebe"], bookCount: 1 },
+            { id: 'dante-alighieri', name: "Dante Alighieri", aliases: ["Dante"], bookCount: 1 }
+        ]);
+    });
+
+    it('shows an author with their books and the rating of all their reviews', async () => {
+        await request('PUT', '/customer/auth/review/4', { token, body: { rating: 5 } });
+        await request('PUT', '/customer/auth/review/5', { token, body: { rating: 2 } });
+
+        const { status, body } = await request('GET', '/authors/anonymous');
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.books.map((book) => book.title), ["The Epic Of Gilgamesh", "The Book Of Job", "Njál's Saga", "One Thousand and One Nights"]);
+        assert.deepStrictEqual([body.bookCount, body.rating.count, body.rating.average], [4, 2, 3.5]);
+        assert.strictEqual(body.books[0].rating.average, 5);
+        assert.strictEqual((await request('GET', '/authors/nobody')).status, 404);
+        assert.strictEqual((await request('GET', '/authors/Jane%20Austen')).status, 400);
+    });
+
+    it('finds books by any name or alias of their author', async () => {
+        const titles = async (name) => (await request('GET', '/author/' + encodeURIComponent(name) + '?fields=title')).body.books.map((book) => book.title);
+        assert.deepStrictEqual(await titles("unknown"), await titles("Anonymous"));
+        assert.strictEqual((await titles("ANONYMOUS")).length, 4);
+        assert.deepStrictEqual(await titles("honore de balzac"), ["Le Père Goriot"]);
+        assert.deepStrictEqual(await titles("H.C. Andersen"), ["Fairy tales"]);
+    });
+
+    it('links new books to an existing author or a new one', async () => {
+        const jazz = await request('POST', '/admin/books', { token, body: { isbn: '1400076218', author: "toni  morrison", title: "Jazz" } });
+        assert.strictEqual(jazz.body.book.authorId, 'toni-morrison');
+        const beloved = await request('POST', '/admin/books', { token, body: { isbn: '1400033411', author: "Toni Morrison", title: "Beloved" } });
+        assert.strictEqual(beloved.body.book.authorId, 'toni-morrison');
+        assert.deepStrictEqual((await request('GET', '/authors/toni-morrison')).body.books.map((book) => book.title), ["Beloved", "Jazz"]);
+
+        const renamed = await request('PATCH', '/admin/books/1400033411', { token, body: { author: "Dante" } });
+        assert.strictEqual(renamed.body.book.authorId, 'dante-alighieri');
+
+        const imported = await request('POST', '/admin/import/books', { token, body: [{ isbn: '9780140449198', author: "Sîn-lēqi-unninni", title: "The Epic Of Gilgamesh" }] });
+        assert.strictEqual(imported.body.updated, 1);
+        assert.strictEqual((await request('GET', '/isbn/9780140449198')).body.authorId, 'sin-leqi-unninni');
+    });
+
+    it('updates an author, keeping names unique across authors', async () => {
+        const updated = await request('PATCH', '/admin/authors/jane-austen', { token, body: { aliases: ["J. Austen", "j. austen", "Jane Austen"], bio: null } });
+        assert.strictEqual(updated.status, 200);
+        assert.deepStrictEqual(updated.body.author, { name: "Jane Austen", aliases: ["J. Austen"], bio: null });
+        assert.deepStrictEqual((await request('GET', '/author/j.%20austen?fields=title')).body.books, [{ isbn: '9780141439518', title: "Pride and Prejudice" }]);
+
+        const taken = await request('PATCH', '/admin/authors/jane-austen', { token, body: { aliases: ["balzac"] } });
+        assert.strictEqual(taken.status, 409);
+        assert.strictEqual((await request('PATCH', '/admin/authors/nobody', { token, body: { bio: "x" } })).status, 404);
+    });
+});
+
+describe('author linking migration', () => {
+    const migration = migrations.find((entry) => entry.id === '004-authors');
+
+    before(() => db.open({ driver: 'json', path: null, seed: false }));
+    after(() => db.close());
+
+    it('links existing books to authors by name, creating the missing ones', async () => {
+        await db.books.put('9780141439518', { author: "Jane Austen", title: "Pride and Prejudice", reviews: {} });
+        await db.books.put('9780140449198', { author: "Unknown", title: "The Epic Of Gilgamesh", reviews: {} });
+        await db.books.put('9781400033416', { author: "Toni Morrison", title: "Beloved", reviews: {} });
+        await db.books.put('9781400076215', { author: "toni morrison", title: "Jazz", reviews: {} });
+        await db.transaction((tx) => migration.up(tx));
+
+        const books = await db.books.all();
+        assert.deepStrictEqual(Object.keys(books).sort().map((isbn) => books[isbn].authorId), ['unknown', 'jane-austen', 'toni-morrison', 'toni-morrison']);
+        assert.deepStrictEqual(Object.keys(await db.collection('authors').all()).sort(), ['jane-austen', 'toni-morrison', 'unknown']);
+    });
+});
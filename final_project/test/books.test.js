@@ -0,0 +1,85 @@
+/**
+ * Book metadata: normalization, validation on write, listing filters and the seed backfill
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { migrations } = require('../store/migrations.js');
+const { applyBookFields } = require('../lib/books.js');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('book fields', () => {
+    it('trims text, normalizes genres and removes null fields', () => {
+        const book = { author: "A", title: "B", pages: 100, reviews: {} };
+        assert.deepStrictEqual(applyBookFields(book, { title: " C ", genres: ["Historical  Fiction", "historical fiction", "Novel"], pages: null, year: undefined }),
+            { author: "A", title: "C", reviews: {}, genres: ["historical fiction", "novel"] });
+        assert.strictEqual(book.pages, 100);
+    });
+});
+
+describe('book metadata', () => {
+    let server;
+    let request;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        ({ accessToken: token } = await registerAndLogin(request, 'bea'));
+        await db.users.update('bea', (user) => ({ ...user, role: 'admin' }));
+    });
+    after(() => server.close());
+
+    it('returns the seed metadata with a book', async () => {
+        const { body } = await request('GET', '/isbn/9');
+        assert.deepStrictEqual([body.year, body.genres, body.language, body.pages], [1835, ["novel", "french literature", "realism"], 'fr', 434]);
+        assert.match(body.coverUrl, /^https:\/\/covers\.openlibrary\.org\//);
+        assert.ok(body.description.length > 0);
+    });
+
+    it('validates metadata on write', async () => {
+        const book = { isbn: '1400033411', author: "Toni Morrison", title: "Beloved", year: 1987, genres: ["Novel"], language: 'en', pages: 324 };
+        const created = await request('POST', '/admin/books', { token, body: book });
+        assert.strictEqual(created.status, 201);
+        assert.deepStrictEqual(created.body.book.genres, ["novel"]);
+
+        const invalid = await request('PATCH', '/admin/books/1400033411', { token, body: { year: 1987.5, genres: [" "], language: 'english', pages: 0, coverUrl: 'ftp://x' } });
+        assert.strictEqual(invalid.status, 400);
+        assert.deepStrictEqual(invalid.body.error.details.map((detail) => detail.field), ['year', 'genres[0]', 'language', 'pages', 'coverUrl']);
+
+        const patched = await request('PATCH', '/admin/books/1400033411', { token, body: { pages: null, description: "A ghost story." } });
+        assert.strictEqual(patched.status, 200);
+        assert.strictEqual(patched.body.book.pages, undefined);
+        assert.strictEqual((await request('GET', '/isbn/1400033411')).body.description, "A ghost story.");
+    });
+
+    it('filters the catalog by genre, language and year', async () => {
+        const titles = async (query) => (await request('GET', '/?fields=title&' + query)).body.books.map((book) => book.title);
+        assert.deepStrictEqual(await titles('genre=Epic&sort=year'), ["The Epic Of Gilgamesh", "The Divine Comedy"]);
+        assert.deepStrictEqual(await titles('language=FR'), ["Le Père Goriot"]);
+        const described = (await request('GET', '/?language=fr&fields=description')).body.books[0];
+        assert.deepStrictEqual(Object.keys(described), ['isbn', 'description']);
+        assert.deepStrictEqual(await titles('yearFrom=1800&yearTo=1850&sort=year'), ["Pride and Prejudice", "Fairy tales", "Le Père Goriot"]);
+
+        const invalid = await request('GET', '/?yearFrom=1900&yearTo=1800&genre=');
+        assert.strictEqual(invalid.status, 400);
+        assert.deepStrictEqual(invalid.body.error.details.map((detail) => detail.field).sort(), ['genre', 'yearTo']);
+    });
+});
+
+describe('book metadata migration', () => {
+    const migration = migrations.find((entry) => entry.id === '003-book-metadata');
+
+    before(() => db.open({ driver: 'json', path: null, seed: false }));
+    after(() => db.close());
+
+    it('fills in missing seed metadata and keeps what is set', async () => {
+        await db.books.put('9780141439518', { author: "Jane Austen", title: "Pride and Prejudice", pages: 300, reviews: {} });
+        await db.transaction((tx) => migration.up(tx));
+
+        const book = await db.books.get('9780141439518');
+        assert.deepStrictEqual([book.year, book.language, book.pages], [1813, 'en', 300]);
+        assert.strictEqual(await db.books.get('9780385474542'), undefined);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Response cache: LRU eviction, strong ETags, conditional requests and invalidation on writes
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { createLruCache, strongETag } = require('../lib/cache.js');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('LRU cache', () => {
+    it('evicts the least recently used entry', () => {
+        const cache = createLruCache(2);
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.strictEqual(cache.get('a'), 1);
+        cache.set('c', 3);
+        assert.strictEqual(cache.get('b'), undefined);
+        assert.deepStrictEqual([cache.get('a'), cache.get('c'), cache.size()], [1, 3, 2]);
+    });
+
+    it('computes strong ETags from the body', () => {
+        assert.match(strongETag('{}'), /^"[\w-]+"$/);
+        assert.strictEqual(strongETag('{}'), strongETag('{}'));
+        assert.notStrictEqual(strongETag('{}'), strongETag('[]'));
+    });
+});
+
+describe('response cache', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+    });
+    after(() => server.close());
+
+    /**
+     * Conditional request headers. fetch() adds "Cache-Control: no-cache" to
+     * requests with If-None-Match unless one is given, which forbids a 304.
+     */
+    const ifNoneMatch = (etag) => ({ 'If-None-Match': etag, 'Cache-Control': 'max-age=0' });
+
+    it('caches catalog responses with a strong ETag and Cache-Control', async () => {
+        const first = await request('GET', '/isbn/1');
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+        assert.match(first.headers.get('etag'), /^"/);
+        assert.match(first.headers.get('cache-control'), /^public, max-age=0/);
+
+        const second = await request('GET', '/isbn/1');
+        assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+        assert.strictEqual(second.headers.get('etag'), first.headers.get('etag'));
+        assert.deepStrictEqual(second.body, first.body);
+    });
+
+    it('answers 304 to a current If-None-Match', async () => {
+        const { headers } = await request('GET', '/?limit=2');
+        const etag = headers.get('etag');
+        const unchanged = await request('GET', '/?limit=2', { headers: ifNoneMatch(etag) });
+        assert.strictEqual(unchanged.status, 304);
+        assert.strictEqual(unchanged.body, '');
+        assert.strictEqual((await request('GET', '/?limit=2', { headers: ifNoneMatch('"stale"') })).status, 200);
+    });
+
+    it('does not cache errors', async () => {
+        await request('GET', '/isbn/999');
+        const again = await request('GET', '/isbn/999');
+        assert.strictEqual(again.status, 404);
+        assert.strictEqual(again.headers.get('x-cache'), null);
+    });
+
+    it('invalidates responses when a review or book is written', async () => {
+        const { accessToken: token } = await registerAndLogin(request, 'cora');
+        const before = await request('GET', '/review/2');
+        assert.strictEqual((await request('GET', '/review/2')).headers.get('x-cache'), 'HIT');
+
+        await request('PUT', '/customer/auth/review/2', { token, body: { rating: 5, review: "Timeless" } });
+        const reviewed = await request('GET', '/review/2', { headers: ifNoneMatch(before.headers.get('etag')) });
+        assert.strictEqual(reviewed.status, 200);
+        assert.strictEqual(reviewed.headers.get('x-cache'), 'MISS');
+        assert.strictEqual(reviewed.body.total, before.body.total + 1);
+
+        await db.books.update('9780670033775', (book) => ({ ...book, title: "Renamed" }));
+        assert.strictEqual((await request('GET', '/isbn/2')).body.title, "Renamed");
+    });
+});
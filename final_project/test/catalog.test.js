@@ -0,0 +1,183 @@
+/**
+ * Catalog lookups: listing, ISBN, author, title and search
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer, createClient } = require('./helpers.js');
+const { createRemoteSource } = require('../lib/catalog_source.js');
+const { UpstreamError } = require('../lib/errors.js');
+
+/** Books returned by the stubbed author catalog */
+const UPSTREAM_BOOKS = {
+    '100': { author: "Ursula K. Le Guin", title: "The Dispossessed", reviews: {} },
+    '101': { author: "Ursula K. Le Guin", title: "The Lathe of Heaven", reviews: {} },
+    '102': { author: "Octavia E. Butler", title: "Kindred", reviews: {} }
+};
+
+describe('catalog', () => {
+    let server;
+    let request;
+    /** Behaviour of the stubbed catalog source, replaced per test */
+    let upstream = async () => UPSTREAM_BOOKS;
+
+    before(async () => {
+        server = await startServer({ catalogSource: { name: 'stub', fetchBooks: () => upstream() } });
+        request = createClient(server.baseUrl);
+    });
+    after(() => server.close());
+
+    it('lists the catalog page by page', async () => {
+        const first = await request('GET', '/?limit=4&fields=title');
+        assert.strictEqual(first.status, 200);
+        assert.match(first.headers.get('content-type'), /^application\/json/);
+        assert.strictEqual(first.body.total, 10);
+        assert.deepStrictEqual(first.body.books.map((book) => book.isbn), ['9780060969592', '9780140442892', '9780140447699', '9780140449198']);
+        assert.deepStrictEqual(Object.keys(first.body.books[0]), ['isbn', 'title']);
+
+        const next = await request('GET', '/?limit=4&fields=title&cursor=' + first.body.nextCursor);
+        assert.deepStrictEqual(next.body.books.map((book) => book.isbn), ['9780141439518', '9780142437223', '9780385474542', '9780670033775']);
+    });
+
+    it('rejects invalid listing parameters', async () => {
+        const response = await request('GET', '/?limit=500&sort=price');
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body.error.details.map((detail) => detail.field), ['limit', 'sort']);
+    });
+
+    it('finds a book by ISBN', async () => {
+        const response = await request('GET', '/isbn/9780141439518');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.title, "Pride and Prejudice");
+        assert.deepStrictEqual([response.body.isbn, response.body.isbn10], ['9780141439518', '0141439513']);
+        assert.strictEqual(response.body.rating.count, 0);
+        assert.strictEqual((await request('GET', '/isbn/999')).status, 404);
+        assert.strictEqual((await request('GET', '/isbn/not%20an%20isbn')).status, 400);
+    });
+
+    it('finds books by author in the catalog source', async () => {
+        upstream = async () => UPSTREAM_BOOKS;
+        const response = await request('GET', '/author/' + encodeURIComponent("Ursula K. Le Guin") + '?sort=title&fields=title');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.books, [
+            { isbn: '100', title: "The Dispossessed" },
+            { isbn: '101', title: "The Lathe of Heaven" }
+        ]);
+        assert.strictEqual((await request('GET', '/author/Nobody')).status, 404);
+    });
+
+    it('reports catalog source failures', async () => {
+        upstream = async () => {
+            throw new UpstreamError('UPSTREAM_UNAVAILABLE', "Remote catalog answered with status 503");
+        };
+        const unavailable = await request('GET', '/author/Anyone');
+        assert.strictEqual(unavailable.status, 502);
+        assert.strictEqual(unavailable.body.error.code, 'UPSTREAM_UNAVAILABLE');
+
+        upstream = async () => {
+            throw new Error("socket exploded");
+        };
+        const broken = await request('GET', '/author/Anyone');
+        assert.strictEqual(broken.status, 500);
+        assert.strictEqual(broken.body.error.code, 'INTERNAL_ERROR');
+        assert.doesNotMatch(broken.body.error.message, /socket/);
+        upstream = async () => UPSTREAM_BOOKS;
+    });
+
+    it('finds books by title', async () => {
+        const response = await request('GET', '/title/' + encodeURIComponent("Things Fall Apart"));
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.books.map((book) => book.isbn), ['9780385474542']);
+        assert.strictEqual((await request('GET', '/title/Nothing')).status, 404);
+    });
+
+    it('searches titles, authors and reviews', async () => {
+        const response = await request('GET', '/search?q=pere%20goriot');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.results[0].title, "Le Père Goriot");
+        assert.ok(response.body.facets.author.length > 0);
+
+        const missing = await request('GET', '/search');
+        assert.strictEqual(missing.status, 400);
+        assert.deepStrictEqual(missing.body.error.details, [{ field: 'q', message: "Field is required" }]);
+    });
+});
+
+describe('remote author catalog', () => {
+    let upstreamServer;
+    let upstreamUrl;
+    /** Handler of the stub upstream, replaced per test */
+    let handle;
+
+    before(async () => {
+        upstreamServer = http.createServer((req, res) => handle(req, res));
+        await new Promise((resolve) => upstreamServer.listen(0, '127.0.0.1', resolve));
+        upstreamUrl = 'http://127.0.0.1:' + upstreamServer.address().port + '/books';
+    });
+    after(async () => {
+        upstreamServer.closeAllConnections();
+        await new Promise((resolve) => upstreamServer.close(resolve));
+    });
+
+    /** Starts the app with a remote source pointing at the stub upstream */
+    const withRemote = async (fallback, test) => {
+        const server = await startServer({
+            catalogSource: createRemoteSource({ url: upstreamUrl, timeoutMs: 200, retries: 1, retryDelayMs: 10, fallback })
+        });
+        try {
+            await test(createClient(server.baseUrl));
+        } finally {
+            await server.close();
+        }
+    };
+
+    it('serves books from the upstream', async () => {
+        handle = (req, res) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(UPSTREAM_BOOKS));
+        };
+        await withRemote(null, async (request) => {
+            const response = await request('GET', '/author/' + encodeURIComponent("Octavia E. Butler"));
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.books.map((book) => book.isbn), ['102']);
+        });
+    });
+
+    it('answers 504 when the upstream times out', async () => {
+        let attempts = 0;
+        handle = () => {
+            attempts++;
+        };
+        await withRemote(null, async (request) => {
+            const response = await request('GET', '/author/Anyone');
+            assert.strictEqual(response.status, 504);
+            assert.strictEqual(response.body.error.code, 'UPSTREAM_TIMEOUT');
+            assert.strictEqual(attempts, 2);
+        });
+    });
+
+    it('answers 502 for an invalid payload', async () => {
+        handle = (req, res) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end('[1, 2, 3]');
+        };
+        await withRemote(null, async (request) => {
+            const response = await request('GET', '/author/Anyone');
+            assert.strictEqual(response.status, 502);
+            assert.strictEqual(response.body.error.code, 'UPSTREAM_BAD_RESPONSE');
+        });
+    });
+
+    it('falls back to the fallback source', async () => {
+        handle = (req, res) => {
+            res.statusCode = 503;
+            res.end();
+        };
+        const fallback = { name: 'local', fetchBooks: async () => UPSTREAM_BOOKS };
+        await withRemote(fallback, async (request) => {
+            const response = await request('GET', '/author/' + encodeURIComponent("Octavia E. Butler"));
+            assert.strictEqual(response.status, 200);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Catalog import/export: formats, dry runs, per-row errors, upserts and round trips
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { parseCsv, toCsvValue } = require('../lib/catalog_io.js');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('CSV', () => {
+    it('reads quoted values, escaped quotes and line breaks', () => {
+        assert.deepStrictEqual(parseCsv('a,b\r\n"x, ""y""",2\n\n"two\nlines",3\n'), [
+            { row: 1, values: ['a', 'b'] },
+            { row: 2, values: ['x, "y"', '2'] },
+            { row: 4, values: ['two\nlines', '3'] }
+        ]);
+        assert.throws(() => parseCsv('a\n"open'), /Invalid CSV/);
+    });
+
+    it('quotes values only when needed', () => {
+        assert.deepStrictEqual([toCsvValue('plain'), toCsvValue('a, "b"'), toCsvValue(null), toCsvValue(4)], ['plain', '"a, ""b"""', '', '4']);
+    });
+});
+
+describe('catalog import and export', () => {
+    let server;
+    let request;
+    let token;
+
+    /** Posts an import body of the given media type */
+    const upload = (dataset, type, body, query = '') =>
+        request('POST', '/admin/import/' + dataset + query, { token, headers: { 'Content-Type': type }, body });
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        ({ accessToken: token } = await registerAndLogin(request, 'ivy'));
+        await db.users.update('ivy', (user) => ({ ...user, role: 'admin' }));
+    });
+    after(() => server.close());
+
+    it('validates a CSV import in a dry run without writing', async () => {
+        const csv = 'isbn,author,title\n1400033411,"Morrison, Toni",Beloved\n12,,Untitled\n1,Chinua Achebe,Things Fall Apart\n'
+            + '978-1-4000-3341-6,Someone,Else\n13,Too few\n1400033412,Someone,Other\n';
+        const report = await upload('books', 'text/csv', csv, '?dryRun=true');
+        assert.strictEqual(report.status, 200);
+        assert.deepStrictEqual(
+            [report.body.dryRun, report.body.total, report.body.created, report.body.unchanged, report.body.failed],
+            [true, 6, 1, 1, 4]);
+        assert.deepStrictEqual(report.body.errors, [
+            { row: 3, field: 'author', message: "Field is required" },
+            { row: 5, field: null, message: "Duplicate of row 2" },
+            { row: 6, field: null, message: "Expected 3 values, found 2" },
+            { row: 7, field: 'isbn', message: "Must be a valid ISBN-10 or ISBN-13" }
+        ]);
+        assert.strictEqual(await db.books.get('9781400033416'), undefined);
+    });
+
+    it('upserts books by ISBN and keeps their reviews', async () => {
+        const before = await db.books.get('9780385474542');
+        const ndjson = '{"isbn":"1","author":"Chinua Achebe","title":"Things Fall Apart (2nd ed.)"}\n\n{"isbn":"978-1-4000-3341-6","author":"Toni Morrison","title":"Beloved"}\nnot json\n';
+        const report = await upload('books', 'application/x-ndjson', ndjson);
+        assert.deepStrictEqual([report.body.created, report.body.updated, report.body.failed], [1, 1, 1]);
+        assert.deepStrictEqual(report.body.errors, [{ row: 4, field: null, message: "Invalid JSON" }]);
+
+        const updated = await db.books.get('9780385474542');
+        assert.strictEqual(updated.title, "Things Fall Apart (2nd ed.)");
+        assert.deepStrictEqual(updated.reviews, before.reviews);
+        assert.strictEqual((await db.books.get('9781400033416')).author, "Toni Morrison");
+        assert.strictEqual((await request('GET', '/isbn/1400033411')).status, 200);
+    });
+
+    it('imports reviews and reports unknown books', async () => {
+        const records = [
+            { isbn: '9781400033416', username: 'reader', rating: 5, text: "Haunting", createdAt: '2024-01-02T03:04:05.000Z' },
+            { isbn: '999', username: 'reader', rating: 4 },
+            { isbn: '1400033411', username: 'critic', rating: 9 }
+        ];
+        const report = await request('POST', '/admin/import/reviews', { token, body: records });
+        assert.deepStrictEqual([report.body.format, report.body.created, report.body.failed], ['json', 1, 2]);
+        assert.deepStrictEqual(report.body.errors.map((error) => [error.row, error.field]), [[2, 'isbn'], [3, 'rating']]);
+
+        const reviews = (await request('GET', '/review/978-1-4000-3341-6')).body.reviews;
+        assert.deepStrictEqual(reviews.map((review) => [review.username, review.rating, review.createdAt]), [['reader', 5, '2024-01-02T03:04:05.000Z']]);
+    });
+
+    it('rejects bodies that cannot be read', async () => {
+        const format = await upload('books', 'text/plain', 'isbn\n1');
+        assert.strictEqual(format.status, 400);
+        assert.strictEqual(format.body.error.details[0].field, 'format');
+        assert.strictEqual((await upload('books', 'application/json', '{"isbn": "1"}')).status, 400);
+        assert.strictEqual((await upload('books', 'text/csv', 'isbn,author,title\n"11,x,y')).status, 400);
+        assert.strictEqual((await upload('authors', 'text/csv', 'isbn')).status, 400);
+    });
+
+    it('exports every format in a form that imports unchanged', async () => {
+        for (const format of ['json', 'ndjson', 'csv']) {
+            for (const dataset of ['books', 'reviews']) {
+                const exported = await fetch(server.baseUrl + '/admin/export/' + dataset + '?format=' + format, { headers: { Authorization: 'Bearer ' + token } });
+                assert.strictEqual(exported.status, 200);
+                assert.match(exported.headers.get('content-disposition'), new RegExp('attachment; filename="' + dataset + '.' + format + '"'));
+                const text = await exported.text();
+
+                const report = await upload(dataset, 'text/plain', text, '?format=' + format);
+                assert.strictEqual(report.body.failed, 0, JSON.stringify(report.body.errors));
+                assert.strictEqual(report.body.unchanged, report.body.total, format + ' ' + dataset);
+            }
+        }
+        const csv = await fetch(server.baseUrl + '/admin/export/books?format=csv', { headers: { Authorization: 'Bearer ' + token } });
+        const lines = (await csv.text()).trim().split('\r\n');
+        assert.strictEqual(lines[0], 'isbn,author,title,year,genres,language,pages,description,coverUrl');
+        assert.strictEqual(lines.length, 12);
+    });
+
+    it('is reserved for administrators', async () => {
+        const reader = createClient(server.baseUrl);
+        const { accessToken } = await registerAndLogin(reader, 'jude');
+        assert.strictEqual((await reader('GET', '/admin/export/books', { token: accessToken })).status, 403);
+        assert.strictEqual((await reader('POST', '/admin/import/books', { token: accessToken, body: [] })).status, 403);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Configuration: profiles, config file, environment overrides and validation
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config.js');
+const { ConfigError } = require('../lib/errors.js');
+
+/** Settings a production deployment must provide */
+const PRODUCTION_SECRETS = { SESSION_SECRET: 'session-secret-value', ACCESS_TOKEN_SECRET: 'token-secret-value' };
+
+describe('config', () => {
+    let directory;
+
+    /** Writes a config file into the temporary directory and returns its path */
+    const writeConfigFile = (name, contents) => {
+        const filePath = path.join(directory, name);
+        fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return filePath;
+    };
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bookshop-config-'));
+    });
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    it('uses the development defaults without any settings', () => {
+        const config = loadConfig({});
+        assert.strictEqual(config.env, 'development');
+        assert.strictEqual(config.server.port, 5000);
+        assert.strictEqual(config.session.secret, 'fingerprint_customer');
+        assert.strictEqual(config.auth.accessTokenSecret, 'access');
+        assert.strictEqual(config.auth.accessTokenTtlSeconds, 3600);
+        assert.deepStrictEqual(config.auth.modes, ['session', 'bearer']);
+        assert.strictEqual(config.store.path, null);
+        assert.ok(Object.isFrozen(config.server));
+    });
+
+    it('keeps the test profile in memory', () => {
+        assert.strictEqual(loadConfig({ NODE_ENV: 'test' }).store.path, ':memory:');
+    });
+
+    it('converts environment variables to the setting types', () => {
+        const config = loadConfig({
+            PORT: '8080',
+            AUTH_MODES: 'Bearer',
+            PASSWORD_REQUIRE_SYMBOL: 'true',
+            CATALOG_FALLBACK: '0'
+        });
+        assert.strictEqual(config.server.port, 8080);
+        assert.deepStrictEqual(config.auth.modes, ['bearer']);
+        assert.strictEqual(config.password.requireSymbol, true);
+        assert.strictEqual(config.catalog.fallback, false);
+    });
+
+    it('reads the config file, with environment variables taking precedence', () => {
+        const configFile = writeConfigFile('app.json', {
+            server: { port: 7000 },
+            login: { maxAttemptsPerUser: 3 },
+            catalog: { source: 'remote', remoteUrl: 'http://catalog.example/books' }
+        });
+        const config = loadConfig({ CONFIG_FILE: configFile, PORT: '7001' });
+        assert.strictEqual(config.configFile, configFile);
+        assert.strictEqual(config.server.port, 7001);
+        assert.strictEqual(config.login.maxAttemptsPerUser, 3);
+        assert.strictEqual(config.catalog.source, 'remote');
+    });
+
+    it('reports every invalid setting at once', () => {
+        const configFile = writeConfigFile('typo.json', { server: { prot: 80 } });
+        assert.throws(() => loadConfig({
+            CONFIG_FILE: configFile,
+            PORT: 'eighty',
+            AUTH_MODES: 'session,cookie',
+            STORE_DRIVER: 'mongo',
+            CATALOG_SOURCE: 'remote'
+        }), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepStrictEqual(error.problems, [
+                'CONFIG_FILE ' + configFile + ': Unknown setting "server.prot"',
+                'PORT: Must be an integer',
+                'AUTH_MODES[1]: Must be one of session, bearer',
+                'STORE_DRIVER: Must be one of json, sqlite',
+                'CATALOG_REMOTE_URL: Required when CATALOG_SOURCE is remote'
+            ]);
+            return true;
+        });
+    });
+
+    it('rejects unreadable config files and unknown profiles', () => {
+        assert.throws(() => loadConfig({ CONFIG_FILE: path.join(directory, 'missing.json') }), /File not found/);
+        assert.throws(() => loadConfig({ CONFIG_FILE: writeConfigFile('broken.json', '{ port: 1') }), ConfigError);
+        assert.throws(() => loadConfig({ NODE_ENV: 'staging' }), /NODE_ENV: Must be one of development, test, production/);
+    });
+
+    it('refuses the default secrets in production', () => {
+        assert.throws(() => loadConfig({ NODE_ENV: 'production' }), (error) => {
+            assert.deepStrictEqual(error.problems, [
+                'SESSION_SECRET: Must be set to a non-default value in production',
+                'ACCESS_TOKEN_SECRET: Must be set to a non-default value in production'
+            ]);
+            return true;
+        });
+        assert.throws(() => loadConfig({ NODE_ENV: 'production', ...PRODUCTION_SECRETS, ACCESS_TOKEN_SECRET: 'access' }),
+            /ACCESS_TOKEN_SECRET: Must be set to a non-default value/);
+
+        const config = loadConfig({ NODE_ENV: 'production', ...PRODUCTION_SECRETS });
+        assert.strictEqual(config.session.secret, 'session-secret-value');
+        assert.strictEqual(config.auth.accessTokenSecret, 'token-secret-value');
+    });
+
+    it('requires the bootstrap admin username and password together', () => {
+        assert.throws(() => loadConfig({ ADMIN_USERNAME: 'root' }), /ADMIN_USERNAME\/ADMIN_PASSWORD: Set both or neither/);
+        assert.strictEqual(loadConfig({ ADMIN_USERNAME: 'root', ADMIN_PASSWORD: 'S3cret!pass' }).admin.username, 'root');
+    });
+});
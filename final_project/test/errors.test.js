@@ -0,0 +1,41 @@
+/**
+ * Error envelope and request IDs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient } = require('./helpers.js');
+
+describe('error handling', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+    });
+    after(() => server.close());
+
+    it('answers unknown routes with a JSON 404', async () => {
+        const response = await request('GET', '/no/such/route');
+        assert.strictEqual(response.status, 404);
+        assert.deepStrictEqual(Object.keys(response.body.error), ['code', 'message', 'details', 'requestId']);
+        assert.strictEqual(response.body.error.code, 'NOT_FOUND');
+        assert.strictEqual(response.body.error.requestId, response.headers.get('x-request-id'));
+    });
+
+    it('reuses a well-formed client request ID', async () => {
+        const response = await request('GET', '/isbn/999', { headers: { 'X-Request-Id': 'trace-42' } });
+        assert.strictEqual(response.headers.get('x-request-id'), 'trace-42');
+        assert.strictEqual(response.body.error.requestId, 'trace-42');
+
+        const replaced = await request('GET', '/isbn/999', { headers: { 'X-Request-Id': 'bad id!' } });
+        assert.notStrictEqual(replaced.headers.get('x-request-id'), 'bad id!');
+    });
+
+    it('rejects malformed JSON bodies', async () => {
+        const response = await request('POST', '/customer/login', { body: '{"username":' });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.error.code, 'INVALID_JSON');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Test Helpers
+ *
+ * Starts the app in-process on a random port against a fresh in-memory
+ * store, and provides a small HTTP client with a cookie jar.
+ */
+
+const db = require('../store');
+const { createApp } = require('../app.js');
+
+/**
+ * Opens an empty in-memory store (seeded with the book catalog), creates
+ * an app and starts listening on a random port.
+ *
+ * @param {Object} [options] - Options for createApp()
+ * @returns {Promise<{app: Object, baseUrl: string, close: function(): Promise<void>}>}
+ */
+const startServer = async (options = {}) => {
+    await db.open({ driver: 'json', path: null });
+    const app = createApp(options);
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        app,
+        baseUrl: 'http://127.0.0.1:' + server.address().port,
+        close: async () => {
+            await new Promise((resolve) => server.close(resolve));
+            await db.close();
+        }
+    };
+}
+
+/**
+ * Creates an HTTP client for a running server. The client keeps the
+ * session cookie between requests, like a browser. Bodies are sent as
+ * JSON unless a Content-Type header is given; strings are sent as-is.
+ *
+ * @param {string} baseUrl - Server URL
+ * @returns {function(string, string, Object=): Promise<{status: number, headers: Headers, body: *}>}
+ *          request(method, path, { body, token, headers })
+ */
+const createClient = (baseUrl) => {
+    let cookie = null;
+    return async (method, path, options = {}) => {
+        const headers = { ...(options.headers || {}) };
+        if (options.body !== undefined && !headers['Content-Type']) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (options.token) {
+            headers.Authorization = 'Bearer ' + options.token;
+        }
+        if (cookie) {
+            headers.Cookie = cookie;
+        }
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers,
+            body: options.body === undefined ? undefined
+                : (typeof options.body === 'string' ? options.body : JSON.stringify(options.body))
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) {
+            cookie = setCookie.split(';')[0];
+        }
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            // Not JSON; keep the text
+        }
+        return { status: response.status, headers: response.headers, body };
+    };
+}
+
+/**
+ * Registers a user and logs them in.
+ *
+ * @param {Function} request - Client from createClient()
+ * @param {string} username
+ * @param {string} [password="Passw0rd!"]
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+const registerAndLogin = async (request, username, password = 'Passw0rd!') => {
+    await request('POST', '/register', { body: { username, password } });
+    const { body } = await request('POST', '/customer/login', { body: { username, password } });
+    return body;
+}
+
+module.exports = { startServer, createClient, registerAndLogin };
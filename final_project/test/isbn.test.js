@@ -0,0 +1,84 @@
+/**
+ * ISBNs: checksums, normalization, lookups by any ISBN form or legacy ID, and the key migration
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { migrations } = require('../store/migrations.js');
+const { normalizeIsbn, toIsbn10 } = require('../lib/isbn.js');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('ISBN normalization', () => {
+    it('accepts every form of a valid ISBN', () => {
+        for (const form of ['978-0-385-47454-2', '9780385474542', '0-385-47454-7', '0385474547', '978 0 385 47454 2']) {
+            assert.strictEqual(normalizeIsbn(form), '9780385474542', form);
+        }
+        assert.strictEqual(normalizeIsbn('0-8044-2957-x'), '9780804429573');
+    });
+
+    it('rejects wrong check digits and other identifiers', () => {
+        for (const value of ['978-0-385-47454-3', '0385474548', '1', '9790385474542', '', undefined]) {
+            assert.strictEqual(normalizeIsbn(value), null, String(value));
+        }
+    });
+
+    it('converts ISBN-13s with the 978 prefix back to ISBN-10', () => {
+        assert.strictEqual(toIsbn10('9780804429573'), '080442957X');
+        assert.strictEqual(toIsbn10('9791032300824'), null);
+    });
+});
+
+describe('ISBN lookups', () => {
+    let server;
+    let request;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+    });
+    after(() => server.close());
+
+    it('finds a book by any form of its ISBN or its legacy ID', async () => {
+        for (const form of ['978-0-385-47454-2', '9780385474542', '0-385-47454-7', '0385474547', '1']) {
+            const response = await request('GET', '/isbn/' + form);
+            assert.strictEqual(response.status, 200, form);
+            assert.deepStrictEqual([response.body.isbn, response.body.isbn10, response.body.title], ['9780385474542', '0385474547', "Things Fall Apart"]);
+        }
+        assert.strictEqual((await request('GET', '/isbn/978-0-385-47454-3')).status, 404);
+    });
+
+    it('writes and reads reviews through every form', async () => {
+        const { accessToken: token } = await registerAndLogin(request, 'isla');
+        const written = await request('PUT', '/customer/auth/review/0-14-143951-3', { token, body: { rating: 4, review: "Witty" } });
+        assert.strictEqual(written.status, 200);
+        assert.strictEqual(written.body.isbn, '9780141439518');
+
+        const reviews = await request('GET', '/review/8');
+        assert.deepStrictEqual(reviews.body.reviews.map((review) => review.username), ['isla']);
+        assert.strictEqual((await request('GET', '/customer/auth/review/978-0-14-143951-8', { token })).body.review.rating, 4);
+        assert.strictEqual((await request('DELETE', '/customer/auth/review/9780141439518', { token })).status, 200);
+    });
+});
+
+describe('ISBN key migration', () => {
+    const migration = migrations.find((entry) => entry.id === '002-isbn-keys');
+
+    before(() => db.open({ driver: 'json', path: null, seed: false }));
+    after(() => db.close());
+
+    it('re-keys legacy and non-canonical ISBN keys, moves shelved books and records aliases', async () => {
+        const book = { author: "Chinua Achebe", title: "Things Fall Apart", reviews: {} };
+        await db.books.put('1', book);
+        await db.books.put('0-8044-2957-X', { author: "Anonymous", title: "Norse Myths", reviews: {} });
+        await db.books.put('custom', { author: "Someone", title: "Unnumbered", reviews: {} });
+        await db.collection('shelves').put('nia', { public: false, custom: [], books: { 1: { shelf: 'reading' } } });
+
+        await db.transaction((tx) => migration.up(tx));
+
+        assert.deepStrictEqual(Object.keys(await db.books.all()).sort(), ['9780385474542', '9780804429573', 'custom']);
+        assert.deepStrictEqual(await db.books.get('9780385474542'), book);
+        assert.deepStrictEqual((await db.collection('shelves').get('nia')).books, { 9780385474542: { shelf: 'reading' } });
+        assert.deepStrictEqual(await db.collection('isbn_aliases').all(), { 1: { isbn: '9780385474542' } });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Review moderation: banned-word filter, reports, moderation queue and hidden reviews
+ */
+
+// The filter reads its word list from the configuration, loaded on first require
+process.env.MODERATION_BANNED_WORDS = 'rubbish,total trash';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+const { findBannedWords } = require('../lib/moderation.js');
+
+describe('banned words', () => {
+    it('matches whole words and phrases, ignoring case and diacritics', () => {
+        const banned = ['crap', 'total trash'];
+        assert.deepStrictEqual(findBannedWords("What a CRÂP ending", banned), ['crap']);
+        assert.deepStrictEqual(findBannedWords("Scrapbook of total, trash!", banned), ['total trash']);
+        assert.deepStrictEqual(findBannedWords("Totally trashy", banned), []);
+    });
+});
+
+describe('moderation', () => {
+    let server;
+    let request;
+    let token;
+    let moderatorToken;
+
+    /** Public reviewers of a book */
+    const publicReviewers = async (isbn) => (await request('GET', '/review/' + isbn)).body.reviews.map((review) => review.username);
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        ({ accessToken: token } = await registerAndLogin(request, 'olga'));
+        await registerAndLogin(request, 'mod');
+        await db.users.update('mod', (user) => ({ ...user, role: 'moderator' }));
+        ({ accessToken: moderatorToken } = await registerAndLogin(request, 'mod'));
+    });
+    after(() => server.close());
+
+    it('holds reviews with banned words until a moderator approves them', async () => {
+        const saved = await request('PUT', '/customer/auth/review/1', { token, body: { rating: 1, review: "Utter RUBBISH" } });
+        assert.strictEqual(saved.status, 200);
+        assert.strictEqual(saved.body.review.status, 'pending');
+
+        // Hidden everywhere except from its author
+        assert.deepStrictEqual(await publicReviewers('1'), []);
+        assert.deepStrictEqual((await request('GET', '/isbn/1')).body.reviews, {});
+        assert.strictEqual((await request('GET', '/isbn/1')).body.rating.count, 0);
+        assert.strictEqual((await request('GET', '/search?q=utter')).body.total, 0);
+        const own = await request('GET', '/customer/auth/review/1', { token });
+        assert.strictEqual(own.body.review.status, 'pending');
+
+        const queue = await request('GET', '/moderation/reviews', { token: moderatorToken });
+        assert.strictEqual(queue.status, 200);
+        assert.deepStrictEqual(queue.body.reviews.map((item) => [item.isbn, item.username, item.flaggedWords]), [['9780385474542', 'olga', ['rubbish']]]);
+
+        const decided = await request('PUT', '/moderation/reviews/1/olga', { token: moderatorToken, body: { status: 'approved' } });
+        assert.strictEqual(decided.status, 200);
+        assert.deepStrictEqual(decided.body.moderation.by, 'mod');
+        assert.deepStrictEqual(await publicReviewers('1'), ['olga']);
+        assert.strictEqual((await request('GET', '/search?q=utter')).body.total, 1);
+        assert.strictEqual((await request('GET', '/review/1')).body.reviews[0].status, undefined);
+    });
+
+    it('approves clean reviews and re-screens edits', async () => {
+        const saved = await request('PUT', '/customer/auth/review/2', { token, body: { rating: 4, review: "Lovely" } });
+        assert.strictEqual(saved.body.review.status, 'approved');
+        const edited = await request('PUT', '/customer/auth/review/2', { token, body: { review: "Total trash, actually" } });
+        assert.strictEqual(edited.body.review.status, 'pending');
+        // Removing the word again releases a review only the filter held
+        const fixed = await request('PUT', '/customer/auth/review/2', { token, body: { review: "Lovely after all" } });
+        assert.strictEqual(fixed.body.review.status, 'approved');
+    });
+
+    it('hides reviews reported by enough users', async () => {
+        const reporters = [];
+        for (const name of ['pia', 'quinn', 'rosa']) {
+            reporters.push((await registerAndLogin(request, name)).accessToken);
+        }
+        const report = (reporter, reason = "Spoilers") =>
+            request('POST', '/customer/auth/review/2/olga/report', { token: reporter, body: { reason } });
+
+        assert.strictEqual((await request('POST', '/customer/auth/review/2/olga/report', { token, body: { reason: "Mine" } })).status, 400);
+        assert.strictEqual((await request('POST', '/customer/auth/review/2/nobody/report', { token: reporters[0], body: { reason: "?" } })).status, 404);
+        assert.strictEqual((await report(reporters[0], " ")).status, 400);
+
+        // A user's repeated reports count once
+        assert.strictEqual((await report(reporters[0])).status, 200);
+        assert.strictEqual((await report(reporters[0], "Insults")).status, 200);
+        assert.strictEqual((await report(reporters[1])).status, 200);
+        assert.deepStrictEqual(await publicReviewers('2'), ['olga']);
+
+        assert.strictEqual((await report(reporters[2])).status, 200);
+        assert.deepStrictEqual(await publicReviewers('2'), []);
+        assert.strictEqual((await report(reporters[0])).status, 404);
+
+        const queue = await request('GET', '/moderation/reviews?status=pending', { token: moderatorToken });
+        const item = queue.body.reviews.find((entry) => entry.isbn === '9780670033775');
+        assert.deepStrictEqual(item.reports.map((entry) => [entry.reporter, entry.reason]),
+            [['pia', 'Insults'], ['quinn', 'Spoilers'], ['rosa', 'Spoilers']]);
+    });
+
+    it('keeps rejected reviews hidden until their author edits them', async () => {
+        const decided = await request('PUT', '/moderation/reviews/2/olga', { token: moderatorToken, body: { status: 'rejected' } });
+        assert.strictEqual(decided.body.review.status, 'rejected');
+        assert.deepStrictEqual(decided.body.reports, []);
+        assert.deepStrictEqual(await publicReviewers('2'), []);
+        assert.strictEqual((await request('GET', '/customer/auth/review/2', { token })).body.review.status, 'rejected');
+        assert.strictEqual((await request('GET', '/moderation/reviews?status=rejected', { token: moderatorToken })).body.total, 1);
+
+        const edited = await request('PUT', '/customer/auth/review/2', { token, body: { review: "Rewritten politely" } });
+        assert.strictEqual(edited.body.review.status, 'pending');
+        assert.deepStrictEqual(await publicReviewers('2'), []);
+    });
+
+    it('is reserved to moderators and admins', async () => {
+        assert.strictEqual((await request('GET', '/moderation/reviews', { token })).status, 403);
+        assert.strictEqual((await createClient(server.baseUrl)('GET', '/moderation/reviews')).status, 401);
+        assert.strictEqual((await request('PUT', '/moderation/reviews/9/olga', { token: moderatorToken, body: { status: 'approved' } })).status, 404);
+        assert.strictEqual((await request('GET', '/moderation/reviews?status=hidden', { token: moderatorToken })).status, 400);
+    });
+});
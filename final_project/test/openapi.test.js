@@ -0,0 +1,273 @@
+/**
+ * OpenAPI Drift Test
+ *
+ * Calls every documented operation and checks each response against the
+ * OpenAPI document served at /openapi.json: the status code must be
+ * documented for the operation and the JSON body must match the documented
+ * schema. The test also fails if an operation is never exercised, so new
+ * routes need a scenario here.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { startServer } = require('./helpers.js');
+const { resolveRefs } = require('../lib/openapi.js');
+const { validateValue } = require('../lib/validation.js');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+let server;
+let baseUrl;
+let openApiDocument;
+
+/** Operations ("get /isbn/{isbn}") that received a checked response */
+const covered = new Set();
+
+/**
+ * Sends a request and checks the response against the OpenAPI document.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} template - Documented path, e.g. "/isbn/{isbn}"
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Values for the path template
+ * @param {string} [options.query] - Query string without "?"
+ * @param {Object} [options.body] - JSON body
+ * @param {string} [options.token] - Bearer token
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<{status: number, body: *, headers: Headers}>}
+ */
+const call = async (method, template, options = {}) => {
+    const path = template.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(options.params[name]));
+    const headers = { ...(options.headers || {}) };
+    if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (options.token) {
+        headers.Authorization = 'Bearer ' + options.token;
+    }
+    const response = await fetch(baseUrl + path + (options.query ? '?' + options.query : ''), {
+        method: method.toUpperCase(),
+        headers,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    const body = await response.json();
+
+    const operation = openApiDocument.paths[template] && openApiDocument.paths[template][method];
+    assert.ok(operation, method.toUpperCase() + ' ' + template + ' is not documented');
+    const documented = operation.responses[response.status];
+    assert.ok(documented, method.toUpperCase() + ' ' + template + ' returned undocumented status ' + response.status + ': ' + JSON.stringify(body));
+    const schema = resolveRefs(documented, openApiDocument).content['application/json'].schema;
+    const { errors } = validateValue(body, schema);
+    assert.deepStrictEqual(errors, [], method.toUpperCase() + ' ' + template + ' ' + response.status + ' does not match the spec: ' + JSON.stringify(body));
+    if (response.headers.get('content-type')) {
+        assert.match(response.headers.get('content-type'), /^application\/json/);
+    }
+
+    covered.add(method + ' ' + template);
+    return { status: response.status, body, headers: response.headers };
+}
+
+/** Registers a user and returns an access token */
+const login = async (username, password) => {
+    const { body } = await call('post', '/customer/login', { body: { username, password } });
+    return body.accessToken;
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('OpenAPI document', () => {
+    before(async () => {
+        server = await startServer();
+        baseUrl = server.baseUrl;
+        openApiDocument = server.app.locals.openApiDocument;
+    });
+
+    after(() => server.close());
+
+    it('is served at /openapi.json', async () => {
+        const response = await fetch(baseUrl + '/openapi.json');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), JSON.parse(JSON.stringify(openApiDocument)));
+    });
+
+    it('matches registration and login responses', async () => {
+        assert.strictEqual((await call('post', '/register', { body: { username: 'reader1', password: 'Passw0rd!' } })).status, 201);
+        assert.strictEqual((await call('post', '/register', { body: { username: 'reader1', password: 'Passw0rd!' } })).status, 409);
+        assert.strictEqual((await call('post', '/register', { body: { username: 'reader2', password: 'short' } })).status, 400);
+
+        assert.strictEqual((await call('post', '/customer/login', { body: { username: 'reader1' } })).status, 400);
+        assert.strictEqual((await call('post', '/customer/login', { body: { username: 'reader1', password: 'wrong' } })).status, 401);
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await call('post', '/customer/login', { body: { username: 'ghost', password: 'wrong' } });
+        }
+        const locked = await call('post', '/customer/login', { body: { username: 'ghost', password: 'wrong' } });
+        assert.strictEqual(locked.status, 429);
+        assert.ok(locked.headers.get('retry-after'));
+
+        const { body } = await call('post', '/customer/login', { body: { username: 'reader1', password: 'Passw0rd!' } });
+        assert.strictEqual((await call('post', '/customer/token/refresh', { body: { refreshToken: body.refreshToken } })).status, 200);
+        assert.strictEqual((await call('post', '/customer/token/refresh', { body: { refreshToken: 'nope' } })).status, 401);
+        assert.strictEqual((await call('post', '/customer/token/refresh', { body: {} })).status, 400);
+    });
+
+    it('matches catalog responses', async () => {
+        assert.strictEqual((await call('get', '/', { query: 'limit=2&sort=title' })).status, 200);
+        assert.strictEqual((await call('get', '/', { query: 'limit=2&fields=title' })).status, 200);
+        assert.strictEqual((await call('get', '/', { query: 'limit=0' })).status, 400);
+        assert.strictEqual((await call('get', '/isbn/{isbn}', { params: { isbn: '1' } })).status, 200);
+        assert.strictEqual((await call('get', '/isbn/{isbn}', { params: { isbn: '999' } })).status, 404);
+        assert.strictEqual((await call('get', '/author/{author}', { params: { author: 'Jane Austen' } })).status, 200);
+        assert.strictEqual((await call('get', '/author/{author}', { params: { author: 'Nobody' } })).status, 404);
+        assert.strictEqual((await call('get', '/title/{title}', { params: { title: 'Pride and Prejudice' } })).status, 200);
+        assert.strictEqual((await call('get', '/title/{title}', { params: { title: 'Nothing' } })).status, 404);
+        assert.strictEqual((await call('get', '/search', { query: 'q=pride' })).status, 200);
+        assert.strictEqual((await call('get', '/search', { query: 'q=' })).status, 400);
+        assert.strictEqual((await call('get', '/authors', { query: 'limit=2' })).status, 200);
+        assert.strictEqual((await call('get', '/authors', { query: 'limit=0' })).status, 400);
+        assert.strictEqual((await call('get', '/authors/{id}', { params: { id: 'anonymous' } })).status, 200);
+        assert.strictEqual((await call('get', '/authors/{id}', { params: { id: 'nobody' } })).status, 404);
+    });
+
+    it('matches review responses', async () => {
+        const token = await login('reader1', 'Passw0rd!');
+        const isbn = { isbn: '1' };
+        assert.strictEqual((await call('put', '/customer/auth/review/{isbn}', { params: isbn, body: { rating: 4 } })).status, 401);
+        assert.strictEqual((await call('put', '/customer/auth/review/{isbn}', { params: isbn, token, body: { review: 'No rating' } })).status, 400);
+        assert.strictEqual((await call('put', '/customer/auth/review/{isbn}', { params: isbn, token, body: { rating: 4, review: 'Good' } })).status, 200);
+        assert.strictEqual((await call('put', '/customer/auth/review/{isbn}', { params: { isbn: '999' }, token, body: { rating: 4 } })).status, 404);
+        assert.strictEqual((await call('get', '/review/{isbn}', { params: isbn })).status, 200);
+        assert.strictEqual((await call('get', '/review/{isbn}', { params: { isbn: '999' } })).status, 404);
+        assert.strictEqual((await call('get', '/customer/auth/review/{isbn}', { params: isbn, token })).status, 200);
+        assert.strictEqual((await call('get', '/customer/auth/review/{isbn}', { params: { isbn: '3' }, token })).status, 404);
+        assert.strictEqual((await call('delete', '/customer/auth/review/{isbn}', { params: isbn, token })).status, 200);
+        assert.strictEqual((await call('delete', '/customer/auth/review/{isbn}', { params: isbn, token })).status, 404);
+        assert.strictEqual((await call('post', '/customer/logout', { token, body: {} })).status, 200);
+    });
+
+    it('matches CSRF responses for session cookie clients', async () => {
+        const login = await call('post', '/customer/login', { body: { username: 'reader1', password: 'Passw0rd!' } });
+        const cookie = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+        const isbn = { isbn: '2' };
+        assert.strictEqual((await call('get', '/customer/auth/csrf-token', {})).status, 401);
+        const csrf = await call('get', '/customer/auth/csrf-token', { headers: cookie });
+        assert.strictEqual(csrf.body.csrfToken, login.body.csrfToken);
+        assert.strictEqual((await call('put', '/customer/auth/review/{isbn}', { params: isbn, headers: cookie, body: { rating: 5 } })).status, 403);
+        assert.strictEqual((await call('delete', '/customer/auth/review/{isbn}', { params: isbn, headers: cookie })).status, 403);
+        const headers = { ...cookie, 'X-CSRF-Token': login.body.csrfToken };
+        assert.strictEqual((await call('put', '/customer/auth/review/{isbn}', { params: isbn, headers, body: { rating: 5 } })).status, 200);
+    });
+
+    it('matches administrator responses', async () => {
+        const readerToken = await login('reader1', 'Passw0rd!');
+        await call('post', '/register', { body: { username: 'admin1', password: 'Passw0rd!' } });
+        await db.users.update('admin1', (user) => ({ ...user, role: 'admin' }));
+        const token = await login('admin1', 'Passw0rd!');
+        const book = { isbn: '978-1-4000-3341-6', author: 'Toni Morrison', title: 'Beloved' };
+
+        assert.strictEqual((await call('post', '/admin/books', { token: readerToken, body: book })).status, 403);
+        assert.strictEqual((await call('post', '/admin/books', { token, body: book })).status, 201);
+        assert.strictEqual((await call('post', '/admin/books', { token, body: book })).status, 409);
+        assert.strictEqual((await call('post', '/admin/books', { token, body: { ...book, isbn: '978-1-4000-3341-7' } })).status, 400);
+        assert.strictEqual((await call('patch', '/admin/books/{isbn}', { params: { isbn: '1400033411' }, token, body: { title: 'Jazz' } })).status, 200);
+        assert.strictEqual((await call('patch', '/admin/books/{isbn}', { params: { isbn: '999' }, token, body: { title: 'Jazz' } })).status, 404);
+        assert.strictEqual((await call('delete', '/admin/books/{isbn}', { params: { isbn: '9781400033416' }, token })).status, 200);
+        assert.strictEqual((await call('delete', '/admin/books/{isbn}', { params: { isbn: '9781400033416' }, token })).status, 404);
+        const author = { id: 'toni-morrison' };
+        assert.strictEqual((await call('patch', '/admin/authors/{id}', { params: author, token, body: { bio: 'American novelist.' } })).status, 200);
+        assert.strictEqual((await call('patch', '/admin/authors/{id}', { params: author, token, body: { aliases: ['Dante'] } })).status, 409);
+        assert.strictEqual((await call('patch', '/admin/authors/{id}', { params: author, token, body: {} })).status, 400);
+        assert.strictEqual((await call('patch', '/admin/authors/{id}', { params: { id: 'nobody' }, token, body: { bio: null } })).status, 404);
+        assert.strictEqual((await call('put', '/admin/users/{username}/role', { params: { username: 'reader1' }, token, body: { role: 'moderator' } })).status, 200);
+        assert.strictEqual((await call('put', '/admin/users/{username}/role', { params: { username: 'nobody' }, token, body: { role: 'admin' } })).status, 404);
+        assert.strictEqual((await call('post', '/admin/users/{username}/revoke-sessions', { params: { username: 'reader1' }, token })).status, 200);
+        assert.strictEqual((await call('post', '/admin/users/{username}/revoke-sessions', { params: { username: 'nobody' }, token })).status, 404);
+
+        const records = [{ isbn: '1400076218', author: 'Toni Morrison', title: 'Jazz' }, { isbn: '13', author: 'Toni Morrison' }];
+        const imported = await call('post', '/admin/import/{dataset}', { params: { dataset: 'books' }, query: 'dryRun=true', token, body: records });
+        assert.deepStrictEqual([imported.status, imported.body.created, imported.body.failed], [200, 1, 1]);
+        assert.strictEqual((await call('post', '/admin/import/{dataset}', { params: { dataset: 'books' }, token, body: { isbn: '12' } })).status, 400);
+        assert.strictEqual((await call('get', '/admin/export/{dataset}', { params: { dataset: 'reviews' }, token })).status, 200);
+    });
+
+    it('matches moderation responses', async () => {
+        await call('post', '/register', { body: { username: 'author1', password: 'Passw0rd!' } });
+        const authorToken = await login('author1', 'Passw0rd!');
+        const readerToken = await login('reader1', 'Passw0rd!');
+        const review = { isbn: '3', username: 'author1' };
+        await call('put', '/customer/auth/review/{isbn}', { params: review, token: authorToken, body: { rating: 2, review: 'Meh' } });
+
+        const vote = (token, params, body) => call(body ? 'put' : 'delete', '/customer/auth/review/{isbn}/{username}/vote', { params, token, body });
+        assert.strictEqual((await vote(readerToken, review, { vote: 'helpful' })).status, 200);
+        assert.strictEqual((await vote(readerToken, review, { vote: 'maybe' })).status, 400);
+        assert.strictEqual((await vote(authorToken, review, { vote: 'helpful' })).status, 400);
+        assert.strictEqual((await vote(readerToken, { isbn: '999', username: 'author1' }, { vote: 'helpful' })).status, 404);
+        assert.strictEqual((await call('get', '/review/{isbn}', { params: review, query: 'sort=helpful&limit=1' })).status, 200);
+        assert.strictEqual((await vote(readerToken, review)).status, 200);
+        assert.strictEqual((await vote(readerToken, review)).status, 404);
+        assert.strictEqual((await vote(authorToken, review)).status, 400);
+
+        const report = (token, params, body = { reason: 'Spoilers' }) => call('post', '/customer/auth/review/{isbn}/{username}/report', { params, token, body });
+        assert.strictEqual((await report(readerToken, review)).status, 200);
+        assert.strictEqual((await report(readerToken, review, {})).status, 400);
+        assert.strictEqual((await report(authorToken, review)).status, 400);
+        assert.strictEqual((await report(readerToken, { isbn: '3', username: 'nobody' })).status, 404);
+
+        // reader1 was made a moderator by the administrator scenario
+        assert.strictEqual((await call('get', '/moderation/reviews', { token: authorToken })).status, 403);
+        assert.strictEqual((await call('get', '/moderation/reviews', { token: readerToken, query: 'status=approved' })).status, 200);
+        assert.strictEqual((await call('get', '/moderation/reviews', { token: readerToken, query: 'status=nope' })).status, 400);
+        assert.strictEqual((await call('put', '/moderation/reviews/{isbn}/{username}', { params: review, token: readerToken, body: { status: 'rejected' } })).status, 200);
+        assert.strictEqual((await call('get', '/moderation/reviews', { token: readerToken, query: 'status=rejected' })).status, 200);
+        assert.strictEqual((await call('put', '/moderation/reviews/{isbn}/{username}', { params: { isbn: '999', username: 'author1' }, token: readerToken, body: { status: 'approved' } })).status, 404);
+    });
+
+    it('matches profile responses', async () => {
+        await call('post', '/register', { body: { username: 'profile1', password: 'Passw0rd!' } });
+        let token = await login('profile1', 'Passw0rd!');
+        assert.strictEqual((await call('get', '/customer/auth/me', {})).status, 401);
+        assert.strictEqual((await call('get', '/customer/auth/me', { token })).status, 200);
+        assert.strictEqual((await call('patch', '/customer/auth/me', { token, body: { displayName: 'Profile One', bio: null } })).status, 200);
+        assert.strictEqual((await call('patch', '/customer/auth/me', { token, body: { currentPassword: 'wrong', newPassword: 'N3wPassw0rd!' } })).status, 400);
+        assert.strictEqual((await call('patch', '/customer/auth/me', { token, body: { currentPassword: 'Passw0rd!', newPassword: 'N3wPassw0rd!' } })).status, 200);
+        token = await login('profile1', 'N3wPassw0rd!');
+
+        await call('put', '/customer/auth/review/{isbn}', { params: { isbn: '4' }, token, body: { rating: 3 } });
+        assert.strictEqual((await call('get', '/customer/auth/me/reviews', { token })).status, 200);
+        assert.strictEqual((await call('delete', '/customer/auth/me', { token, body: { password: 'Passw0rd!', reviews: 'delete' } })).status, 400);
+        assert.strictEqual((await call('delete', '/customer/auth/me', { token, body: { password: 'N3wPassw0rd!', reviews: 'anonymize' } })).status, 200);
+        assert.strictEqual((await call('get', '/customer/auth/me', { token })).status, 401);
+    });
+
+    it('matches shelf responses', async () => {
+        await call('post', '/register', { body: { username: 'shelver1', password: 'Passw0rd!' } });
+        const token = await login('shelver1', 'Passw0rd!');
+        const isbn = { isbn: '1' };
+        assert.strictEqual((await call('get', '/customer/auth/shelves', { token })).status, 200);
+        assert.strictEqual((await call('post', '/customer/auth/shelves', { token, body: { name: 'later' } })).status, 201);
+        assert.strictEqual((await call('post', '/customer/auth/shelves', { token, body: { name: 'later' } })).status, 409);
+        assert.strictEqual((await call('put', '/customer/auth/shelves/books/{isbn}', { params: isbn, token, body: { shelf: 'reading' } })).status, 200);
+        assert.strictEqual((await call('put', '/customer/auth/shelves/books/{isbn}', { params: isbn, token, body: { shelf: 'nope' } })).status, 400);
+        assert.strictEqual((await call('put', '/customer/auth/shelves/books/{isbn}', { params: { isbn: '999' }, token, body: { shelf: 'reading' } })).status, 404);
+        assert.strictEqual((await call('get', '/shelves/{username}', { params: { username: 'shelver1' } })).status, 404);
+        assert.strictEqual((await call('patch', '/customer/auth/shelves', { token, body: { public: true } })).status, 200);
+        assert.strictEqual((await call('get', '/shelves/{username}', { params: { username: 'shelver1' } })).status, 200);
+        assert.strictEqual((await call('delete', '/customer/auth/shelves/books/{isbn}', { params: isbn, token })).status, 200);
+        assert.strictEqual((await call('delete', '/customer/auth/shelves/books/{isbn}', { params: isbn, token })).status, 404);
+        assert.strictEqual((await call('delete', '/customer/auth/shelves/{shelf}', { params: { shelf: 'later' }, token })).status, 200);
+        assert.strictEqual((await call('delete', '/customer/auth/shelves/{shelf}', { params: { shelf: 'reading' }, token })).status, 400);
+        assert.strictEqual((await call('delete', '/customer/auth/shelves/{shelf}', { params: { shelf: 'later' }, token })).status, 404);
+    });
+
+    it('has a scenario for every documented operation', () => {
+        const documented = [];
+        Object.entries(openApiDocument.paths).forEach(([path, operations]) => {
+            Object.keys(operations).forEach((method) => documented.push(method + ' ' + path));
+        });
+        assert.deepStrictEqual(documented.filter((operation) => !covered.has(operation)), []);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Profile: viewing and editing the account, password change, account deletion and review history
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('profile', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+
+    it('shows and updates the profile', async () => {
+        const request = createClient(server.baseUrl);
+        const { accessToken: token } = await registerAndLogin(request, 'nina');
+
+        const profile = await request('GET', '/customer/auth/me', { token });
+        assert.strictEqual(profile.status, 200);
+        assert.strictEqual(profile.body.username, 'nina');
+        assert.strictEqual(profile.body.role, 'reader');
+        assert.strictEqual(profile.body.displayName, null);
+        assert.ok(profile.body.createdAt);
+
+        const updated = await request('PATCH', '/customer/auth/me', { token, body: { displayName: "  Nina S. ", bio: "Poetry" } });
+        assert.strictEqual(updated.status, 200);
+        assert.deepStrictEqual([updated.body.displayName, updated.body.bio], ["Nina S.", "Poetry"]);
+        const cleared = await request('PATCH', '/customer/auth/me', { token, body: { bio: null } });
+        assert.strictEqual(cleared.body.bio, null);
+
+        assert.strictEqual((await request('PATCH', '/customer/auth/me', { token, body: {} })).status, 400);
+        assert.strictEqual((await request('PATCH', '/customer/auth/me', { token, body: { username: 'other' } })).status, 400);
+        assert.strictEqual((await createClient(server.baseUrl)('GET', '/customer/auth/me')).status, 401);
+    });
+
+    it('changes the password only with the current one and signs out everywhere', async () => {
+        const request = createClient(server.baseUrl);
+        const { accessToken: token } = await registerAndLogin(request, 'omar');
+        const other = createClient(server.baseUrl);
+        await other('POST', '/customer/login', { body: { username: 'omar', password: 'Passw0rd!' } });
+
+        const alone = await request('PATCH', '/customer/auth/me', { token, body: { newPassword: 'N3wPassw0rd!' } });
+        assert.deepStrictEqual(alone.body.error.details, [{ field: 'currentPassword', message: "Field is required" }]);
+        const wrong = await request('PATCH', '/customer/auth/me', { token, body: { currentPassword: 'nope', newPassword: 'N3wPassw0rd!' } });
+        assert.strictEqual(wrong.status, 400);
+        assert.strictEqual(wrong.body.error.details[0].field, 'currentPassword');
+        const weak = await request('PATCH', '/customer/auth/me', { token, body: { currentPassword: 'Passw0rd!', newPassword: 'short' } });
+        assert.strictEqual(weak.body.error.details[0].field, 'newPassword');
+
+        const changed = await request('PATCH', '/customer/auth/me', { token, body: { currentPassword: 'Passw0rd!', newPassword: 'N3wPassw0rd!' } });
+        assert.strictEqual(changed.status, 200);
+        assert.strictEqual((await request('GET', '/customer/auth/me', { token })).status, 401);
+        assert.strictEqual((await other('GET', '/customer/auth/me')).status, 401);
+        assert.strictEqual((await request('POST', '/customer/login', { body: { username: 'omar', password: 'Passw0rd!' } })).status, 401);
+        assert.strictEqual((await request('POST', '/customer/login', { body: { username: 'omar', password: 'N3wPassw0rd!' } })).status, 200);
+    });
+
+    it('lists the reviews of the user, hidden ones included', async () => {
+        const request = createClient(server.baseUrl);
+        const { accessToken: token } = await registerAndLogin(request, 'pete');
+        await request('PUT', '/customer/auth/review/1', { token, body: { rating: 4, review: "Good" } });
+        await request('PUT', '/customer/auth/review/2', { token, body: { rating: 2 } });
+        await db.books.update('9780670033775', (book) => {
+            book.reviews.pete.status = 'rejected';
+            return book;
+        });
+
+        const history = await request('GET', '/customer/auth/me/reviews', { token });
+        assert.strictEqual(history.status, 200);
+        assert.strictEqual(history.body.total, 2);
+        assert.deepStrictEqual(history.body.reviews.map((entry) => [entry.isbn, entry.review.status]), [['9780670033775', 'rejected'], ['9780385474542', 'approved']]);
+        assert.strictEqual(history.body.reviews[1].title, "Things Fall Apart");
+        assert.strictEqual((await request('GET', '/customer/auth/me', { token })).body.reviewCount, 2);
+    });
+
+    it('deletes the account with its reviews, or keeps them anonymized', async () => {
+        const request = createClient(server.baseUrl);
+        const { accessToken: quinn } = await registerAndLogin(request, 'quinn');
+        const { accessToken: rita } = await registerAndLogin(request, 'rita');
+        await request('PUT', '/customer/auth/review/3', { token: quinn, body: { rating: 5, review: "Loved it" } });
+        await request('PUT', '/customer/auth/review/3', { token: rita, body: { rating: 1, review: "Not for me" } });
+        await request('PUT', '/customer/auth/review/3/rita/vote', { token: quinn, body: { vote: 'helpful' } });
+
+        const wrong = await request('DELETE', '/customer/auth/me', { token: quinn, body: { password: 'nope', reviews: 'delete' } });
+        assert.strictEqual(wrong.status, 400);
+        assert.strictEqual((await request('DELETE', '/customer/auth/me', { token: quinn, body: { password: 'Passw0rd!' } })).status, 400);
+
+        const anonymized = await request('DELETE', '/customer/auth/me', { token: quinn, body: { password: 'Passw0rd!', reviews: 'anonymize' } });
+        assert.strictEqual(anonymized.status, 200);
+        assert.strictEqual(await db.users.get('quinn'), undefined);
+        assert.strictEqual((await request('GET', '/customer/auth/me', { token: quinn })).status, 401);
+
+        const reviews = (await request('GET', '/review/3')).body.reviews;
+        const kept = reviews.find((review) => review.text === "Loved it");
+        assert.match(kept.username, /^~deleted-/);
+        assert.strictEqual(reviews.find((review) => review.username === 'rita').helpful, 0);
+
+        assert.strictEqual((await request('DELETE', '/customer/auth/me', { token: rita, body: { password: 'Passw0rd!', reviews: 'delete' } })).status, 200);
+        assert.deepStrictEqual((await request('GET', '/review/3')).body.reviews.map((review) => review.text), ["Loved it"]);
+    });
+
+    it('counts wrong passwords toward the login lockout', async () => {
+        const request = createClient(server.baseUrl);
+        const { accessToken: token } = await registerAndLogin(request, 'lou');
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const wrong = await request('PATCH', '/customer/auth/me', { token, body: { currentPassword: 'nope', newPassword: 'N3wPassw0rd!' } });
+            assert.strictEqual(wrong.status, 400);
+        }
+        const locked = await request('DELETE', '/customer/auth/me', { token, body: { password: 'Passw0rd!', reviews: 'delete' } });
+        assert.strictEqual(locked.status, 429);
+        assert.ok(locked.headers.get('retry-after'));
+        assert.strictEqual((await request('POST', '/customer/login', { body: { username: 'lou', password: 'Passw0rd!' } })).status, 429);
+    });
+
+    it('keeps the tokens of a deleted account dead when its name is registered again', async () => {
+        const { accessToken: old } = await registerAndLogin(createClient(server.baseUrl), 'zed');
+        assert.strictEqual((await createClient(server.baseUrl)('DELETE', '/customer/auth/me', { token: old, body: { password: 'Passw0rd!', reviews: 'delete' } })).status, 200);
+
+        const { accessToken: fresh } = await registerAndLogin(createClient(server.baseUrl), 'zed', 'An0therPass!');
+        const request = createClient(server.baseUrl);
+        assert.strictEqual((await request('GET', '/customer/auth/me', { token: old })).status, 401);
+        assert.strictEqual((await request('GET', '/customer/auth/me', { token: fresh })).status, 200);
+    });
+});
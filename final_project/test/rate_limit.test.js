@@ -0,0 +1,129 @@
+/**
+ * Rate limiting: sliding windows, counter stores and the route group limits
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { startServer, createClient } = require('./helpers.js');
+const { createRateLimiter, createMemoryCounterStore, createRepositoryCounterStore } = require('../lib/rate_limit.js');
+
+/**
+ * Runs a limiter on a fake request.
+ *
+ * @returns {Promise<{error: Error|undefined, headers: Object}>}
+ */
+const hit = (limiter, req = { ip: '10.0.0.1' }) => new Promise((resolve) => {
+    const headers = {};
+    const res = {
+        get: (name) => headers[name],
+        set: (name, value) => Object.assign(headers, typeof name === 'object' ? name : { [name]: value })
+    };
+    limiter(req, res, (error) => resolve({ error, headers }));
+});
+
+describe('rate limiter', () => {
+    before(() => db.open({ driver: 'json', path: null }));
+    after(() => db.close());
+
+    /** Checks the sliding window against a counter store */
+    const checkSlidingWindow = async (store) => {
+        let now = 1000000;
+        const limiter = createRateLimiter({ name: 'test', limit: 2, windowMs: 1000, store, key: (req) => 'ip:' + req.ip, now: () => now });
+
+        assert.strictEqual((await hit(limiter)).error, undefined);
+        now += 100;
+        const second = await hit(limiter);
+        assert.strictEqual(second.error, undefined);
+        assert.strictEqual(second.headers['RateLimit-Limit'], '2');
+        assert.strictEqual(second.headers['RateLimit-Remaining'], '0');
+        assert.strictEqual(second.headers['RateLimit-Policy'], '2;w=1');
+
+        now += 100;
+        const third = await hit(limiter);
+        assert.strictEqual(third.error.status, 429);
+        assert.strictEqual(third.error.code, 'TOO_MANY_REQUESTS');
+        assert.strictEqual(third.headers['Retry-After'], '2');
+
+        // Other clients have their own counters
+        assert.strictEqual((await hit(limiter, { ip: '10.0.0.2' })).error, undefined);
+
+        // Early in the next window the previous one still weighs in...
+        now += 1400;
+        assert.strictEqual((await hit(limiter)).error.status, 429);
+        // ...and fades out as the window slides on
+        now += 1000;
+        assert.strictEqual((await hit(limiter)).error, undefined);
+    };
+
+    it('limits each key over a sliding window in memory', () => checkSlidingWindow(createMemoryCounterStore()));
+
+    it('keeps counters in the data store with the repository store', async () => {
+        await checkSlidingWindow(createRepositoryCounterStore());
+        // The second client's counter has been idle for two windows and is gone
+        const counters = await db.collection('rate_limits').all();
+        assert.deepStrictEqual(Object.keys(counters), ['test:ip:10.0.0.1']);
+    });
+
+    it('does not limit requests without a key', async () => {
+        const limiter = createRateLimiter({ name: 'user', limit: 1, windowMs: 1000, store: createMemoryCounterStore(), key: (req) => (req.user ? 'user:' + req.user.username : null) });
+        assert.strictEqual((await hit(limiter, {})).error, undefined);
+        assert.strictEqual((await hit(limiter, {})).error, undefined);
+        assert.strictEqual((await hit(limiter, { ip: '10.0.0.1', user: { username: 'kate' } })).error, undefined);
+        assert.strictEqual((await hit(limiter, { ip: '10.0.0.2', user: { username: 'kate' } })).error.status, 429);
+    });
+});
+
+describe('route group limits', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ rateLimit: { enabled: true, public: 50, customer: 20, credentials: 3 } });
+    });
+    after(() => server.close());
+
+    it('reports the public limit on catalog routes', async () => {
+        const response = await createClient(server.baseUrl)('GET', '/isbn/1');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('ratelimit-limit'), '50');
+        assert.strictEqual(response.headers.get('ratelimit-remaining'), '49');
+    });
+
+    it('leaves unknown routes and the API documentation out of the public limit', async () => {
+        const request = createClient(server.baseUrl);
+        for (const path of ['/nothing-here', '/openapi.json']) {
+            const response = await request('GET', path);
+            assert.strictEqual(response.headers.get('ratelimit-limit'), null, path);
+        }
+        assert.strictEqual((await request('DELETE', '/isbn/1')).headers.get('ratelimit-limit'), null);
+        assert.strictEqual((await request('GET', '/isbn/1')).headers.get('ratelimit-remaining'), '48');
+    });
+
+    it('throttles registration and login attempts from one client', async () => {
+        const request = createClient(server.baseUrl);
+        assert.strictEqual((await request('POST', '/register', { body: { username: 'leo', password: 'Passw0rd!' } })).status, 201);
+        assert.strictEqual((await request('POST', '/customer/login', { body: { username: 'leo', password: 'wrong' } })).status, 401);
+        const third = await request('POST', '/customer/login', { body: { username: 'leo', password: 'Passw0rd!' } });
+        assert.strictEqual(third.status, 200);
+        assert.strictEqual(third.headers.get('ratelimit-limit'), '3');
+
+        const throttled = await request('POST', '/register', { body: { username: 'mia', password: 'Passw0rd!' } });
+        assert.strictEqual(throttled.status, 429);
+        assert.strictEqual(throttled.body.error.code, 'TOO_MANY_REQUESTS');
+        assert.ok(Number(throttled.headers.get('retry-after')) >= 1);
+        assert.strictEqual(throttled.headers.get('ratelimit-remaining'), '0');
+        assert.strictEqual(await db.users.get('mia'), undefined);
+
+        // Other public routes keep their own, higher limit
+        assert.strictEqual((await request('GET', '/isbn/1')).status, 200);
+    });
+
+    it('throttles customer routes', async () => {
+        const request = createClient(server.baseUrl);
+        let status = 200;
+        for (let i = 0; i < 20 && status !== 429; i++) {
+            status = (await request('GET', '/customer/auth/csrf-token')).status;
+        }
+        assert.strictEqual(status, 429);
+    });
+});
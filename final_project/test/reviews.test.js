@@ -0,0 +1,147 @@
+/**
+ * Review add, update and delete; helpful votes and review ordering
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('reviews', () => {
+    let server;
+    let request;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        ({ accessToken: token } = await registerAndLogin(request, 'ivan'));
+    });
+    after(() => server.close());
+
+    it('requires a rating for a new review', async () => {
+        const response = await request('PUT', '/customer/auth/review/1', { token, body: { review: "No stars" } });
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(response.body.error.details, [{ field: 'rating', message: "Field is required" }]);
+    });
+
+    it('adds a review', async () => {
+        const response = await request('PUT', '/customer/auth/review/1', { token, body: { rating: 4, review: "Good" } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.review.rating, 4);
+        assert.strictEqual(response.body.review.text, "Good");
+        assert.strictEqual(response.body.review.editCount, 0);
+        assert.strictEqual(response.body.review.createdAt, response.body.review.updatedAt);
+    });
+
+    it('updates a review', async () => {
+        const response = await request('PUT', '/customer/auth/review/1', { token, body: { review: "Very good" } });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.review.rating, 4);
+        assert.strictEqual(response.body.review.text, "Very good");
+        assert.strictEqual(response.body.review.editCount, 1);
+    });
+
+    it('lists reviews with the rating summary', async () => {
+        const response = await request('GET', '/review/1');
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.reviews.map((review) => [review.username, review.text]), [['ivan', "Very good"]]);
+        assert.strictEqual(response.body.rating.average, 4);
+        assert.strictEqual(response.body.rating.distribution['4'], 1);
+    });
+
+    it('rejects invalid input', async () => {
+        const badRating = await request('PUT', '/customer/auth/review/1', { token, body: { rating: 6 } });
+        assert.strictEqual(badRating.status, 400);
+        const empty = await request('PUT', '/customer/auth/review/1', { token, body: {} });
+        assert.strictEqual(empty.status, 400);
+        const tooLong = await request('PUT', '/customer/auth/review/1', { token, body: { review: 'x'.repeat(5001) } });
+        assert.strictEqual(tooLong.status, 400);
+    });
+
+    it('returns 404 for an unknown book', async () => {
+        const put = await request('PUT', '/customer/auth/review/999', { token, body: { rating: 3 } });
+        assert.strictEqual(put.status, 404);
+        const get = await request('GET', '/review/999');
+        assert.strictEqual(get.status, 404);
+    });
+
+    it('deletes a review', async () => {
+        const response = await request('DELETE', '/customer/auth/review/1', { token });
+        assert.strictEqual(response.status, 200);
+        const again = await request('DELETE', '/customer/auth/review/1', { token });
+        assert.strictEqual(again.status, 404);
+        const remaining = await request('GET', '/review/1');
+        assert.deepStrictEqual(remaining.body.reviews, []);
+    });
+});
+
+describe('review votes', () => {
+    let server;
+    const tokens = {};
+
+    /** Usernames in the order GET /review/5 lists them */
+    const order = async (query) => {
+        const response = await createClient(server.baseUrl)('GET', '/review/5' + query);
+        assert.strictEqual(response.status, 200);
+        return response.body.reviews.map((review) => review.username);
+    };
+
+    /** Votes as a user */
+    const vote = (voter, author, body) => createClient(server.baseUrl)(body ? 'PUT' : 'DELETE',
+        '/customer/auth/review/5/' + author + '/vote', { token: tokens[voter], body: body || undefined });
+
+    before(async () => {
+        server = await startServer();
+        const request = createClient(server.baseUrl);
+        const reviews = { amy: [3, '2024-01-01'], ben: [5, '2024-02-01'], cal: [1, '2024-03-01'] };
+        for (const [username, [rating]] of Object.entries(reviews)) {
+            ({ accessToken: tokens[username] } = await registerAndLogin(request, username));
+            await request('PUT', '/customer/auth/review/5', { token: tokens[username], body: { rating } });
+        }
+        await db.books.update('9780060969592', (book) => {
+            Object.entries(reviews).forEach(([username, [, date]]) => {
+                book.reviews[username].createdAt = date + 'T00:00:00.000Z';
+            });
+            return book;
+        });
+    });
+    after(() => server.close());
+
+    it('counts one vote per user and never on their own review', async () => {
+        assert.strictEqual((await vote('amy', 'amy', { vote: 'helpful' })).status, 400);
+        assert.strictEqual((await vote('amy', 'ben', { vote: 'great' })).status, 400);
+        assert.strictEqual((await vote('amy', 'dan', { vote: 'helpful' })).status, 404);
+        assert.strictEqual((await vote('amy', 'ben', null)).status, 404);
+
+        assert.deepStrictEqual((await vote('amy', 'ben', { vote: 'unhelpful' })).body,
+            { isbn: '9780060969592', username: 'ben', vote: 'unhelpful', helpful: 0, unhelpful: 1 });
+        const changed = await vote('amy', 'ben', { vote: 'helpful' });
+        assert.deepStrictEqual([changed.body.helpful, changed.body.unhelpful], [1, 0]);
+        assert.strictEqual((await vote('cal', 'amy', { vote: 'helpful' })).body.helpful, 1);
+        assert.strictEqual((await vote('ben', 'amy', { vote: 'helpful' })).body.helpful, 2);
+        assert.strictEqual((await vote('amy', 'cal', { vote: 'unhelpful' })).body.unhelpful, 1);
+
+        const listed = await createClient(server.baseUrl)('GET', '/review/5');
+        const amy = listed.body.reviews.find((review) => review.username === 'amy');
+        assert.deepStrictEqual([amy.helpful, amy.unhelpful, amy.votes], [2, 0, undefined]);
+    });
+
+    it('sorts and pages the public listing', async () => {
+        assert.deepStrictEqual(await order(''), ['amy', 'ben', 'cal']);
+        assert.deepStrictEqual(await order('?sort=newest'), ['cal', 'ben', 'amy']);
+        assert.deepStrictEqual(await order('?sort=rating'), ['ben', 'amy', 'cal']);
+        assert.deepStrictEqual(await order('?sort=rating&limit=1&offset=1'), ['amy']);
+
+        const page = await createClient(server.baseUrl)('GET', '/review/5?limit=2');
+        assert.deepStrictEqual([page.body.total, page.body.limit, page.body.offset, page.body.sort], [3, 2, 0, 'helpful']);
+        assert.strictEqual(page.body.rating.count, 3);
+        assert.strictEqual((await createClient(server.baseUrl)('GET', '/review/5?sort=oldest')).status, 400);
+    });
+
+    it('withdraws votes', async () => {
+        const withdrawn = await vote('amy', 'cal', null);
+        assert.deepStrictEqual(withdrawn.body, { isbn: '9780060969592', username: 'cal', vote: null, helpful: 0, unhelpful: 0 });
+        assert.deepStrictEqual(await order(''), ['amy', 'ben', 'cal']);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Sessions: persistent store, cookie flags, ID regeneration and expiry
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('../store');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+const { RepositorySessionStore } = require('../lib/session_store.js');
+
+/** Calls a callback-style session store method */
+const callStore = (store, method, ...args) => new Promise((resolve, reject) => {
+    store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+describe('sessions', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.close());
+
+    it('creates no session for anonymous requests', async () => {
+        const response = await createClient(server.baseUrl)('POST', '/customer/login', { body: { username: 'nobody', password: 'nope' } });
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.headers.get('set-cookie'), null);
+    });
+
+    it('keeps sessions in the data store behind a hardened cookie', async () => {
+        const request = createClient(server.baseUrl);
+        await request('POST', '/register', { body: { username: 'hank', password: 'Passw0rd!' } });
+        const response = await request('POST', '/customer/login', { body: { username: 'hank', password: 'Passw0rd!' } });
+        const cookie = response.headers.get('set-cookie');
+        assert.match(cookie, /HttpOnly/);
+        assert.match(cookie, /SameSite=Lax/);
+        assert.match(cookie, /Expires=/);
+
+        const sessions = Object.values(await db.collection('sessions').all());
+        const stored = sessions.find((record) => record.session.authorization && record.session.authorization.username === 'hank');
+        assert.ok(stored);
+        assert.strictEqual(stored.session.csrfToken, response.body.csrfToken);
+        assert.ok(stored.expiresAt > Date.now());
+    });
+
+    it('issues a new session ID at every login', async () => {
+        const request = createClient(server.baseUrl);
+        await request('POST', '/register', { body: { username: 'ivy', password: 'Passw0rd!' } });
+        const credentials = { body: { username: 'ivy', password: 'Passw0rd!' } };
+        const first = await request('POST', '/customer/login', credentials);
+        const oldCookie = first.headers.get('set-cookie').split(';')[0];
+
+        const second = await request('POST', '/customer/login', credentials);
+        assert.notStrictEqual(second.headers.get('set-cookie').split(';')[0], oldCookie);
+        // The previous session ID (e.g. one planted by an attacker) is dead
+        const attacker = createClient(server.baseUrl);
+        assert.strictEqual((await attacker('GET', '/customer/auth/csrf-token', { headers: { Cookie: oldCookie } })).status, 401);
+        assert.strictEqual((await request('GET', '/customer/auth/csrf-token')).body.csrfToken, second.body.csrfToken);
+    });
+
+    it('refreshes session tokens only with the CSRF header', async () => {
+        const request = createClient(server.baseUrl);
+        const { csrfToken } = await registerAndLogin(request, 'jill');
+        const forged = await request('POST', '/customer/token/refresh', { body: {} });
+        assert.strictEqual(forged.status, 403);
+        assert.strictEqual(forged.body.error.code, 'CSRF_TOKEN_INVALID');
+        assert.strictEqual((await request('POST', '/customer/token/refresh', { body: {}, headers: { 'X-CSRF-Token': csrfToken } })).status, 200);
+    });
+
+    it('deletes the session at logout', async () => {
+        const request = createClient(server.baseUrl);
+        const { csrfToken } = await registerAndLogin(request, 'jack');
+        const count = async () => Object.values(await db.collection('sessions').all())
+            .filter((record) => record.session.authorization && record.session.authorization.username === 'jack').length;
+        assert.strictEqual(await count(), 1);
+        assert.strictEqual((await request('POST', '/customer/logout', { body: { refreshToken: 'forged' } })).status, 403);
+        assert.strictEqual(await count(), 1);
+        assert.strictEqual((await request('POST', '/customer/logout', { body: {}, headers: { 'X-CSRF-Token': csrfToken } })).status, 200);
+        assert.strictEqual(await count(), 0);
+        assert.strictEqual((await request('GET', '/customer/auth/csrf-token')).status, 401);
+    });
+
+    it('expires and prunes old sessions', async () => {
+        let now = Date.now();
+        const store = new RepositorySessionStore({ ttlSeconds: 60, now: () => now });
+        await callStore(store, 'set', 'old', { cookie: {}, user: 'a' });
+        now += 30 * 1000;
+        await callStore(store, 'set', 'new', { cookie: {}, user: 'b' });
+        assert.deepStrictEqual(await callStore(store, 'get', 'old'), { cookie: {}, user: 'a' });
+
+        now += 45 * 1000;
+        assert.strictEqual(await callStore(store, 'get', 'old'), null);
+        await callStore(store, 'set', 'stale', { cookie: { expires: new Date(now - 1000).toISOString() } });
+        assert.strictEqual(await store.prune(), 1);
+        assert.ok(await db.collection('sessions').get('new'));
+        assert.strictEqual(await db.collection('sessions').get('stale'), undefined);
+    });
+});
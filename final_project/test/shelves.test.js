@@ -0,0 +1,95 @@
+/**
+ * Shelves: built-in and custom shelves, moving books, shelf dates and public views
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, registerAndLogin } = require('./helpers.js');
+
+describe('shelves', () => {
+    let server;
+    let request;
+    let token;
+
+    /** Shelf names with their ISBNs */
+    const summary = (shelves) => shelves.map((shelf) => [shelf.name, shelf.books.map((book) => book.isbn)]);
+
+    before(async () => {
+        server = await startServer();
+        request = createClient(server.baseUrl);
+        ({ accessToken: token } = await registerAndLogin(request, 'sara'));
+    });
+    after(() => server.close());
+
+    it('starts with empty built-in shelves', async () => {
+        const response = await request('GET', '/customer/auth/shelves', { token });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.public, false);
+        assert.deepStrictEqual(summary(response.body.shelves), [['want-to-read', []], ['reading', []], ['finished', []]]);
+    });
+
+    it('adds and moves books, recording the shelf dates', async () => {
+        const added = await request('PUT', '/customer/auth/shelves/books/1', { token, body: { shelf: 'want-to-read' } });
+        assert.strictEqual(added.status, 200);
+        assert.strictEqual(added.body.shelf, 'want-to-read');
+        assert.strictEqual(added.body.startedAt, null);
+
+        const reading = await request('PUT', '/customer/auth/shelves/books/1', { token, body: { shelf: 'reading' } });
+        assert.strictEqual(reading.body.addedAt, added.body.addedAt);
+        assert.ok(reading.body.startedAt);
+        const finished = await request('PUT', '/customer/auth/shelves/books/1', { token, body: { shelf: 'finished' } });
+        assert.strictEqual(finished.body.startedAt, reading.body.startedAt);
+        assert.ok(finished.body.finishedAt);
+
+        await request('PUT', '/customer/auth/shelves/books/2', { token, body: { shelf: 'reading' } });
+        const shelves = (await request('GET', '/customer/auth/shelves', { token })).body.shelves;
+        assert.deepStrictEqual(summary(shelves), [['want-to-read', []], ['reading', ['9780670033775']], ['finished', ['9780385474542']]]);
+        assert.strictEqual(shelves[2].books[0].title, "Things Fall Apart");
+    });
+
+    it('only shelves catalog books on existing shelves', async () => {
+        assert.strictEqual((await request('PUT', '/customer/auth/shelves/books/999', { token, body: { shelf: 'reading' } })).status, 404);
+        const unknown = await request('PUT', '/customer/auth/shelves/books/3', { token, body: { shelf: 'someday' } });
+        assert.strictEqual(unknown.status, 400);
+        assert.strictEqual(unknown.body.error.details[0].field, 'shelf');
+        assert.strictEqual((await request('PUT', '/customer/auth/shelves/books/3', { token, body: { shelf: 'Not A Slug' } })).status, 400);
+    });
+
+    it('manages custom shelves', async () => {
+        const created = await request('POST', '/customer/auth/shelves', { token, body: { name: 'favourites' } });
+        assert.strictEqual(created.status, 201);
+        assert.deepStrictEqual(created.body.shelves.map((shelf) => [shelf.name, shelf.custom]),
+            [['want-to-read', false], ['reading', false], ['finished', false], ['favourites', true]]);
+        assert.strictEqual((await request('POST', '/customer/auth/shelves', { token, body: { name: 'favourites' } })).status, 409);
+        assert.strictEqual((await request('POST', '/customer/auth/shelves', { token, body: { name: 'reading' } })).status, 409);
+
+        await request('PUT', '/customer/auth/shelves/books/3', { token, body: { shelf: 'favourites' } });
+        assert.strictEqual((await request('DELETE', '/customer/auth/shelves/reading', { token })).status, 400);
+        assert.strictEqual((await request('DELETE', '/customer/auth/shelves/unknown', { token })).status, 404);
+        const deleted = await request('DELETE', '/customer/auth/shelves/favourites', { token });
+        assert.strictEqual(deleted.status, 200);
+        assert.deepStrictEqual(deleted.body, { message: "Shelf favourites deleted with 1 books" });
+        const shelves = (await request('GET', '/customer/auth/shelves', { token })).body.shelves;
+        assert.deepStrictEqual(summary(shelves), [['want-to-read', []], ['reading', ['9780670033775']], ['finished', ['9780385474542']]]);
+    });
+
+    it('removes books', async () => {
+        assert.strictEqual((await request('DELETE', '/customer/auth/shelves/books/2', { token })).status, 200);
+        assert.strictEqual((await request('DELETE', '/customer/auth/shelves/books/2', { token })).status, 404);
+    });
+
+    it('shows shelves publicly only when their owner opts in', async () => {
+        const visitor = createClient(server.baseUrl);
+        assert.strictEqual((await visitor('GET', '/shelves/sara')).status, 404);
+        assert.strictEqual((await visitor('GET', '/shelves/nobody')).status, 404);
+
+        const changed = await request('PATCH', '/customer/auth/shelves', { token, body: { public: true } });
+        assert.strictEqual(changed.body.public, true);
+        const shown = await visitor('GET', '/shelves/sara');
+        assert.strictEqual(shown.status, 200);
+        assert.deepStrictEqual(summary(shown.body.shelves), [['want-to-read', []], ['reading', []], ['finished', ['9780385474542']]]);
+
+        await request('PATCH', '/customer/auth/shelves', { token, body: { public: false } });
+        assert.strictEqual((await visitor('GET', '/shelves/sara')).status, 404);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Storage drivers: persistence across reopening, rollback and recovery from failed disk writes
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../store');
+
+/**
+ * Makes the next atomic file write fail at its rename step.
+ *
+ * @returns {Error} - The error the write will reject with
+ */
+const failNextWrite = () => {
+    const rename = fs.promises.rename;
+    const error = Object.assign(new Error("Disk full"), { code: 'ENOSPC' });
+    fs.promises.rename = async () => {
+        fs.promises.rename = rename;
+        throw error;
+    };
+    return error;
+}
+
+for (const driver of ['json', 'sqlite']) {
+    describe(driver + ' driver', () => {
+        let directory;
+        let file;
+
+        before(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bookshop-store-'));
+            file = path.join(directory, 'store.' + driver);
+        });
+        after(async () => {
+            await db.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('keeps written records after closing and reopening the file', async () => {
+            await db.open({ driver, path: file, seed: false });
+            await db.books.put('9780385474542', { title: "Things Fall Apart" });
+            await db.books.put('9781400033416', { title: "Beloved" });
+            await db.books.update('9781400033416', (book) => ({ ...book, year: 1987 }));
+            await db.books.remove('9780385474542');
+            await db.close();
+
+            await db.open({ driver, path: file, seed: false });
+            assert.deepStrictEqual(await db.books.all(), { '9781400033416': { title: "Beloved", year: 1987 } });
+            await db.close();
+        });
+
+        it('discards every write of a transaction that throws', async () => {
+            await db.open({ driver, path: file, seed: false });
+            await assert.rejects(db.transaction(async (tx) => {
+                await tx.collection('books').put('9780141439518', { title: "Pride and Prejudice" });
+                await tx.collection('books').remove('9781400033416');
+                throw new Error("Abort");
+            }), /Abort/);
+            assert.deepStrictEqual(Object.keys(await db.books.all()), ['9781400033416']);
+            await db.close();
+        });
+
+        it('rolls back a transaction whose file write fails and stays usable', async () => {
+            fs.rmSync(file);
+            await db.open({ driver, path: file, seed: false });
+            await db.books.put('a', { title: "Kept" });
+
+            const error = failNextWrite();
+            await assert.rejects(db.books.put('b', { title: "Lost" }), error);
+            assert.deepStrictEqual(await db.books.all(), { a: { title: "Kept" } });
+
+            await db.books.put('c', { title: "Written later" });
+            await db.close();
+            await db.open({ driver, path: file, seed: false });
+            assert.deepStrictEqual(Object.keys(await db.books.all()), ['a', 'c']);
+        });
+    });
+}